@@ -6,7 +6,7 @@ import fs from 'fs/promises';
 
 // Import configuration and services
 import config from './config/config.js';
-import { initializeGemini } from './config/gemini.js';
+import { initializeLLM } from './config/llm.js';
 import policyService from './services/policyService.js';
 
 // Import middleware
@@ -14,6 +14,13 @@ import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
 
 // Import routes
 import processRoutes from './routes/process.routes.js';
+import jobRoutes from './routes/job.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import auditRoutes from './routes/audit.routes.js';
+import policyRoutes from './routes/policy.routes.js';
+import authRoutes from './routes/auth.routes.js';
+import metricsRoutes from './routes/metrics.routes.js';
+import metricsService from './services/metricsService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -45,10 +52,14 @@ class App {
                 ? [config.frontendURL] // Add your production domains here
                 : true, // Allow all origins in development
             credentials: true,
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization']
+            methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+            allowedHeaders: ['Content-Type', 'Authorization'],
+            exposedHeaders: ['Content-Disposition'] // Lets the frontend name downloaded exports
         }));
 
+        // Request counts and durations for /metrics
+        this.app.use(metricsService.httpMiddleware());
+
         // Body parsing middleware
         this.app.use(express.json({ limit: '50mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -64,7 +75,13 @@ class App {
 
     initializeRoutes() {
         // API routes with version prefix
+        this.app.use('/api/v1', authRoutes);
         this.app.use('/api/v1', processRoutes);
+        this.app.use('/api/v1', jobRoutes);
+        this.app.use('/api/v1', auditRoutes);
+        this.app.use('/api/v1', adminRoutes);
+        this.app.use('/api/v1', policyRoutes);
+        this.app.use('/api/v1', metricsRoutes);
 
         // Root endpoint
         this.app.get('/', (req, res) => {
@@ -74,8 +91,21 @@ class App {
                 version: '1.0.0',
                 endpoints: {
                     health: '/api/v1/health',
+                    metrics: '/api/v1/metrics (Prometheus)',
+                    login: '/api/v1/auth/login (POST)',
+                    currentUser: '/api/v1/auth/me',
+                    users: '/api/v1/auth/users (admin)',
                     process: '/api/v1/process (POST)',
-                    submitMatches: '/api/v1/submit-matches (POST)'
+                    policySets: '/api/v1/policy-sets',
+                    jobStatus: '/api/v1/jobs/:id',
+                    jobEvents: '/api/v1/jobs/:id/events (SSE)',
+                    audits: '/api/v1/audits',
+                    buildIndex: '/api/v1/admin/index/build (POST)',
+                    reloadIndex: '/api/v1/admin/index/reload (POST)',
+                    clearCache: '/api/v1/admin/cache/clear (POST)',
+                    review: '/api/v1/audits/:id/review (POST)',
+                    export: '/api/v1/audits/:id/export?format=xlsx|csv|docx|json',
+                    trail: '/api/v1/audits/:id/trail'
                 }
             });
         });
@@ -93,11 +123,14 @@ class App {
         try {
             console.log('🚀 Initializing services...');
 
-            // Initialize Gemini AI
-            await initializeGemini();
+            // Initialize the configured LLM provider
+            await initializeLLM();
 
-            // Load policy index
-            await policyService.loadPolicyIndex();
+            // Load the index of every configured policy set
+            await policyService.loadPolicySets();
+            if (config.policyIndexWatch) {
+                policyService.watchPolicyIndexes();
+            }
 
             console.log('✅ All services initialized successfully');
             return true;
@@ -8,15 +8,65 @@ dotenv.config({
 const config = {
     port: process.env.PORT || 4000,
     geminiApiKey: process.env.GEMINI_API_KEY || "",
+    llmProvider: process.env.LLM_PROVIDER || 'gemini', // gemini | vertex | openai | fixture
+    llmModel: process.env.LLM_MODEL || "", // Falls back to the provider's default model
+    llmRequestTimeoutMs: parseInt(process.env.LLM_REQUEST_TIMEOUT_MS) || 120000,
+    vertexProject: process.env.VERTEX_PROJECT || process.env.GOOGLE_CLOUD_PROJECT || "",
+    vertexLocation: process.env.VERTEX_LOCATION || 'us-central1',
+    openaiBaseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    openaiApiKey: process.env.OPENAI_API_KEY || "",
+    llmFixturePath: process.env.LLM_FIXTURE_PATH || './fixtures/llm_fixtures.json',
+    llmFixtureRecordFrom: process.env.LLM_FIXTURE_RECORD_FROM || "", // Provider to record fixture misses from
     policyIndexPath: process.env.POLICY_INDEX_PATH || './policy_index.json',
-    driveRootPath: process.env.DRIVE_ROOT_PATH || '/path/to/your/drive/Public Policies',
+    policyIndexWatch: process.env.POLICY_INDEX_WATCH === 'true', // Reload a policy set when its index file changes
+    policyIndexWatchIntervalMs: parseInt(process.env.POLICY_INDEX_WATCH_INTERVAL_MS) || 5000,
+    retrievalMode: process.env.RETRIEVAL_MODE || 'keyword', // keyword | hybrid
+    hybridVectorWeight: parseFloat(process.env.HYBRID_VECTOR_WEIGHT) || 0.6, // Share of the hybrid score from vector similarity
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || 'local', // local | llm | hashing
+    embeddingModel: process.env.EMBEDDING_MODEL || "", // Falls back to the embedding provider's default model
+    embeddingCacheDir: process.env.EMBEDDING_CACHE_DIR || "", // Where local embedding models are downloaded
+    evidencePassagesPerRound: parseInt(process.env.EVIDENCE_PASSAGES_PER_ROUND) || 6, // Passages sent to the model per analysis request
+    evidenceMaxRounds: parseInt(process.env.EVIDENCE_MAX_ROUNDS) || 3, // Escalation rounds per policy when no answer is found
+    evidenceMaxChars: parseInt(process.env.EVIDENCE_MAX_CHARS) || 18000, // Passage text budget per analysis request
+    policyRepository: process.env.POLICY_REPOSITORY || 'drive', // drive | local
+    driveRootPath: process.env.DRIVE_ROOT_PATH || '/path/to/your/drive/Public Policies', // Root for the local repository
+    policySetsPath: process.env.POLICY_SETS_PATH || "", // JSON file of named policy sets; empty = one set from the settings above
+    defaultPolicySet: process.env.DEFAULT_POLICY_SET || "", // Set used when a request names none; defaults to the first set
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
     uploadDir: process.env.UPLOAD_DIR || 'uploads',
+    ocrEnabled: process.env.OCR_ENABLED !== 'false', // OCR image-only questionnaire pages (needs the optional tesseract.js package)
+    ocrLanguage: process.env.OCR_LANGUAGE || 'eng', // Tesseract language code(s), e.g. 'eng+spa'
+    ocrLangPath: process.env.OCR_LANG_PATH || "", // Folder or URL holding <lang>.traineddata[.gz]; empty = the tesseract.js CDN
+    ocrCacheDir: process.env.OCR_CACHE_DIR || 'cache/ocr', // Where downloaded language data is kept
+    ocrMinPageChars: parseInt(process.env.OCR_MIN_PAGE_CHARS) || 20, // Pages with less extracted text than this are treated as scans
     outputDir: process.env.OUTPUT_DIR || 'outputs',
+    policyCacheEnabled: process.env.POLICY_CACHE_ENABLED !== 'false', // Keep downloaded policies and parsed text on disk across restarts
+    policyCacheDir: process.env.POLICY_CACHE_DIR || 'cache/policies',
+    policyCacheMaxBytes: (parseInt(process.env.POLICY_CACHE_MAX_MB) || 2048) * 1024 * 1024, // Least recently used entries are evicted above this
+    analysisCacheEnabled: process.env.ANALYSIS_CACHE_ENABLED !== 'false', // Keep per-policy analysis results on disk so re-runs skip the LLM
+    analysisCacheDir: process.env.ANALYSIS_CACHE_DIR || 'cache/analysis',
+    analysisCacheTtlDays: parseInt(process.env.ANALYSIS_CACHE_TTL_DAYS) || 0, // 0 = entries never expire; a changed input always gets a new entry
+    auditTrailPath: process.env.AUDIT_TRAIL_PATH || `${process.env.OUTPUT_DIR || 'outputs'}/audit_trail.jsonl`, // Append-only, hash-chained event log
     nodeEnv: process.env.NODE_ENV || 'development',
     driveFolderId: process.env.DRIVE_FOLDER_ID || "", // Root folder ID containing subfolders
+    driveSharedDriveId: process.env.DRIVE_SHARED_DRIVE_ID || "", // Shared Drive holding the root folder, if it is not in My Drive
+    policyFoldersRecursive: process.env.POLICY_FOLDERS_RECURSIVE === 'true', // Also map nested folders, as "PA/Archive" subfolders
+    policyFoldersMaxDepth: parseInt(process.env.POLICY_FOLDERS_MAX_DEPTH) || 5, // Nesting levels below the root when recursive
     driveApiCredentials: process.env.DRIVE_API_CREDENTIALS || "", // JSON string of credentials
-    frontendURL: process.env.FRONTEND_URL
+    frontendURL: process.env.FRONTEND_URL,
+    authEnabled: process.env.AUTH_ENABLED !== 'false', // Require a signed-in user on every API route except login
+    authJwtSecret: process.env.AUTH_JWT_SECRET || "", // Signs session tokens; a random per-process secret is used if empty
+    authTokenTtl: process.env.AUTH_TOKEN_TTL || '8h',
+    authUsersPath: process.env.AUTH_USERS_PATH || './users.json', // Local users with hashed passwords
+    oidcIssuer: process.env.OIDC_ISSUER || "", // Enables single sign-on when set
+    oidcClientId: process.env.OIDC_CLIENT_ID || "",
+    oidcClientSecret: process.env.OIDC_CLIENT_SECRET || "",
+    oidcRedirectUri: process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 4000}/api/v1/auth/oidc/callback`,
+    oidcScopes: process.env.OIDC_SCOPES || 'openid profile email',
+    oidcRoleClaim: process.env.OIDC_ROLE_CLAIM || 'roles', // ID token claim holding auditor / reviewer / admin
+    oidcDefaultRole: process.env.OIDC_DEFAULT_ROLE || 'auditor', // Role for SSO users whose token names none
+    oidcLabel: process.env.OIDC_LABEL || 'SSO',
+    metricsToken: process.env.METRICS_TOKEN || "" // Bearer token Prometheus must send to /metrics; empty = open
 };
 
 export default config;
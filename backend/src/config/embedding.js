@@ -0,0 +1,49 @@
+import config from './config.js';
+import { ApiError } from '../utils/apiError.js';
+import HashingEmbeddingProvider from '../providers/embedding/hashingEmbeddingProvider.js';
+import LocalEmbeddingProvider from '../providers/embedding/localEmbeddingProvider.js';
+import LLMEmbeddingProvider from '../providers/embedding/llmEmbeddingProvider.js';
+
+const DEFAULT_EMBEDDING_MODELS = {
+    local: 'Xenova/all-MiniLM-L6-v2',
+    hashing: 'hashing-512',
+    llm: '' // Chosen by the LLM provider
+};
+
+let provider;
+let initializing = null;
+
+const createEmbeddingProvider = (name, modelName = config.embeddingModel) => {
+    switch (name) {
+        case 'local':
+            return new LocalEmbeddingProvider(modelName || DEFAULT_EMBEDDING_MODELS.local);
+        case 'hashing':
+            return new HashingEmbeddingProvider(modelName || DEFAULT_EMBEDDING_MODELS.hashing);
+        case 'llm':
+            return new LLMEmbeddingProvider(modelName || DEFAULT_EMBEDDING_MODELS.llm);
+        default:
+            throw new ApiError(500, `Unknown embedding provider: ${name}`);
+    }
+};
+
+// Initialized lazily: loading a local model is slow and only needed for vector retrieval
+const getEmbeddingProvider = async () => {
+    if (provider) return provider;
+
+    if (!initializing) {
+        initializing = (async () => {
+            const created = createEmbeddingProvider(config.embeddingProvider);
+            await created.initialize();
+            console.log(`✅ Embedding provider initialized: ${created.name} (${created.modelName || 'default model'})`);
+            provider = created;
+            return created;
+        })().catch(error => {
+            initializing = null;
+            throw new ApiError(500, `Failed to initialize embedding provider: ${error.message}`);
+        });
+    }
+
+    return initializing;
+};
+
+export { getEmbeddingProvider, createEmbeddingProvider };
@@ -5,13 +5,13 @@ import { ApiError } from '../utils/apiError.js';
 let genAI;
 let model;
 
-const initializeGemini = () => {
+const initializeGemini = (modelName = 'gemini-1.5-flash') => {
     try {
         if (!config.geminiApiKey) {
             throw new ApiError(500, "Gemini API key is not configured");
         }
         genAI = new GoogleGenerativeAI(config.geminiApiKey);
-        model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
+        model = genAI.getGenerativeModel({ model: modelName });
         
         console.log('✅ Gemini AI initialized successfully');
         return { genAI, model };
@@ -21,6 +21,13 @@ const initializeGemini = () => {
     }
 };
 
+const getGeminiClient = () => {
+    if (!genAI) {
+        throw new ApiError(500, "Gemini AI not initialized");
+    }
+    return genAI;
+};
+
 const getGeminiModel = () => {
     if (!model) {
         throw new ApiError(500, "Gemini AI not initialized");
@@ -28,4 +35,4 @@ const getGeminiModel = () => {
     return model;
 };
 
-export { initializeGemini, getGeminiModel };
\ No newline at end of file
+export { initializeGemini, getGeminiModel, getGeminiClient };
\ No newline at end of file
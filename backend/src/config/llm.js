@@ -0,0 +1,56 @@
+import config from './config.js';
+import { ApiError } from '../utils/apiError.js';
+import GeminiProvider from '../providers/llm/geminiProvider.js';
+import VertexProvider from '../providers/llm/vertexProvider.js';
+import OpenAICompatibleProvider from '../providers/llm/openaiCompatibleProvider.js';
+import FixtureProvider from '../providers/llm/fixtureProvider.js';
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-1.5-flash',
+    vertex: 'gemini-1.5-flash',
+    openai: 'llama3'
+};
+
+let provider;
+
+const createLLMProvider = (name, modelName = config.llmModel) => {
+    switch (name) {
+        case 'gemini':
+            return new GeminiProvider(modelName || DEFAULT_MODELS.gemini);
+        case 'vertex':
+            return new VertexProvider(modelName || DEFAULT_MODELS.vertex);
+        case 'openai':
+            return new OpenAICompatibleProvider(modelName || DEFAULT_MODELS.openai);
+        case 'fixture': {
+            const delegate = config.llmFixtureRecordFrom
+                ? createLLMProvider(config.llmFixtureRecordFrom)
+                : null;
+            return new FixtureProvider(config.llmFixturePath, delegate);
+        }
+        default:
+            throw new ApiError(500, `Unknown LLM provider: ${name}`);
+    }
+};
+
+const initializeLLM = async () => {
+    try {
+        provider = createLLMProvider(config.llmProvider);
+        await provider.initialize();
+
+        console.log(`✅ LLM provider initialized: ${provider.name} (${provider.modelName})`);
+        return provider;
+    } catch (error) {
+        provider = null;
+        console.error('❌ Error initializing LLM provider:', error.message);
+        throw new ApiError(500, `Failed to initialize LLM provider: ${error.message}`);
+    }
+};
+
+const getLLMProvider = () => {
+    if (!provider) {
+        throw new ApiError(500, "LLM provider not initialized");
+    }
+    return provider;
+};
+
+export { initializeLLM, getLLMProvider, createLLMProvider };
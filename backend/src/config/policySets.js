@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import config from './config.js';
+import { ApiError } from '../utils/apiError.js';
+
+const REPOSITORY_TYPES = ['drive', 'local'];
+const SET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// The single set used when POLICY_SETS_PATH is not configured
+const getDefaultSetConfig = () => ({
+    id: 'default',
+    label: 'Default',
+    indexPath: config.policyIndexPath,
+    repository: config.policyRepository,
+    driveFolderId: config.driveFolderId,
+    driveRootPath: config.driveRootPath,
+    sharedDriveId: config.driveSharedDriveId,
+    recursive: config.policyFoldersRecursive
+});
+
+const normalizeSetConfig = (entry, index) => {
+    const where = `policy set ${entry?.id ?? `#${index + 1}`}`;
+
+    if (!entry || !SET_ID_PATTERN.test(String(entry.id || ''))) {
+        throw new ApiError(500, `Invalid ${where}: "id" must be letters, digits, "-" or "_"`);
+    }
+    if (!entry.indexPath) {
+        throw new ApiError(500, `Invalid ${where}: "indexPath" is required`);
+    }
+
+    const repository = entry.repository || config.policyRepository;
+    if (!REPOSITORY_TYPES.includes(repository)) {
+        throw new ApiError(500, `Invalid ${where}: repository must be one of ${REPOSITORY_TYPES.join(', ')}`);
+    }
+    if (repository === 'drive' && !entry.driveFolderId) {
+        throw new ApiError(500, `Invalid ${where}: "driveFolderId" is required for the drive repository`);
+    }
+    if (repository === 'local' && !entry.driveRootPath) {
+        throw new ApiError(500, `Invalid ${where}: "driveRootPath" is required for the local repository`);
+    }
+
+    return {
+        id: entry.id,
+        label: entry.label || entry.id,
+        indexPath: entry.indexPath,
+        repository,
+        driveFolderId: entry.driveFolderId || '',
+        driveRootPath: entry.driveRootPath || '',
+        sharedDriveId: entry.sharedDriveId || '',
+        recursive: typeof entry.recursive === 'boolean' ? entry.recursive : config.policyFoldersRecursive
+    };
+};
+
+/**
+ * Reads the named policy sets from POLICY_SETS_PATH:
+ *   [{ "id": "pace", "label": "PACE", "indexPath": "...", "repository": "drive", "driveFolderId": "...",
+ *      "sharedDriveId": "...", "recursive": true }]
+ * Returns { sets, defaultSetId }.
+ */
+const loadPolicySetConfigs = async () => {
+    if (!config.policySetsPath) {
+        const set = getDefaultSetConfig();
+        return { sets: [set], defaultSetId: set.id };
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(await fs.readFile(config.policySetsPath, 'utf8'));
+    } catch (error) {
+        throw new ApiError(500, `Failed to read policy sets from ${config.policySetsPath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new ApiError(500, `${config.policySetsPath} must contain a non-empty array of policy sets`);
+    }
+
+    const sets = entries.map(normalizeSetConfig);
+    const ids = sets.map(set => set.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+        throw new ApiError(500, `Duplicate policy set id: ${duplicate}`);
+    }
+
+    const defaultSetId = config.defaultPolicySet || sets[0].id;
+    if (!ids.includes(defaultSetId)) {
+        throw new ApiError(500, `DEFAULT_POLICY_SET "${defaultSetId}" is not one of: ${ids.join(', ')}`);
+    }
+
+    return { sets, defaultSetId };
+};
+
+export { loadPolicySetConfigs };
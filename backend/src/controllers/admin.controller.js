@@ -0,0 +1,48 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import policyIndexBuilder from '../services/indexBuilderService.js';
+import optimizedPolicyService from '../services/policyService.js';
+
+// Start an incremental policy index build in the background, for the default set unless body.policySet names one
+const buildPolicyIndex = asyncHandler(async (req, res) => {
+    if (policyIndexBuilder.getStatus().running) {
+        throw new ApiError(409, 'A policy index build is already running');
+    }
+
+    const force = req.body?.force === true;
+    const dryRun = req.body?.dryRun === true;
+    const policySet = optimizedPolicyService.getPolicySet(req.body?.policySet);
+
+    policyIndexBuilder.build({ policySet, force, dryRun }).catch(error => {
+        console.error('Policy index build failed:', error.message);
+    });
+
+    return res.status(202).json(
+        new ApiResponse(202, {
+            ...policyIndexBuilder.getStatus(),
+            statusUrl: '/api/v1/admin/index/build'
+        }, "Policy index build started")
+    );
+});
+
+// Status and report of the current or most recent build
+const getIndexBuildStatus = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, policyIndexBuilder.getStatus(), "Policy index build status retrieved")
+    );
+});
+
+// Reload a set's index and folder mapping without a restart; running audits keep the index they started with
+const reloadPolicyIndex = asyncHandler(async (req, res) => {
+    const result = await optimizedPolicyService.reloadPolicySet(req.body?.policySet, {
+        onlyIfChanged: req.body?.onlyIfChanged === true,
+        user: req.user
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, result, result.reloaded ? "Policy index reloaded" : "Policy index unchanged")
+    );
+});
+
+export { buildPolicyIndex, getIndexBuildStatus, reloadPolicyIndex };
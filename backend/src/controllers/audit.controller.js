@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import auditHistoryService from '../services/auditService.js';
+import reviewService from '../services/reviewService.js';
+import auditExportService from '../services/exportService.js';
+import auditTrailService from '../services/auditTrailService.js';
+
+// List stored audits, newest first
+const listAudits = asyncHandler(async (req, res) => {
+    const audits = await auditHistoryService.listAudits();
+
+    return res.status(200).json(
+        new ApiResponse(200, audits, "Audits retrieved successfully")
+    );
+});
+
+// Full stored result of a single audit
+const getAudit = asyncHandler(async (req, res) => {
+    const audit = await auditHistoryService.getAudit(req.params.id);
+
+    return res.status(200).json(
+        new ApiResponse(200, audit, "Audit retrieved successfully")
+    );
+});
+
+const deleteAudit = asyncHandler(async (req, res) => {
+    await auditHistoryService.deleteAudit(req.params.id);
+    await auditTrailService.record('delete', { auditId: req.params.id, user: req.user });
+
+    return res.status(200).json(
+        new ApiResponse(200, { id: req.params.id, deleted: true }, "Audit deleted successfully")
+    );
+});
+
+// Record reviewer decisions and optionally finalize the audit
+const submitReview = asyncHandler(async (req, res) => {
+    const { decisions, finalize, reviewer } = req.body || {};
+
+    // Signed-in reviewers are recorded by username; the body's name is only used when auth is disabled
+    const reviewerName = req.user?.authDisabled ? (reviewer || 'anonymous') : req.user.username;
+    const audit = await reviewService.submitReview(
+        req.params.id,
+        { decisions: decisions || [], finalize: finalize === true },
+        reviewerName
+    );
+
+    // Record each decision next to the pipeline's own answer so overrides stand out
+    const decidedIds = [...new Set((decisions || []).map(decision => String(decision?.questionId)))];
+    await auditTrailService.record('review', {
+        auditId: audit.id,
+        user: req.user,
+        details: {
+            reviewer: reviewerName,
+            decisions: decidedIds.map(questionId => {
+                const review = audit.reviews?.[questionId];
+                const pipelineAnswer = reviewService.getCandidates(audit, questionId)[0]?.answer || 'none';
+                return review && {
+                    questionId: review.questionId,
+                    action: review.action,
+                    candidateIndex: review.candidateIndex,
+                    docName: review.docName,
+                    answer: review.answer,
+                    pipelineAnswer,
+                    answerOverridden: review.answerOverridden,
+                    note: review.note
+                };
+            }).filter(Boolean),
+            finalized: finalize === true,
+            status: audit.status
+        }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, audit, finalize ? "Audit finalized successfully" : "Review saved successfully")
+    );
+});
+
+// Download audit responses as xlsx, csv, docx or json, or the zipped evidence bundle
+const exportAudit = asyncHandler(async (req, res) => {
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    const audit = await auditHistoryService.getAudit(req.params.id);
+
+    const { buffer, contentType, filename } = await auditExportService.exportAudit(audit, format);
+    await auditTrailService.record('export', {
+        auditId: audit.id,
+        user: req.user,
+        details: {
+            format,
+            filename,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            status: audit.status || 'draft'
+        }
+    });
+
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': buffer.length
+    });
+    return res.status(200).send(buffer);
+});
+
+// Audit trail events for one audit (kept after the audit itself is deleted)
+const getAuditTrail = asyncHandler(async (req, res) => {
+    auditHistoryService.validateId(req.params.id);
+    const events = await auditTrailService.getEvents(req.params.id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { auditId: req.params.id, events }, "Audit trail retrieved successfully")
+    );
+});
+
+export { listAudits, getAudit, deleteAudit, submitReview, exportAudit, getAuditTrail };
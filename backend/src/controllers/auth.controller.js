@@ -0,0 +1,90 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiError } from '../utils/apiError.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import config from '../config/config.js';
+import authService from '../services/authService.js';
+import userService from '../services/userService.js';
+
+const getFrontendURL = () => (config.frontendURL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Which sign-in methods the login screen should offer
+const getAuthConfig = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, {
+            enabled: config.authEnabled,
+            oidc: authService.isOidcEnabled() ? { label: config.oidcLabel, loginUrl: '/api/v1/auth/oidc/login' } : null
+        }, "Auth configuration retrieved")
+    );
+});
+
+// Local username / password sign-in
+const login = asyncHandler(async (req, res) => {
+    if (!config.authEnabled) {
+        throw new ApiError(400, 'Authentication is disabled on this server');
+    }
+
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+        throw new ApiError(400, 'Username and password are required');
+    }
+
+    const user = await userService.authenticate(username, password);
+    const session = await authService.issueToken({ ...user, source: 'local' });
+
+    return res.status(200).json(
+        new ApiResponse(200, session, "Signed in successfully")
+    );
+});
+
+// Redirect to the identity provider
+const startOidcLogin = asyncHandler(async (req, res) => {
+    return res.redirect(await authService.getAuthorizationUrl());
+});
+
+// The identity provider redirects here; the session token is handed to the React app in the URL fragment
+const handleOidcCallback = async (req, res) => {
+    try {
+        const { token } = await authService.handleCallback(req.query);
+        return res.redirect(`${getFrontendURL()}/#token=${encodeURIComponent(token)}`);
+    } catch (error) {
+        console.error('OIDC sign-in failed:', error.message);
+        return res.redirect(`${getFrontendURL()}/#authError=${encodeURIComponent(error.message)}`);
+    }
+};
+
+const getCurrentUser = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, req.user, "Current user retrieved")
+    );
+});
+
+const listUsers = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, await userService.listUsers(), "Users retrieved successfully")
+    );
+});
+
+const createUser = asyncHandler(async (req, res) => {
+    const { username, password, role, name } = req.body || {};
+    const user = await userService.createUser({ username, password, role, name });
+
+    return res.status(201).json(
+        new ApiResponse(201, user, "User created successfully")
+    );
+});
+
+// Change role, name or password, or disable / re-enable a user
+const updateUser = asyncHandler(async (req, res) => {
+    const { role, name, password, disabled } = req.body || {};
+    if (req.params.username.toLowerCase() === req.user.username?.toLowerCase() && (disabled === true || (role && role !== 'admin'))) {
+        throw new ApiError(400, 'Admins cannot disable or demote themselves');
+    }
+
+    const user = await userService.updateUser(req.params.username, { role, name, password, disabled });
+
+    return res.status(200).json(
+        new ApiResponse(200, user, "User updated successfully")
+    );
+});
+
+export { getAuthConfig, login, startOidcLogin, handleOidcCallback, getCurrentUser, listUsers, createUser, updateUser };
@@ -0,0 +1,62 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import auditJobService from '../services/jobService.js';
+
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+const writeEvent = (res, type, data) => {
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Job status, including the full result once the job has completed
+const getJobStatus = asyncHandler(async (req, res) => {
+    const job = auditJobService.getJob(req.params.id);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            ...auditJobService.toSummary(job),
+            result: job.result
+        }, "Job status retrieved successfully")
+    );
+});
+
+// Server-Sent Events stream of job progress
+const streamJobEvents = asyncHandler(async (req, res) => {
+    const job = auditJobService.getJob(req.params.id);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    // Send the current snapshot so late subscribers start from the right place
+    if (auditJobService.isTerminal(job)) {
+        writeEvent(res, job.status, auditJobService.toSummary(job));
+        return res.end();
+    }
+    writeEvent(res, 'progress', auditJobService.toSummary(job));
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    const unsubscribe = auditJobService.subscribe(job.id, ({ type, job: summary }) => {
+        writeEvent(res, type, summary);
+
+        if (type === 'completed' || type === 'failed') {
+            cleanup();
+            res.end();
+        }
+    });
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on('close', cleanup);
+});
+
+export { getJobStatus, streamJobEvents };
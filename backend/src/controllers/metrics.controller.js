@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import metricsService from '../services/metricsService.js';
+import optimizedGeminiService from '../services/geminiService.js';
+import optimizedPolicyService from '../services/policyService.js';
+import optimizedDriveService from '../services/driveService.js';
+import auditJobService from '../services/jobService.js';
+import policyFileCache from '../services/policyCacheService.js';
+import { parallelProcessor } from './process.controller.js';
+
+const gauge = (name, help, samples) => ({ name, help, samples });
+
+const sumOverSets = (read) => optimizedPolicyService.listPolicySets()
+    .reduce((sum, { id }) => sum + read(optimizedPolicyService.getPolicySet(id)), 0);
+
+// Point-in-time values read from the services on every scrape
+const collectServiceGauges = () => {
+    const processorKeys = Array.from(parallelProcessor.cache.keys());
+    const driveStats = optimizedDriveService.getStats();
+    const llmStats = optimizedGeminiService.getQueueStats();
+    const jobStats = auditJobService.getStats();
+    const policySets = optimizedPolicyService.listPolicySets();
+    const diskCache = policyFileCache.getStats();
+
+    return [
+        gauge('cache_hit_ratio', 'Cache hits over lookups since start', Object.entries(metricsService.getCacheHitRatios())
+            .map(([cache, value]) => ({ labels: { cache }, value }))),
+        gauge('cache_entries', 'Entries currently held per cache', [
+            { labels: { cache: 'policy_text' }, value: processorKeys.filter(key => key.startsWith('policy_')).length },
+            { labels: { cache: 'analysis' }, value: processorKeys.filter(key => key.startsWith('analysis_')).length },
+            { labels: { cache: 'policy_relevance' }, value: sumOverSets(policySet => policySet.relevanceScoringCache.size) },
+            { labels: { cache: 'policy_file_id' }, value: sumOverSets(policySet => policySet.policyFileIdCache.size) },
+            { labels: { cache: 'drive_download' }, value: driveStats.downloadCacheSize },
+            { labels: { cache: 'drive_metadata' }, value: driveStats.metadataCacheSize },
+            { labels: { cache: 'drive_file_list' }, value: driveStats.fileListCacheSize },
+            ...(diskCache.entries != null ? [{ labels: { cache: 'disk_policy' }, value: diskCache.entries }] : [])
+        ]),
+        ...(diskCache.bytes != null ? [
+            gauge('policy_disk_cache_bytes', 'Bytes held by the on-disk policy cache', [{ value: diskCache.bytes }]),
+            gauge('policy_disk_cache_max_bytes', 'Size limit of the on-disk policy cache', [{ value: diskCache.maxBytes }])
+        ] : []),
+        gauge('llm_recent_failure_ratio', 'Failed share of the last LLM requests (adaptive delay window)', [{ value: llmStats.recent.failureRate }]),
+        gauge('llm_recent_avg_duration_seconds', 'Mean duration of the last LLM requests', [{ value: llmStats.recent.avgDurationMs / 1000 }]),
+        gauge('llm_adaptive_delay_seconds', 'Current delay between queued LLM requests', [{ value: llmStats.adaptiveDelay / 1000 }]),
+        gauge('llm_queue_length', 'LLM requests waiting in the queue', [{ value: llmStats.queueLength }]),
+        gauge('llm_active_requests', 'LLM requests in flight', [{ value: llmStats.activeRequests }]),
+        gauge('drive_download_queue_length', 'Drive downloads waiting in the queue', [{ value: driveStats.downloadQueueLength }]),
+        gauge('drive_active_downloads', 'Drive downloads in flight', [{ value: driveStats.activeDownloads }]),
+        gauge('audit_jobs_active', 'Audit jobs queued or running', [{ value: jobStats.activeJobs }]),
+        gauge('audit_jobs_tracked', 'Audit jobs held in memory, including finished ones', [{ value: jobStats.totalJobs }]),
+        gauge('policy_index_policies', 'Policies in each policy set index', policySets
+            .map(set => ({ labels: { policy_set: set.id }, value: set.policyCount }))),
+        gauge('policy_index_version', 'Loads of each policy set index since start (reloads included)', policySets
+            .map(set => ({ labels: { policy_set: set.id }, value: set.index.version }))),
+        gauge('policy_set_loaded', 'Whether each policy set loaded (1) or not (0)', policySets
+            .map(set => ({ labels: { policy_set: set.id }, value: set.loaded ? 1 : 0 })))
+    ];
+};
+
+metricsService.addCollector(collectServiceGauges);
+
+// Prometheus scrape endpoint; guarded by METRICS_TOKEN when it is set
+const getMetrics = (req, res, next) => {
+    if (config.metricsToken) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+        const expected = Buffer.from(config.metricsToken);
+        const given = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return next(new ApiError(401, 'Metrics token required'));
+        }
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return res.status(200).send(metricsService.render());
+};
+
+export { getMetrics };
@@ -0,0 +1,36 @@
+import { asyncHandler } from '../utils/asyncHandler.js';
+import { ApiResponse } from '../utils/apiResponse.js';
+import optimizedPolicyService from '../services/policyService.js';
+import policyIndexReconciliationService from '../services/reconciliationService.js';
+
+// Configured policy sets (lines of business) that audits can be run against
+const listPolicySets = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, optimizedPolicyService.listPolicySets(), "Policy sets retrieved successfully")
+    );
+});
+
+// Index entries of a loaded set that could not be matched to a file in its repository
+const getUnresolvedPolicies = asyncHandler(async (req, res) => {
+    const policySet = optimizedPolicyService.getLoadedPolicySet(req.params.setId);
+    return res.status(200).json(
+        new ApiResponse(200, policySet.getUnresolvedReport(), "Unresolved policies retrieved successfully")
+    );
+});
+
+// Check a set's index file against the schema and its repository; ?format=text for the plain-text report
+const reconcilePolicyIndex = asyncHandler(async (req, res) => {
+    const policySet = optimizedPolicyService.getPolicySet(req.query.set);
+    const report = await policyIndexReconciliationService.reconcile(policySet);
+
+    if (req.query.format === 'text') {
+        res.set('Content-Type', 'text/plain; charset=utf-8');
+        return res.status(200).send(policyIndexReconciliationService.formatReport(report));
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, report, "Policy index reconciled")
+    );
+});
+
+export { listPolicySets, getUnresolvedPolicies, reconcilePolicyIndex };
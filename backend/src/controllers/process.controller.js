@@ -1,10 +1,23 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
 import { asyncHandler } from '../utils/asyncHandler.js';
 import { ApiError } from '../utils/apiError.js';
 import { ApiResponse } from '../utils/apiResponse.js';
 import pdfService from '../services/pdfService.js';
-import optimizedGeminiService from '../services/geminiService.js';
+import questionnaireService from '../services/questionnaireService.js';
+import optimizedGeminiService, { ANALYSIS_PROMPT_VERSION } from '../services/geminiService.js';
 import optimizedPolicyService from '../services/policyService.js';
-import optimizedDriveService from '../services/driveService.js';
+import auditJobService from '../services/jobService.js';
+import auditHistoryService from '../services/auditService.js';
+import evidenceVerificationService from '../services/verificationService.js';
+import passageService from '../services/passageService.js';
+import auditTrailService from '../services/auditTrailService.js';
+import metricsService from '../services/metricsService.js';
+import policyFileCache from '../services/policyCacheService.js';
+import analysisResultCache from '../services/analysisCacheService.js';
+import config from '../config/config.js';
+import { getLLMProvider } from '../config/llm.js';
+import { parseAsOfDate } from '../utils/policyVersion.js';
 
 class ParallelProcessor {
     constructor() {
@@ -16,7 +29,9 @@ class ParallelProcessor {
         this.cache = new Map();
     }
 
-    async processQuestionsInParallel(questions, policyIndex) {
+    // policySet selects the line of business (default set if omitted); asOf (YYYY-MM-DD) checks
+    // questions against the policy versions in effect on that date instead of the latest
+    async processQuestionsInParallel(questions, policyIndex, onProgress = null, { asOf = null, policySet = optimizedPolicyService.getPolicySet() } = {}) {
         const processingStats = {
             totalQuestions: questions.length,
             questionsProcessed: 0,
@@ -24,6 +39,7 @@ class ParallelProcessor {
             evidenceFound: 0,
             compliantAnswers: 0,
             nonCompliantAnswers: 0,
+            unverifiedEvidence: 0,
             cacheHits: 0,
             downloadTime: 0,
             analysisTime: 0
@@ -37,25 +53,23 @@ class ParallelProcessor {
         for (const batch of questionBatches) {
             console.log(`Processing batch of ${batch.length} questions...`);
             
-            const batchPromises = batch.map(question => 
-                this.processQuestionParallel(question, policyIndex, processingStats)
-            );
-
-            const batchResults = await Promise.allSettled(batchPromises);
-            
-            // Collect results
-            batchResults.forEach((result, index) => {
-                const question = batch[index];
-                if (result.status === 'fulfilled') {
-                    evidenceByQuestion[question.id] = result.value;
-                    processingStats.questionsProcessed++;
-                } else {
-                    console.error(`Error processing question ${question.id}:`, result.reason);
+            // Collect each result as soon as it settles so progress can be reported per question
+            const batchPromises = batch.map(async question => {
+                try {
+                    evidenceByQuestion[question.id] = await this.processQuestionParallel(question, policyIndex, processingStats, { asOf, policySet });
+                } catch (error) {
+                    console.error(`Error processing question ${question.id}:`, error);
                     evidenceByQuestion[question.id] = [];
-                    processingStats.questionsProcessed++;
+                }
+                processingStats.questionsProcessed++;
+
+                if (onProgress) {
+                    onProgress(processingStats, question.id);
                 }
             });
 
+            await Promise.allSettled(batchPromises);
+
             // Add delay between batches to respect API rate limits
             if (questionBatches.indexOf(batch) < questionBatches.length - 1) {
                 await this.sleep(1000);
@@ -65,12 +79,12 @@ class ParallelProcessor {
         return { evidenceByQuestion, processingStats };
     }
 
-    async processQuestionParallel(question, policyIndex, processingStats) {
+    async processQuestionParallel(question, policyIndex, processingStats, { asOf = null, policySet = optimizedPolicyService.getPolicySet() } = {}) {
         const startTime = Date.now();
         
         try {
             // Find relevant policies
-            const relevantPolicies = optimizedPolicyService.findRelevantPolicies(question, 10);
+            const relevantPolicies = await policySet.findRelevantPolicies(question, 10, { asOf });
             console.log(`Found ${relevantPolicies.length} relevant policies for question ${question.id}`);
             
             if (relevantPolicies.length === 0) {
@@ -78,7 +92,7 @@ class ParallelProcessor {
             }
 
             // Pre-check policy existence in parallel
-            const policyChecks = await this.batchCheckPolicyExistence(relevantPolicies);
+            const policyChecks = await this.batchCheckPolicyExistence(relevantPolicies, policySet);
             const existingPolicies = relevantPolicies.filter((policy, index) => policyChecks[index]);
             
             if (existingPolicies.length === 0) {
@@ -88,7 +102,7 @@ class ParallelProcessor {
 
             // Pre-download all policy files in parallel
             const downloadStartTime = Date.now();
-            const policyContents = await this.batchDownloadPolicies(existingPolicies);
+            const policyContents = await this.batchDownloadPolicies(existingPolicies, policySet);
             processingStats.downloadTime += Date.now() - downloadStartTime;
 
             // Process policies in parallel batches
@@ -100,13 +114,13 @@ class ParallelProcessor {
                 
                 const batchPromises = policyBatch.map((policy, batchIndex) => {
                     const globalIndex = existingPolicies.findIndex(p => p === policy);
-                    const policyText = policyContents[globalIndex];
+                    const policyDocument = policyContents[globalIndex];
                     
-                    if (!policyText) {
+                    if (!policyDocument?.text) {
                         return Promise.resolve(null);
                     }
                     
-                    return this.analyzyePolicyWithCache(question, policyText, policy);
+                    return this.analyzyePolicyWithCache(question, policyDocument, policy, policySet);
                 });
 
                 const batchResults = await Promise.allSettled(batchPromises);
@@ -118,6 +132,10 @@ class ParallelProcessor {
                         processingStats.evidenceFound++;
                         processingStats.totalPoliciesChecked++;
                         
+                        if (result.value.verification?.status === 'not_found') {
+                            processingStats.unverifiedEvidence++;
+                        }
+                        
                         if (result.value.answer === 'yes') {
                             processingStats.compliantAnswers++;
                         } else if (result.value.answer === 'no') {
@@ -156,11 +174,11 @@ class ParallelProcessor {
         }
     }
 
-    async batchCheckPolicyExistence(policies) {
-        return await optimizedPolicyService.batchCheckPolicyExistence(policies);
+    async batchCheckPolicyExistence(policies, policySet) {
+        return await policySet.batchCheckPolicyExistence(policies);
     }
 
-    async batchDownloadPolicies(policies) {
+    async batchDownloadPolicies(policies, policySet) {
         const downloadBatches = this.createBatches(policies, this.maxConcurrentDownloads);
         const allContents = [];
         
@@ -168,14 +186,15 @@ class ParallelProcessor {
             const batchPromises = batch.map(async (policy) => {
                 try {
                     // Check cache first
-                    const cacheKey = `policy_${policy.subfolder}_${policy.pdf_name}`;
+                    // Keyed by set: two lines of business may use the same folder and file names
+                    const cacheKey = `policy_${policySet.id}_${policy.subfolder}_${policy.pdf_name}`;
+                    metricsService.recordCacheLookup('policy_text', this.cache.has(cacheKey));
                     if (this.cache.has(cacheKey)) {
                         console.log(`Cache hit for ${policy.pdf_name}`);
                         return this.cache.get(cacheKey);
                     }
 
-                    const fileId = await optimizedPolicyService.getPolicyFileId(policy);
-                    const content = await pdfService.extractTextFromDriveFile(fileId);
+                    const content = await policySet.getPolicyDocument(policy);
                     
                     // Cache the content
                     this.cache.set(cacheKey, content);
@@ -202,25 +221,85 @@ class ParallelProcessor {
         return allContents;
     }
 
-    async analyzyePolicyWithCache(question, policyText, policy) {
-        // Create cache key based on question and policy content hash
-        const questionHash = this.simpleHash(question.text);
-        const contentHash = this.simpleHash(policyText.substring(0, 1000)); // Use first 1000 chars for hash
-        const cacheKey = `analysis_${questionHash}_${contentHash}`;
-        
-        if (this.cache.has(cacheKey)) {
+    // Key for the analysis caches; null when the policy version cannot be read, which skips the disk cache
+    async getAnalysisCacheKey(question, policy, policySet) {
+        try {
+            const fileId = await policySet.getPolicyFileId(policy);
+            const metadata = await policySet.getRepository().getFileMetadata(fileId);
+            const inputs = analysisResultCache.describeInputs({
+                question,
+                policySet,
+                fileId,
+                metadata,
+                policy,
+                provider: getLLMProvider(),
+                promptVersion: ANALYSIS_PROMPT_VERSION
+            });
+            return { key: analysisResultCache.getKey(inputs), inputs };
+        } catch (error) {
+            console.error(`No analysis cache key for ${policy.pdf_name}:`, error.message);
+            return null;
+        }
+    }
+
+    async analyzyePolicyWithCache(question, policyDocument, policy, policySet) {
+        const cacheEntry = await this.getAnalysisCacheKey(question, policy, policySet);
+        const cacheKey = cacheEntry && `analysis_${cacheEntry.key}`;
+        // The retrieval score belongs to this run, not to the cached analysis
+        const withScore = (evidence) => evidence && { ...evidence, score: policy.score };
+
+        metricsService.recordCacheLookup('analysis', Boolean(cacheKey) && this.cache.has(cacheKey));
+        if (cacheKey && this.cache.has(cacheKey)) {
             console.log(`Analysis cache hit for ${policy.pdf_name}`);
-            return this.cache.get(cacheKey);
+            return withScore(this.cache.get(cacheKey));
+        }
+
+        if (cacheEntry) {
+            const { found, result } = await analysisResultCache.get(cacheEntry.key);
+            if (found) {
+                console.log(`Analysis disk cache hit for ${policy.pdf_name}`);
+                this.cache.set(cacheKey, result);
+                return withScore(result);
+            }
         }
 
         try {
-            const evidence = await optimizedGeminiService.searchForComplianceEvidence(question, policyText, policy);
-            
-            // Cache the result
-            if (evidence) {
+            // Send the best-ranked passages first, escalating to the next ones only while no answer is found
+            const rounds = passageService.planRounds(policyDocument, question, policy.chunks);
+            const examined = [];
+            let analysis = null;
+            let searchRounds = 0;
+
+            for (const passages of rounds) {
+                searchRounds++;
+                examined.push(...passages);
+                analysis = await optimizedGeminiService.searchForComplianceEvidence(question, passages, policy);
+                if (analysis) break;
+            }
+
+            let evidence = null;
+            if (analysis) {
+                // Check the quote against the policy text and report the pages where it actually occurs
+                evidence = evidenceVerificationService.verifyEvidence(policyDocument, analysis);
+                const examinedIds = examined.map(passage => passage.id);
+                const quoted = examined.find(passage => evidence.verification.start !== null
+                    && passage.start <= evidence.verification.start && evidence.verification.start < passage.end);
+
+                evidence.passageId = quoted?.id || (examinedIds.includes(analysis.passageId) ? analysis.passageId : null);
+                evidence.policyVersion = policySet.getPolicyVersion(policy);
+                evidence.sourceFormat = policyDocument.format || 'pdf';
+                evidence.passagesExamined = examinedIds;
+                evidence.searchRounds = searchRounds;
+            } else {
+                console.log(`No answer in ${policy.pdf_name} after ${rounds.length} round(s), ${examined.length} passages`);
+            }
+
+            // "No answer" is cached too, so a re-run does not ask the model again
+            if (cacheEntry) {
                 this.cache.set(cacheKey, evidence);
+                await analysisResultCache.set(cacheEntry.key, cacheEntry.inputs, evidence);
             }
-            
+
             return evidence;
         } catch (error) {
             console.error(`Analysis failed for ${policy.pdf_name}:`, error.message);
@@ -236,16 +315,6 @@ class ParallelProcessor {
         return batches;
     }
 
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return hash.toString();
-    }
-
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -255,6 +324,13 @@ class ParallelProcessor {
         console.log('Cache cleared');
     }
 
+    clearPolicySetEntries(setId) {
+        const prefix = `policy_${setId}_`;
+        Array.from(this.cache.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.cache.delete(key));
+    }
+
     getCacheStats() {
         return {
             size: this.cache.size,
@@ -266,41 +342,72 @@ class ParallelProcessor {
 // Create singleton processor
 const parallelProcessor = new ParallelProcessor();
 
-const processAuditQuestions = asyncHandler(async (req, res) => {
-    // Validate file upload
-    if (!req.file) {
-        throw new ApiError(400, 'No PDF file uploaded');
-    }
-
-    // Validate PDF file
-    pdfService.validatePDFFile(req.file);
-
+// Policy text cached under a reloaded set's id may belong to files the new index no longer points at
+optimizedPolicyService.subscribe(({ policySet }) => parallelProcessor.clearPolicySetEntries(policySet.id));
+
+// Settings that determine a run's answers, recorded in the audit trail
+const buildRunSnapshot = (policySet, asOf) => {
+    const llm = getLLMProvider();
+    return {
+        llmProvider: llm.name,
+        model: llm.modelName,
+        concurrencyLimits: {
+            questions: parallelProcessor.maxConcurrentQuestions,
+            policies: parallelProcessor.maxConcurrentPolicies,
+            downloads: parallelProcessor.maxConcurrentDownloads
+        },
+        retrievalMode: config.retrievalMode,
+        ...(config.retrievalMode === 'hybrid' && { embeddingProvider: config.embeddingProvider }),
+        policySet: policySet.id,
+        policyIndex: policySet.getIndexStamp(),
+        policyAsOf: asOf
+    };
+};
+
+const runAuditJob = async (jobId, file, { asOf = null, policySet, user = null }) => {
     const startTime = Date.now();
-    console.log(`Processing audit questions from: ${req.file.originalname}`);
+    console.log(`Processing audit questions from: ${file.originalname} (job ${jobId}, policy set ${policySet.id}, policies as of ${asOf || 'latest'})`);
     
     try {
-        // Extract text from uploaded PDF
-        const pdfText = await pdfService.extractTextFromPDF(req.file.path);
-        
-        if (!pdfText || pdfText.trim().length === 0) {
-            throw new ApiError(400, 'Could not extract readable text from PDF');
-        }
+        auditJobService.setStage(jobId, 'extracting_text');
+
+        // Read the questionnaire: PDF and DOCX give document text, XLSX lists the questions row by row
+        const questionnaire = await questionnaireService.read(file.path, file.originalname);
+        let questions;
+
+        if (questionnaire.questions) {
+            auditJobService.setStage(jobId, 'extracting_questions');
+            questions = await optimizedGeminiService.annotateQuestions(questionnaire.questions, file.originalname);
+        } else {
+            const { text, pageCount } = questionnaire.document;
+            if (!text || text.trim().length === 0) {
+                throw new ApiError(400, `Could not extract readable text from the ${questionnaire.format.toUpperCase()} file`);
+            }
 
-        console.log(`Extracted ${pdfText.length} characters from PDF`);
-        
-        // Extract questions using optimized Gemini service
-        const questions = await optimizedGeminiService.extractQuestionsFromPDF(pdfText, req.file.originalname);
+            console.log(`Extracted ${text.length} characters from ${pageCount} ${questionnaire.format.toUpperCase()} page(s)`);
+            auditJobService.setStage(jobId, 'extracting_questions');
+
+            // Extract questions using optimized Gemini service
+            questions = await optimizedGeminiService.extractQuestionsFromPDF(text, file.originalname);
+        }
         console.log(`Extracted ${questions.length} questions`);
 
         if (questions.length === 0) {
-            throw new ApiError(400, 'No audit questions found in the PDF');
+            throw new ApiError(400, 'No audit questions found in the questionnaire');
         }
 
+        auditJobService.setStage(jobId, 'questions_extracted', { totalQuestions: questions.length });
+
         // Get policy index
-        const policyIndex = optimizedPolicyService.getPolicyIndex();
+        const policyIndex = policySet.getPolicyIndex();
 
-        // Process questions in parallel
-        const { evidenceByQuestion, processingStats } = await parallelProcessor.processQuestionsInParallel(questions, policyIndex);
+        // Process questions in parallel, streaming per-question progress to the job
+        const { evidenceByQuestion, processingStats } = await parallelProcessor.processQuestionsInParallel(
+            questions,
+            policyIndex,
+            (stats, questionId) => auditJobService.updateProgress(jobId, stats, questionId),
+            { asOf, policySet }
+        );
 
         const totalTime = Date.now() - startTime;
         processingStats.totalProcessingTime = totalTime;
@@ -311,9 +418,20 @@ const processAuditQuestions = asyncHandler(async (req, res) => {
             questions,
             evidenceByQuestion,
             meta: {
-                originalFilename: req.file.originalname,
+                jobId,
+                originalFilename: file.originalname,
+                questionnaire: {
+                    format: questionnaire.format,
+                    pageCount: questionnaire.document?.pageCount ?? null,
+                    ocrPages: questionnaire.ocr?.pages || [],
+                    ocrSkipped: questionnaire.ocr?.skipped || []
+                },
                 questionsCount: questions.length,
                 policyIndexCount: policyIndex.length,
+                policySet: { id: policySet.id, label: policySet.label },
+                policyIndex: policySet.getIndexStamp(),
+                policyAsOf: asOf,
+                requestedBy: user?.username || null,
                 processedAt: new Date().toISOString(),
                 processingStats,
                 performance: {
@@ -323,40 +441,133 @@ const processAuditQuestions = asyncHandler(async (req, res) => {
                     cacheStats: parallelProcessor.getCacheStats()
                 },
                 driveIntegration: {
-                    enabled: true,
-                    subfoldersMapping: optimizedPolicyService.getSubfolderMapping()
+                    enabled: policySet.getRepository().type === 'drive',
+                    repository: policySet.getRepository().type,
+                    subfoldersMapping: policySet.getSubfolderMapping()
                 }
             }
         };
 
         console.log(`Processing complete in ${totalTime}ms: ${processingStats.questionsProcessed}/${processingStats.totalQuestions} questions processed`);
-        console.log(`Statistics: ${processingStats.totalPoliciesChecked} policies checked, ${processingStats.evidenceFound} evidence found`);
+        console.log(`Statistics: ${processingStats.totalPoliciesChecked} policies checked, ${processingStats.evidenceFound} evidence found, ${processingStats.unverifiedEvidence} unverified quotes`);
         console.log(`Compliance: ${processingStats.compliantAnswers} YES, ${processingStats.nonCompliantAnswers} NO`);
         console.log(`Performance: ${processingStats.downloadTime}ms download, ${processingStats.analysisTime}ms analysis`);
         
-        return res.status(200).json(
-            new ApiResponse(200, responseData, "Audit questions processed successfully with parallel optimization")
-        );
-        
+        // Persist the run so it can be reopened later; a storage failure should not lose the result
+        try {
+            responseData.meta.auditId = jobId;
+            await auditHistoryService.saveAudit(jobId, responseData);
+        } catch (error) {
+            delete responseData.meta.auditId;
+            console.error(`Failed to save audit ${jobId}:`, error.message);
+        }
+
+        // The audit is already saved and usable, so a trail failure is logged rather than failing the job
+        await auditTrailService.record('run_completed', {
+            auditId: jobId,
+            user,
+            details: {
+                ...buildRunSnapshot(policySet, asOf),
+                saved: Boolean(responseData.meta.auditId),
+                questionsCount: questions.length,
+                // Top candidate per question is the pipeline's answer before any review
+                answers: questions.map(question => {
+                    const top = (evidenceByQuestion[question.id] || [])[0];
+                    return {
+                        questionId: question.id,
+                        answer: top ? top.answer : 'none',
+                        policy: top ? `${top.subfolder}/${top.docName}` : null,
+                        policyVersion: top?.policyVersion?.effectiveDate || null
+                    };
+                })
+            }
+        }).catch(trailError => console.error(`Failed to record completion of job ${jobId} in the audit trail:`, trailError.message));
+
+        auditJobService.completeJob(jobId, responseData);
+    } catch (error) {
+        console.error(`Audit job ${jobId} failed:`, error.message);
+        auditJobService.failJob(jobId, error);
+        await auditTrailService.record('run_failed', {
+            auditId: jobId,
+            user,
+            details: { ...buildRunSnapshot(policySet, asOf), error: error.message }
+        }).catch(trailError => console.error(`Failed to record failure of job ${jobId} in the audit trail:`, trailError.message));
     } finally {
         // Clean up uploaded file
         try {
-            await pdfService.deleteTempFile(req.file.path);
+            await pdfService.deleteTempFile(file.path);
         } catch (error) {
             console.error('Error cleaning up temp file:', error.message);
         }
     }
+};
+
+const processAuditQuestions = asyncHandler(async (req, res) => {
+    // Validate file upload
+    if (!req.file) {
+        throw new ApiError(400, 'No questionnaire file uploaded');
+    }
+
+    // Validate questionnaire type and size
+    questionnaireService.validateFile(req.file);
+
+    // Optional policy set (line of business) and audit look-back date; defaults are the
+    // default set and the latest policy versions
+    let asOf;
+    let policySet;
+    try {
+        policySet = optimizedPolicyService.getLoadedPolicySet(req.body?.policySet);
+        asOf = parseAsOfDate(req.body?.asOf);
+    } catch (error) {
+        await pdfService.deleteTempFile(req.file.path);
+        throw error instanceof ApiError ? error : new ApiError(400, error.message);
+    }
+
+    const job = auditJobService.createJob({ originalFilename: req.file.originalname, policySet: policySet.id, asOf });
+
+    try {
+        const fileHash = crypto.createHash('sha256').update(await fs.readFile(req.file.path)).digest('hex');
+        await auditTrailService.record('upload', {
+            auditId: job.id,
+            user: req.user,
+            details: {
+                originalFilename: req.file.originalname,
+                size: req.file.size,
+                sha256: fileHash,
+                policySet: policySet.id,
+                policyAsOf: asOf
+            }
+        });
+    } catch (error) {
+        auditJobService.failJob(job.id, error);
+        await pdfService.deleteTempFile(req.file.path);
+        throw new ApiError(500, `Could not record the upload in the audit trail: ${error.message}`);
+    }
+
+    // Run the pipeline in the background; clients follow it via the jobs endpoints
+    runAuditJob(job.id, req.file, { asOf, policySet, user: req.user });
+
+    return res.status(202).json(
+        new ApiResponse(202, {
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/v1/jobs/${job.id}`,
+            eventsUrl: `/api/v1/jobs/${job.id}/events`
+        }, "Audit job accepted for processing")
+    );
 });
 
 // Health check endpoint with cache stats
 const healthCheck = asyncHandler(async (req, res) => {
     const policyCount = optimizedPolicyService.getPolicyCount();
     
-    // Check Drive connection
+    // Check the default policy set's repository connection
+    const defaultSet = optimizedPolicyService.getPolicySet();
+    const repository = defaultSet.getRepository();
     let driveStatus = 'disconnected';
     let driveError = null;
     try {
-        await optimizedDriveService.ensureInitialized();
+        await repository.ensureInitialized();
         driveStatus = 'connected';
     } catch (error) {
         driveError = error.message;
@@ -370,15 +581,21 @@ const healthCheck = asyncHandler(async (req, res) => {
                 policyIndex: policyCount > 0 ? 'loaded' : 'not loaded',
                 policyCount: policyCount,
                 gemini: 'available',
+                llmProvider: optimizedGeminiService.getProviderInfo(),
+                policyRepository: repository.type,
                 googleDrive: driveStatus,
                 driveError: driveError,
-                subfoldersMapping: driveStatus === 'connected' ? optimizedPolicyService.getSubfolderMapping() : null
+                subfoldersMapping: driveStatus === 'connected' ? defaultSet.getSubfolderMapping() : null,
+                policySets: optimizedPolicyService.listPolicySets()
             },
             performance: {
                 cacheStats: parallelProcessor.getCacheStats(),
                 policyServiceStats: optimizedPolicyService.getStats(),
-                driveServiceStats: optimizedDriveService.getStats(),
+                repositoryStats: repository.getStats(),
+                policyFileCacheStats: policyFileCache.getStats(),
+                analysisCacheStats: analysisResultCache.getStats(),
                 geminiServiceStats: optimizedGeminiService.getQueueStats(),
+                jobStats: auditJobService.getStats(),
                 concurrencyLimits: {
                     questions: parallelProcessor.maxConcurrentQuestions,
                     policies: parallelProcessor.maxConcurrentPolicies,
@@ -389,12 +606,26 @@ const healthCheck = asyncHandler(async (req, res) => {
     );
 });
 
-// Clear cache endpoint for debugging
+// Clear the processor, policy set and repository caches; body { disk: true } also empties the on-disk policy and analysis caches
 const clearCache = asyncHandler(async (req, res) => {
+    const processorEntries = parallelProcessor.getCacheStats().size;
     parallelProcessor.clearCache();
+    optimizedPolicyService.clearCaches();
+    const disk = req.body?.disk === true;
+    if (disk) {
+        if (policyFileCache.enabled) await policyFileCache.clear();
+        if (analysisResultCache.enabled) await analysisResultCache.clear();
+    }
+
+    console.log(`🧹 Caches cleared by ${req.user?.username || 'unknown'}`);
     return res.status(200).json(
-        new ApiResponse(200, { cleared: true }, "Cache cleared successfully")
+        new ApiResponse(200, {
+            cleared: true,
+            processorEntries,
+            disk,
+            policySets: optimizedPolicyService.listPolicySets().map(policySet => policySet.id)
+        }, "Cache cleared successfully")
     );
 });
 
-export { processAuditQuestions, healthCheck, clearCache };
\ No newline at end of file
+export { processAuditQuestions, healthCheck, clearCache, parallelProcessor };
\ No newline at end of file
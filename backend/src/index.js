@@ -1,5 +1,8 @@
 import App from './app.js';
 import config from './config/config.js';
+import policyService from './services/policyService.js';
+import userService from './services/userService.js';
+import authService from './services/authService.js';
 
 const startServer = async () => {
     try {
@@ -15,20 +18,32 @@ const startServer = async () => {
             process.exit(1);
         }
 
+        const userCount = config.authEnabled ? await userService.getUserCount() : 0;
+
         // Start the server
         const server = app.listen(config.port, () => {
             console.log('');
             console.log('🎉 ===== Policy Audit Backend Started =====');
             console.log(`🚀 Server running on port: ${config.port}`);
-            console.log(`📋 Policy index loaded: ${config.policyIndexPath}`);
-            console.log(`📁 Drive path: ${config.driveRootPath}`);
-            console.log(`🤖 Gemini API: ${config.geminiApiKey ? 'Configured ✅' : 'Not configured ❌'}`);
+            policyService.listPolicySets().forEach(policySet => {
+                const { indexPath, repositoryType, repositoryOptions } = policyService.getPolicySet(policySet.id);
+                const root = repositoryType === 'local' ? repositoryOptions.driveRootPath : `Drive folder ${repositoryOptions.driveFolderId}`;
+                console.log(`📋 Policy set ${policySet.label}${policySet.isDefault ? ' (default)' : ''}: ${policySet.loaded ? `${policySet.policyCount} policies` : 'NOT LOADED'} from ${indexPath}, ${root}`);
+            });
+            console.log(`🤖 LLM provider: ${config.llmProvider}${config.llmProvider === 'gemini' ? ` (API key ${config.geminiApiKey ? 'configured ✅' : 'not configured ❌'})` : ''}`);
+            console.log(`🔎 Retrieval mode: ${config.retrievalMode}${config.retrievalMode === 'hybrid' ? ` (embeddings: ${config.embeddingProvider})` : ''}`);
+            console.log(`🔐 Authentication: ${config.authEnabled ? `enabled (${userCount} local users${authService.isOidcEnabled() ? `, SSO via ${config.oidcIssuer}` : ''})` : 'DISABLED - every request acts as admin'}`);
+            if (config.authEnabled && userCount === 0 && !authService.isOidcEnabled()) {
+                console.warn('⚠️ No users yet; create an admin with: npm run users:create -- --username admin --role admin');
+            }
             console.log(`🌍 Environment: ${config.nodeEnv}`);
             console.log('');
             console.log('📡 API Endpoints:');
             console.log(`   Health Check: http://localhost:${config.port}/api/v1/health`);
+            console.log(`   Metrics:      http://localhost:${config.port}/api/v1/metrics`);
             console.log(`   Process PDF:  http://localhost:${config.port}/api/v1/process`);
-            console.log(`   Submit Match: http://localhost:${config.port}/api/v1/submit-matches`);
+            console.log(`   Job Status:   http://localhost:${config.port}/api/v1/jobs/:id`);
+            console.log(`   Review Audit: http://localhost:${config.port}/api/v1/audits/:id/review`);
             console.log('');
             console.log('🔗 Ready to receive requests!');
             console.log('==========================================');
@@ -0,0 +1,48 @@
+import config from '../config/config.js';
+import authService from '../services/authService.js';
+import { ApiError } from '../utils/apiError.js';
+import { hasRole } from '../utils/roles.js';
+
+// With AUTH_ENABLED=false every request acts as this user
+const ANONYMOUS_USER = { username: 'anonymous', name: 'Anonymous', role: 'admin', source: 'none', authDisabled: true };
+
+// Sets req.user from a Bearer token; allowQueryToken also accepts ?access_token=, which only
+// EventSource needs (it cannot send headers) - anywhere else tokens would end up in URLs and logs
+const authenticateRequest = ({ allowQueryToken = false } = {}) => async (req, res, next) => {
+    if (!config.authEnabled) {
+        req.user = ANONYMOUS_USER;
+        return next();
+    }
+
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ')
+            ? header.slice(7).trim()
+            : allowQueryToken ? req.query.access_token : null;
+        if (!token) {
+            throw new ApiError(401, 'Sign in required');
+        }
+
+        req.user = await authService.verifyToken(token);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const authenticate = authenticateRequest();
+
+// For Server-Sent Events streams only
+const authenticateEventStream = authenticateRequest({ allowQueryToken: true });
+
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return next(new ApiError(401, 'Sign in required'));
+    }
+    if (!hasRole(req.user.role, role)) {
+        return next(new ApiError(403, `This action requires the ${role} role`));
+    }
+    next();
+};
+
+export { authenticate, authenticateEventStream, requireRole };
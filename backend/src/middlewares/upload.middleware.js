@@ -2,6 +2,7 @@ import multer from 'multer';
 import path from 'path';
 import config from '../config/config.js';
 import { ApiError } from '../utils/apiError.js';
+import questionnaireService from '../services/questionnaireService.js';
 
 // Configure multer storage
 const storage = multer.diskStorage({
@@ -17,10 +18,10 @@ const storage = multer.diskStorage({
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (questionnaireService.detectFormat(file)) {
         cb(null, true);
     } else {
-        cb(new ApiError(400, 'Only PDF files are allowed'), false);
+        cb(new ApiError(400, 'Only PDF, DOCX and XLSX files are allowed'), false);
     }
 };
 
@@ -28,20 +29,20 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
     storage: storage,
     limits: {
-        fileSize: config.maxFileSize, // 10MB limit
+        fileSize: config.maxFileSize,
         files: 1 // Only allow 1 file
     },
     fileFilter: fileFilter
 });
 
-// Middleware for handling single file upload
-const uploadSinglePDF = upload.single('questions');
+// Middleware for handling a single questionnaire upload
+const uploadQuestionnaire = upload.single('questions');
 
 // Error handling middleware for multer errors
 const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return next(new ApiError(400, 'File size too large. Maximum size is 10MB'));
+            return next(new ApiError(400, `File size too large. Maximum size is ${Math.round(config.maxFileSize / (1024 * 1024))}MB`));
         }
         if (error.code === 'LIMIT_FILE_COUNT') {
             return next(new ApiError(400, 'Too many files. Only 1 file is allowed'));
@@ -54,4 +55,4 @@ const handleUploadError = (error, req, res, next) => {
     next(error);
 };
 
-export { uploadSinglePDF, handleUploadError };
\ No newline at end of file
+export { uploadQuestionnaire, handleUploadError };
\ No newline at end of file
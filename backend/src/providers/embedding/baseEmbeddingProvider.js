@@ -0,0 +1,33 @@
+/**
+ * Common interface for text embedding providers used by the policy vector index.
+ * `embed` takes a batch of texts and resolves with one L2-normalized vector per text.
+ */
+class BaseEmbeddingProvider {
+    constructor(name, modelName) {
+        this.name = name;
+        this.modelName = modelName;
+        this.batchSize = 16;
+    }
+
+    async initialize() {
+        // No-op by default
+    }
+
+    async embed(texts) {
+        throw new Error(`embed() not implemented for embedding provider: ${this.name}`);
+    }
+
+    normalize(vector) {
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+        return Array.from(vector, value => value / norm);
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.modelName
+        };
+    }
+}
+
+export default BaseEmbeddingProvider;
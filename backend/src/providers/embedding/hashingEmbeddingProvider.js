@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import BaseEmbeddingProvider from './baseEmbeddingProvider.js';
+
+/**
+ * Feature-hashing embeddings over words and word bigrams. Needs no model
+ * download, so it suits offline runs (EMBEDDING_PROVIDER=hashing) and is what
+ * the fixture LLM provider embeds with in tests; it captures shared
+ * vocabulary only, not meaning. The default provider is the local model.
+ */
+export const hashingEmbedding = (text, dimensions) => {
+    const vector = new Float64Array(dimensions);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]{2,}/g) || [];
+    const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+    features.forEach(feature => {
+        const digest = crypto.createHash('md5').update(feature).digest();
+        const bucket = digest.readUInt32LE(0) % dimensions;
+        vector[bucket] += digest[4] & 1 ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return Array.from(vector, value => value / norm);
+};
+
+class HashingEmbeddingProvider extends BaseEmbeddingProvider {
+    constructor(modelName) {
+        super('hashing', modelName);
+        this.dimensions = parseInt(String(modelName).split('-')[1]) || 512;
+    }
+
+    async embed(texts) {
+        return texts.map(text => hashingEmbedding(text, this.dimensions));
+    }
+}
+
+export default HashingEmbeddingProvider;
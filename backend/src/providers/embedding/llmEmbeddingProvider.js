@@ -0,0 +1,31 @@
+import BaseEmbeddingProvider from './baseEmbeddingProvider.js';
+import { getLLMProvider } from '../../config/llm.js';
+
+// Uses the embeddings endpoint of the configured LLM provider
+class LLMEmbeddingProvider extends BaseEmbeddingProvider {
+    constructor(modelName) {
+        super('llm', modelName);
+    }
+
+    async initialize() {
+        this.provider = getLLMProvider();
+        if (!this.provider.defaultEmbeddingModel && !this.modelName) {
+            throw new Error(`LLM provider ${this.provider.name} does not support embeddings`);
+        }
+        this.modelName = this.modelName || this.provider.defaultEmbeddingModel;
+    }
+
+    async embed(texts) {
+        const vectors = await this.provider.embed(texts, this.modelName);
+        return vectors.map(vector => this.normalize(vector));
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            llmProvider: this.provider?.name || null
+        };
+    }
+}
+
+export default LLMEmbeddingProvider;
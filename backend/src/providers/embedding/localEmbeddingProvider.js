@@ -0,0 +1,38 @@
+import BaseEmbeddingProvider from './baseEmbeddingProvider.js';
+import config from '../../config/config.js';
+import { ApiError } from '../../utils/apiError.js';
+
+/**
+ * Runs a sentence-transformer model on the CPU through @huggingface/transformers
+ * (ONNX runtime). The package is an optional dependency; the model is
+ * downloaded on first use and cached in EMBEDDING_CACHE_DIR when set.
+ */
+class LocalEmbeddingProvider extends BaseEmbeddingProvider {
+    constructor(modelName) {
+        super('local', modelName);
+        this.extractor = null;
+    }
+
+    async initialize() {
+        let transformers;
+        try {
+            transformers = await import('@huggingface/transformers');
+        } catch (error) {
+            throw new ApiError(500, `Local embeddings need the optional @huggingface/transformers package: ${error.message}`);
+        }
+
+        if (config.embeddingCacheDir) {
+            transformers.env.cacheDir = config.embeddingCacheDir;
+        }
+
+        console.log(`Loading local embedding model ${this.modelName}...`);
+        this.extractor = await transformers.pipeline('feature-extraction', this.modelName);
+    }
+
+    async embed(texts) {
+        const output = await this.extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist();
+    }
+}
+
+export default LocalEmbeddingProvider;
@@ -0,0 +1,38 @@
+/**
+ * Common interface for LLM providers used by OptimizedGeminiService.
+ * Providers receive the full prompt plus the request type and the structured
+ * inputs the prompt was built from, and resolve with the raw response text.
+ */
+class BaseLLMProvider {
+    constructor(name, modelName) {
+        this.name = name;
+        this.modelName = modelName;
+        // Whether failed requests are worth retrying with backoff
+        this.retryable = true;
+        // Model used by embed() when none is configured; null when embeddings are unsupported
+        this.defaultEmbeddingModel = null;
+    }
+
+    async initialize() {
+        // No-op by default
+    }
+
+    // options: { requestType, context }
+    async generate(prompt, options = {}) {
+        throw new Error(`generate() not implemented for provider: ${this.name}`);
+    }
+
+    // Resolves with one vector per text
+    async embed(texts, modelName) {
+        throw new Error(`Embeddings are not supported by LLM provider: ${this.name}`);
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.modelName
+        };
+    }
+}
+
+export default BaseLLMProvider;
@@ -0,0 +1,199 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import BaseLLMProvider from './baseProvider.js';
+import { ApiError } from '../../utils/apiError.js';
+import { createWriteLock } from '../../utils/serialization.js';
+import { hashingEmbedding } from '../embedding/hashingEmbeddingProvider.js';
+
+const STOP_WORDS = new Set([
+    'does', 'that', 'this', 'with', 'from', 'have', 'which', 'state', 'states', 'shall',
+    'will', 'their', 'there', 'these', 'those', 'within', 'policy', 'procedure', 'procedures',
+    'should', 'would', 'about', 'into', 'other', 'than', 'such', 'when', 'where', 'what'
+]);
+
+/**
+ * Deterministic, network-free provider for CI and air-gapped environments.
+ *
+ * Responses are replayed from a fixture file keyed by the SHA-256 of the prompt.
+ * When a prompt has no recorded fixture, a heuristic stub derives a response
+ * from the structured request context so the full pipeline still runs. If a
+ * delegate provider is supplied, misses are forwarded to it and recorded.
+ */
+class FixtureProvider extends BaseLLMProvider {
+    constructor(fixturePath, delegate = null) {
+        super('fixture', delegate ? `replay+${delegate.modelName}` : 'replay');
+        this.fixturePath = fixturePath;
+        this.delegate = delegate;
+        this.fixtures = {};
+        this.retryable = Boolean(delegate);
+        this.defaultEmbeddingModel = delegate ? delegate.defaultEmbeddingModel : 'hashing-512';
+        this.stats = { hits: 0, stubbed: 0, recorded: 0 };
+        this.withWriteLock = createWriteLock();
+    }
+
+    async initialize() {
+        try {
+            const data = await fs.readFile(this.fixturePath, 'utf8');
+            this.fixtures = JSON.parse(data);
+            console.log(`✅ Loaded ${Object.keys(this.fixtures).length} LLM fixtures from ${this.fixturePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ApiError(500, `Failed to load LLM fixtures: ${error.message}`);
+            }
+            console.log(`No LLM fixture file at ${this.fixturePath}, using deterministic stubs`);
+        }
+
+        if (this.delegate) {
+            await this.delegate.initialize();
+            console.log(`Recording fixture misses from provider: ${this.delegate.name}`);
+        }
+    }
+
+    hashPrompt(prompt) {
+        return crypto.createHash('sha256').update(prompt).digest('hex');
+    }
+
+    async generate(prompt, options = {}) {
+        const key = this.hashPrompt(prompt);
+
+        if (this.fixtures[key]) {
+            this.stats.hits++;
+            return this.fixtures[key].response;
+        }
+
+        if (this.delegate) {
+            const response = await this.delegate.generate(prompt, options);
+            await this.record(key, options.requestType, response);
+            return response;
+        }
+
+        this.stats.stubbed++;
+        return JSON.stringify(this.stubResponse(options.requestType, options.context || {}));
+    }
+
+    // Embeddings are cheap to recompute, so they are delegated or hashed rather than recorded
+    async embed(texts, modelName) {
+        if (this.delegate) {
+            return this.delegate.embed(texts, modelName);
+        }
+        return texts.map(text => hashingEmbedding(text, 512));
+    }
+
+    // Concurrent misses each rewrite the whole file, so writes are queued and swapped in by rename
+    async record(key, requestType, response) {
+        this.fixtures[key] = { requestType, response };
+        this.stats.recorded++;
+
+        return this.withWriteLock(async () => {
+            await fs.mkdir(path.dirname(this.fixturePath), { recursive: true });
+            const tempPath = `${this.fixturePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(this.fixtures, null, 2));
+            await fs.rename(tempPath, this.fixturePath);
+        });
+    }
+
+    stubResponse(requestType, context) {
+        switch (requestType) {
+            case 'question_extraction':
+                return this.stubQuestionExtraction(context);
+            case 'policy_analysis':
+                return this.stubPolicyAnalysis(context);
+            case 'policy_indexing':
+                return this.stubPolicyIndexing(context);
+            case 'question_annotation':
+                return this.stubQuestionAnnotation(context);
+            default:
+                throw new ApiError(500, `No fixture recorded and no stub available for request type: ${requestType}`);
+        }
+    }
+
+    stubQuestionExtraction({ text = '' }) {
+        const sentences = text.match(/[^?.!]*\?/g) || [];
+
+        const questions = sentences
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 20)
+            .map((sentence, index) => ({
+                id: index + 1,
+                text: sentence,
+                category: 'Other',
+                keywords: this.extractKeywords(sentence),
+                description: sentence.substring(0, 140),
+                requiresEvidence: true
+            }));
+
+        return { questions };
+    }
+
+    stubPolicyAnalysis({ question = {}, policyText = '' }) {
+        const keywords = (question.keywords && question.keywords.length > 0
+            ? question.keywords
+            : this.extractKeywords(question.text || '')
+        ).map(keyword => String(keyword).toLowerCase());
+
+        let bestSentence = null;
+        let bestScore = 0;
+
+        (policyText.match(/[^.!?]+[.!?]?/g) || []).forEach(sentence => {
+            const lowerSentence = sentence.toLowerCase();
+            const score = keywords.filter(keyword => lowerSentence.includes(keyword)).length;
+            if (score > bestScore) {
+                bestScore = score;
+                bestSentence = sentence.trim();
+            }
+        });
+
+        if (!bestSentence) {
+            return { hasAnswer: false, confidence: 'low' };
+        }
+
+        return {
+            hasAnswer: true,
+            confidence: bestScore >= 3 ? 'high' : bestScore === 2 ? 'medium' : 'low',
+            answer: 'yes',
+            evidence: bestSentence.substring(0, 500),
+            pageReference: '',
+            explanation: `Fixture stub matched ${bestScore} question keyword(s) in this sentence`
+        };
+    }
+
+    stubQuestionAnnotation({ questions = [] }) {
+        return {
+            questions: questions.map(question => ({
+                id: question.id,
+                category: 'Other',
+                keywords: this.extractKeywords(question.text),
+                description: question.text.substring(0, 140)
+            }))
+        };
+    }
+
+    stubPolicyIndexing({ policyText = '', fileName = '' }) {
+        const policyNumber = fileName.split('_')[0];
+
+        return {
+            keywords: [policyNumber, ...this.extractKeywords(policyText, 15)].filter(Boolean),
+            short_description: policyText.substring(0, 300).trim(),
+            category: 'Other'
+        };
+    }
+
+    extractKeywords(text, limit = 6) {
+        const words = (text.toLowerCase().match(/[a-z][a-z0-9.-]{3,}/g) || [])
+            .map(word => word.replace(/[.-]+$/, ''))
+            .filter(word => word.length > 3 && !STOP_WORDS.has(word));
+        return [...new Set(words)].slice(0, limit);
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            fixturePath: this.fixturePath,
+            fixtureCount: Object.keys(this.fixtures).length,
+            ...this.stats
+        };
+    }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,35 @@
+import BaseLLMProvider from './baseProvider.js';
+import { initializeGemini, getGeminiModel, getGeminiClient } from '../../config/gemini.js';
+
+class GeminiProvider extends BaseLLMProvider {
+    constructor(modelName) {
+        super('gemini', modelName);
+        this.defaultEmbeddingModel = 'text-embedding-004';
+    }
+
+    async initialize() {
+        initializeGemini(this.modelName);
+    }
+
+    async generate(prompt) {
+        const model = getGeminiModel();
+        const result = await model.generateContent(prompt);
+
+        if (!result || !result.response) {
+            throw new Error('No response received from Gemini API');
+        }
+
+        return result.response.text();
+    }
+
+    async embed(texts, modelName = this.defaultEmbeddingModel) {
+        const model = getGeminiClient().getGenerativeModel({ model: modelName || this.defaultEmbeddingModel });
+        const result = await model.batchEmbedContents({
+            requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+        });
+
+        return result.embeddings.map(embedding => embedding.values);
+    }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,81 @@
+import fetch from 'node-fetch';
+import BaseLLMProvider from './baseProvider.js';
+import config from '../../config/config.js';
+import { ApiError } from '../../utils/apiError.js';
+
+/**
+ * Talks to any server exposing the OpenAI chat completions API,
+ * e.g. llama.cpp's server or Ollama running locally.
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+    constructor(modelName) {
+        super('openai', modelName);
+        this.baseUrl = config.openaiBaseUrl.replace(/\/+$/, '');
+        this.defaultEmbeddingModel = 'nomic-embed-text';
+    }
+
+    async initialize() {
+        if (!this.baseUrl) {
+            throw new ApiError(500, "OpenAI-compatible base URL is not configured");
+        }
+        console.log(`✅ OpenAI-compatible endpoint configured: ${this.baseUrl}`);
+    }
+
+    async post(endpoint, body) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), config.llmRequestTimeoutMs);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(config.openaiApiKey && { Authorization: `Bearer ${config.openaiApiKey}` })
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    async generate(prompt) {
+        const data = await this.post('/chat/completions', {
+            model: this.modelName,
+            messages: [{ role: 'user', content: prompt }],
+            temperature: 0
+        });
+        const content = data?.choices?.[0]?.message?.content;
+
+        if (typeof content !== 'string') {
+            throw new Error('No response received from OpenAI-compatible endpoint');
+        }
+
+        return content;
+    }
+
+    async embed(texts, modelName = this.defaultEmbeddingModel) {
+        const data = await this.post('/embeddings', {
+            model: modelName || this.defaultEmbeddingModel,
+            input: texts
+        });
+
+        if (!Array.isArray(data?.data) || data.data.length !== texts.length) {
+            throw new Error('Unexpected embeddings response from OpenAI-compatible endpoint');
+        }
+
+        return data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,43 @@
+import { VertexAI } from '@google-cloud/vertexai';
+import BaseLLMProvider from './baseProvider.js';
+import config from '../../config/config.js';
+import { ApiError } from '../../utils/apiError.js';
+
+class VertexProvider extends BaseLLMProvider {
+    constructor(modelName) {
+        super('vertex', modelName);
+        this.model = null;
+    }
+
+    async initialize() {
+        if (!config.vertexProject) {
+            throw new ApiError(500, "Vertex AI project is not configured");
+        }
+
+        // Authenticates with Application Default Credentials
+        const vertexAI = new VertexAI({
+            project: config.vertexProject,
+            location: config.vertexLocation
+        });
+        this.model = vertexAI.getGenerativeModel({ model: this.modelName });
+
+        console.log(`✅ Vertex AI initialized (${config.vertexProject}/${config.vertexLocation})`);
+    }
+
+    async generate(prompt) {
+        if (!this.model) {
+            throw new ApiError(500, "Vertex AI not initialized");
+        }
+
+        const result = await this.model.generateContent(prompt);
+        const parts = result?.response?.candidates?.[0]?.content?.parts;
+
+        if (!parts || parts.length === 0) {
+            throw new Error('No response received from Vertex AI');
+        }
+
+        return parts.map(part => part.text || '').join('');
+    }
+}
+
+export default VertexProvider;
@@ -0,0 +1,137 @@
+import config from '../config/config.js';
+import { matchPolicyFile } from '../utils/policyVersion.js';
+
+/**
+ * Common interface for policy document storage. File and subfolder ids are
+ * opaque to callers: Drive ids for the Drive repository, relative paths for
+ * the local repository.
+ */
+class BasePolicyRepository {
+    // recursive: also list nested folders, named by their path below the root ("PA/Archive")
+    constructor(type, { recursive = config.policyFoldersRecursive, maxDepth = config.policyFoldersMaxDepth } = {}) {
+        this.type = type;
+        this.initialized = false;
+        this.recursive = recursive;
+        this.maxDepth = maxDepth;
+    }
+
+    // log: where status messages go (console.log by default)
+    async initialize(_options = {}) {
+        this.initialized = true;
+    }
+
+    async ensureInitialized(options = {}) {
+        if (!this.initialized) {
+            await this.initialize(options);
+        }
+    }
+
+    // Returns [{ id, name }] for each subfolder (PA, GA, MA, ...) under the repository root
+    async listSubfolders() {
+        throw new Error(`listSubfolders() not implemented for repository: ${this.type}`);
+    }
+
+    /**
+     * Top-level folders from listChildren(null), plus their descendants when
+     * recursive. listChildren(folderId) returns [{ id, name }] for one level;
+     * folders already seen are skipped, so a folder with several parents is
+     * listed once.
+     */
+    async walkSubfolders(listChildren) {
+        const subfolders = [];
+        const seen = new Set();
+        let level = (await listChildren(null)).map(folder => ({ ...folder, path: folder.name }));
+
+        for (let depth = 1; level.length > 0; depth++) {
+            const next = [];
+            for (const folder of level) {
+                if (seen.has(folder.id)) continue;
+                seen.add(folder.id);
+                subfolders.push({ id: folder.id, name: folder.path });
+
+                if (this.recursive && depth < this.maxDepth) {
+                    const children = await listChildren(folder.id);
+                    next.push(...children.map(child => ({ ...child, path: `${folder.path}/${child.name}` })));
+                }
+            }
+            level = next;
+        }
+
+        return subfolders;
+    }
+
+    // Returns [{ id, name, mimeType, size, modifiedTime }] for the policy files (PDF, Word, Google Docs) in a subfolder
+    async listPolicyFiles(subfolderId) {
+        throw new Error(`listPolicyFiles() not implemented for repository: ${this.type}`);
+    }
+
+    // Resolves with a Buffer of the file contents
+    async downloadFile(fileId) {
+        throw new Error(`downloadFile() not implemented for repository: ${this.type}`);
+    }
+
+    async getFileMetadata(fileId) {
+        throw new Error(`getFileMetadata() not implemented for repository: ${this.type}`);
+    }
+
+    // Returns a Map of fileId -> boolean
+    async filesExist(fileIds) {
+        const results = new Map();
+        await Promise.all(fileIds.map(async fileId => {
+            try {
+                await this.getFileMetadata(fileId);
+                results.set(fileId, true);
+            } catch (error) {
+                results.set(fileId, false);
+            }
+        }));
+        return results;
+    }
+
+    // Takes [{ policyName, subfolderId }], returns a Map keyed by `${subfolderId}_${policyName}`
+    async findPolicyFiles(policyRequests) {
+        const requestsByFolder = new Map();
+        policyRequests.forEach(req => {
+            if (!requestsByFolder.has(req.subfolderId)) {
+                requestsByFolder.set(req.subfolderId, []);
+            }
+            requestsByFolder.get(req.subfolderId).push(req);
+        });
+
+        const results = new Map();
+
+        await Promise.allSettled(Array.from(requestsByFolder.entries()).map(async ([subfolderId, requests]) => {
+            let files = [];
+            try {
+                files = await this.listPolicyFiles(subfolderId);
+            } catch (error) {
+                console.error(`Error listing policy files in ${subfolderId}:`, error.message);
+            }
+
+            requests.forEach(req => {
+                results.set(`${req.subfolderId}_${req.policyName}`, this.matchPolicyFile(files, req.policyName));
+            });
+        }));
+
+        return results;
+    }
+
+    async findPolicyFile(policyName, subfolderId) {
+        const results = await this.findPolicyFiles([{ policyName, subfolderId }]);
+        return results.get(`${subfolderId}_${policyName}`) || null;
+    }
+
+    matchPolicyFile(files, policyName) {
+        return matchPolicyFile(files, policyName);
+    }
+
+    getStats() {
+        return { type: this.type, initialized: this.initialized };
+    }
+
+    clearCaches() {
+        // No-op by default
+    }
+}
+
+export default BasePolicyRepository;
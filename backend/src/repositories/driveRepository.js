@@ -0,0 +1,59 @@
+import BasePolicyRepository from './baseRepository.js';
+import optimizedDriveService from '../services/driveService.js';
+import config from '../config/config.js';
+import { POLICY_FORMATS, getPolicyFormat } from '../utils/policyFormat.js';
+
+class DrivePolicyRepository extends BasePolicyRepository {
+    constructor(rootFolderId = config.driveFolderId, { sharedDriveId = config.driveSharedDriveId, ...options } = {}) {
+        super('drive', options);
+        this.rootFolderId = rootFolderId;
+        this.listOptions = { driveId: sharedDriveId || null };
+    }
+
+    async initialize(options = {}) {
+        await optimizedDriveService.initialize(options);
+        this.initialized = true;
+    }
+
+    async listSubfolders() {
+        return this.walkSubfolders(folderId => optimizedDriveService.listFoldersWithCache(folderId || this.rootFolderId, this.listOptions));
+    }
+
+    async listPolicyFiles(subfolderId) {
+        return optimizedDriveService.listPolicyFilesWithCache(subfolderId, this.listOptions);
+    }
+
+    // Google Docs are exported (as Word); other files are downloaded as stored
+    async downloadFile(fileId) {
+        const format = POLICY_FORMATS[getPolicyFormat(await this.getFileMetadata(fileId))];
+        return optimizedDriveService.downloadFileQueued(fileId, { exportMimeType: format?.exportMimeType || null });
+    }
+
+    async getFileMetadata(fileId) {
+        return optimizedDriveService.getFileMetadataWithCache(fileId);
+    }
+
+    async filesExist(fileIds) {
+        return optimizedDriveService.batchCheckFilesExist(fileIds);
+    }
+
+    async findPolicyFiles(policyRequests) {
+        return optimizedDriveService.batchFindPolicyFiles(policyRequests, this.listOptions);
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            rootFolderId: this.rootFolderId,
+            sharedDriveId: this.listOptions.driveId,
+            recursive: this.recursive,
+            ...optimizedDriveService.getStats()
+        };
+    }
+
+    clearCaches() {
+        optimizedDriveService.clearAllCaches();
+    }
+}
+
+export default DrivePolicyRepository;
@@ -0,0 +1,122 @@
+import fs from 'fs/promises';
+import path from 'path';
+import BasePolicyRepository from './baseRepository.js';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import metricsService from '../services/metricsService.js';
+import { POLICY_FORMATS, getPolicyFormat } from '../utils/policyFormat.js';
+
+/**
+ * Reads policies from a checked-out archive on disk. Each index `subfolder`
+ * (PA, GA, MA, ...) is a directory under the root; ids are paths relative to it.
+ * Policies are .pdf or .docx files.
+ */
+class LocalPolicyRepository extends BasePolicyRepository {
+    constructor(rootPath = config.driveRootPath, options = {}) {
+        super('local', options);
+        this.rootPath = path.resolve(rootPath);
+    }
+
+    async initialize({ log = console.log } = {}) {
+        try {
+            const stats = await fs.stat(this.rootPath);
+            if (!stats.isDirectory()) {
+                throw new Error('not a directory');
+            }
+        } catch (error) {
+            throw new ApiError(500, `Local policy root is not accessible: ${this.rootPath} (${error.message})`);
+        }
+
+        this.initialized = true;
+        log(`Local policy repository initialized at: ${this.rootPath}`);
+    }
+
+    resolvePath(relativePath) {
+        const fullPath = path.resolve(this.rootPath, relativePath);
+        if (fullPath !== this.rootPath && !fullPath.startsWith(this.rootPath + path.sep)) {
+            throw new ApiError(400, `Invalid policy path: ${relativePath}`);
+        }
+        return fullPath;
+    }
+
+    toId(...segments) {
+        return path.posix.join(...segments);
+    }
+
+    async listSubfolders() {
+        await this.ensureInitialized();
+
+        return this.walkSubfolders(async (folderId) => {
+            const entries = await fs.readdir(folderId ? this.resolvePath(folderId) : this.rootPath, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isDirectory())
+                .map(entry => ({ id: folderId ? this.toId(folderId, entry.name) : entry.name, name: entry.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        });
+    }
+
+    async listPolicyFiles(subfolderId) {
+        await this.ensureInitialized();
+
+        try {
+            const entries = await fs.readdir(this.resolvePath(subfolderId), { withFileTypes: true });
+            const policyEntries = entries.filter(entry => entry.isFile() && getPolicyFormat({ name: entry.name }));
+
+            const files = await Promise.all(policyEntries.map(async entry => {
+                const id = this.toId(subfolderId, entry.name);
+                const stats = await fs.stat(this.resolvePath(id));
+                return {
+                    id,
+                    name: entry.name,
+                    mimeType: POLICY_FORMATS[getPolicyFormat({ name: entry.name })].mimeType,
+                    size: String(stats.size),
+                    modifiedTime: stats.mtime.toISOString()
+                };
+            }));
+
+            return files.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, `Failed to list policy files in ${subfolderId}: ${error.message}`);
+        }
+    }
+
+    async downloadFile(fileId) {
+        const startTime = Date.now();
+        try {
+            const buffer = await fs.readFile(this.resolvePath(fileId));
+            metricsService.observe('policy_download_duration_seconds', { repository: 'local', outcome: 'success' }, (Date.now() - startTime) / 1000);
+            return buffer;
+        } catch (error) {
+            metricsService.observe('policy_download_duration_seconds', { repository: 'local', outcome: 'failure' }, (Date.now() - startTime) / 1000);
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(404, `Failed to read policy file ${fileId}: ${error.message}`);
+        }
+    }
+
+    async getFileMetadata(fileId) {
+        try {
+            const stats = await fs.stat(this.resolvePath(fileId));
+            return {
+                id: fileId,
+                name: path.basename(fileId),
+                size: String(stats.size),
+                mimeType: POLICY_FORMATS[getPolicyFormat({ name: fileId })]?.mimeType || 'application/octet-stream',
+                modifiedTime: stats.mtime.toISOString()
+            };
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(404, `File not found: ${fileId}`);
+        }
+    }
+
+    getStats() {
+        return {
+            ...super.getStats(),
+            rootPath: this.rootPath,
+            recursive: this.recursive
+        };
+    }
+}
+
+export default LocalPolicyRepository;
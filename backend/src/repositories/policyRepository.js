@@ -0,0 +1,17 @@
+import DrivePolicyRepository from './driveRepository.js';
+import LocalPolicyRepository from './localRepository.js';
+import { ApiError } from '../utils/apiError.js';
+
+// options: { driveFolderId, driveRootPath, sharedDriveId, recursive } of the policy set; unset values fall back to the global config
+const createPolicyRepository = (type, { driveFolderId, driveRootPath, sharedDriveId, recursive } = {}) => {
+    switch (type) {
+        case 'drive':
+            return new DrivePolicyRepository(driveFolderId || undefined, { sharedDriveId: sharedDriveId || undefined, recursive });
+        case 'local':
+            return new LocalPolicyRepository(driveRootPath || undefined, { recursive });
+        default:
+            throw new ApiError(500, `Unknown policy repository type: ${type}`);
+    }
+};
+
+export { createPolicyRepository };
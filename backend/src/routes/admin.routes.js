@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import {
+    buildPolicyIndex,
+    getIndexBuildStatus,
+    reloadPolicyIndex,
+} from '../controllers/admin.controller.js';
+import { clearCache } from '../controllers/process.controller.js';
+import { authenticate, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Every admin endpoint requires the admin role
+router.use('/admin', authenticate, requireRole('admin'));
+
+// Rebuild policy index from the policy repository
+router.post('/admin/index/build', buildPolicyIndex);
+
+// Index build status and last report
+router.get('/admin/index/build', getIndexBuildStatus);
+
+// Swap in the current index file and folder mapping of a policy set
+router.post('/admin/index/reload', reloadPolicyIndex);
+
+// Drop cached policy text, analyses, relevance scores and repository lookups
+router.post('/admin/cache/clear', clearCache);
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from 'express';
+import {
+    listAudits,
+    getAudit,
+    deleteAudit,
+    submitReview,
+    exportAudit,
+    getAuditTrail,
+} from '../controllers/audit.controller.js';
+import { authenticate, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Audit history
+router.get('/audits', authenticate, requireRole('auditor'), listAudits);
+router.get('/audits/:id', authenticate, requireRole('auditor'), getAudit);
+router.delete('/audits/:id', authenticate, requireRole('admin'), deleteAudit);
+
+// Reviewer decisions (accept / select candidate / no match, answer overrides, notes)
+router.post('/audits/:id/review', authenticate, requireRole('reviewer'), submitReview);
+
+// Export responses (?format=xlsx|csv|docx|json), or evidence for the annotated policy PDF bundle
+router.get('/audits/:id/export', authenticate, requireRole('auditor'), exportAudit);
+
+// Who uploaded, ran, reviewed and exported the audit (hash-chained event log)
+router.get('/audits/:id/trail', authenticate, requireRole('auditor'), getAuditTrail);
+
+export default router;
@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import {
+    getAuthConfig,
+    login,
+    startOidcLogin,
+    handleOidcCallback,
+    getCurrentUser,
+    listUsers,
+    createUser,
+    updateUser,
+} from '../controllers/auth.controller.js';
+import { authenticate, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Sign-in (public)
+router.get('/auth/config', getAuthConfig);
+router.post('/auth/login', login);
+router.get('/auth/oidc/login', startOidcLogin);
+router.get('/auth/oidc/callback', handleOidcCallback);
+
+// Signed-in user
+router.get('/auth/me', authenticate, getCurrentUser);
+
+// Local user management
+router.get('/auth/users', authenticate, requireRole('admin'), listUsers);
+router.post('/auth/users', authenticate, requireRole('admin'), createUser);
+router.patch('/auth/users/:username', authenticate, requireRole('admin'), updateUser);
+
+export default router;
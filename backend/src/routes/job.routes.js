@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import {
+    getJobStatus,
+    streamJobEvents,
+} from '../controllers/job.controller.js';
+import { authenticate, authenticateEventStream, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Job status and result
+router.get('/jobs/:id', authenticate, requireRole('auditor'), getJobStatus);
+
+// Live progress stream (Server-Sent Events); EventSource passes the token as ?access_token=
+router.get('/jobs/:id/events', authenticateEventStream, requireRole('auditor'), streamJobEvents);
+
+export default router;
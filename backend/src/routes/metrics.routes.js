@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import {
+    getMetrics,
+} from '../controllers/metrics.controller.js';
+
+const router = Router();
+
+// Prometheus scrape endpoint (text exposition format)
+router.get('/metrics', getMetrics);
+
+export default router;
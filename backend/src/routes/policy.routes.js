@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+    listPolicySets,
+    getUnresolvedPolicies,
+    reconcilePolicyIndex,
+} from '../controllers/policy.controller.js';
+import { authenticate, requireRole } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Policy sets available to /process
+router.get('/policy-sets', authenticate, requireRole('auditor'), listPolicySets);
+
+// Index entries of a set with no matching file in its repository
+router.get('/policy-sets/:setId/unresolved', authenticate, requireRole('auditor'), getUnresolvedPolicies);
+
+// Validate a set's index and reconcile it with the repository (?set=..., ?format=text)
+router.get('/policies/reconcile', authenticate, requireRole('admin'), reconcilePolicyIndex);
+
+export default router;
@@ -1,18 +1,17 @@
 import { Router } from 'express';
 import {
     processAuditQuestions,
+    healthCheck,
 } from '../controllers/process.controller.js';
-import { uploadSinglePDF, handleUploadError } from '../middlewares/upload.middleware.js';
+import { uploadQuestionnaire, handleUploadError } from '../middlewares/upload.middleware.js';
+import { authenticate, requireRole } from '../middlewares/auth.middleware.js';
 
 const router = Router();
 
-// Health check route
-// router.get('/health', getHealthStatus);
+// Health check route (public, for load balancers and uptime checks)
+router.get('/health', healthCheck);
 
-// Process audit questions PDF
-router.post('/process', uploadSinglePDF, handleUploadError, processAuditQuestions);
-
-// Submit selected matches
-// router.post('/submit-matches', submitMatches);
+// Process audit questions PDF; optional `asOf` form field (YYYY-MM-DD) checks policies as of the audit look-back date
+router.post('/process', authenticate, requireRole('auditor'), uploadQuestionnaire, handleUploadError, processAuditQuestions);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { initializeLLM } from '../config/llm.js';
+import optimizedPolicyService from '../services/policyService.js';
+import policyIndexBuilder from '../services/indexBuilderService.js';
+
+// Usage: npm run index:build -- [--force] [--dry-run] [--set policy-set] [--output path/to/index.json]
+const parseArgs = (argv) => {
+    const options = { force: false, dryRun: false, setId: null, indexPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') options.force = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--set') options.setId = argv[++i];
+        else if (arg === '--output') options.indexPath = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return options;
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        await initializeLLM();
+        await optimizedPolicyService.configurePolicySets();
+        const policySet = optimizedPolicyService.getPolicySet(options.setId);
+
+        const report = await policyIndexBuilder.build({
+            policySet,
+            force: options.force,
+            dryRun: options.dryRun,
+            indexPath: options.indexPath || policySet.indexPath,
+            onProgress: (processed, total) => {
+                if (processed % 10 === 0 || processed === total) {
+                    console.log(`📚 Indexed ${processed}/${total} files`);
+                }
+            }
+        });
+
+        console.log('');
+        console.log('===== Policy Index Build Report =====');
+        console.log(`Index:     ${report.indexPath}${report.dryRun ? ' (dry run, not written)' : ''}`);
+        console.log(`Files:     ${report.totalFiles}`);
+        console.log(`Entries:   ${report.totalEntries}`);
+        console.log(`Added:     ${report.added.length}`);
+        console.log(`Updated:   ${report.updated.length}`);
+        console.log(`Adopted:   ${report.adopted.length}`);
+        console.log(`Unchanged: ${report.unchanged.length}`);
+        console.log(`Failed:    ${report.failed.length}`);
+        report.failed.forEach(failure => console.log(`   ❌ ${failure.file}: ${failure.error}`));
+        if (report.missingFiles.length > 0) {
+            console.log(`Index entries with no file in the repository: ${report.missingFiles.length}`);
+            report.missingFiles.forEach(key => console.log(`   ⚠️ ${key}`));
+        }
+
+        process.exit(report.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Policy index build failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
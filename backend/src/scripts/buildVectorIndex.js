@@ -0,0 +1,63 @@
+import config from '../config/config.js';
+import { initializeLLM } from '../config/llm.js';
+import optimizedPolicyService from '../services/policyService.js';
+import policyIndexBuilder from '../services/indexBuilderService.js';
+
+// Usage: npm run index:vectors -- [--force] [--set policy-set] [--index path/to/index.json]
+const parseArgs = (argv) => {
+    const options = { force: false, setId: null, indexPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') options.force = true;
+        else if (arg === '--set') options.setId = argv[++i];
+        else if (arg === '--index') options.indexPath = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return options;
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        // The LLM provider is only needed for EMBEDDING_PROVIDER=llm
+        if (config.embeddingProvider === 'llm') {
+            await initializeLLM();
+        }
+        await optimizedPolicyService.configurePolicySets();
+        const policySet = optimizedPolicyService.getPolicySet(options.setId);
+        if (options.indexPath) policySet.indexPath = options.indexPath;
+        await policySet.loadPolicyIndex();
+
+        const report = await policyIndexBuilder.buildVectors({
+            policySet,
+            force: options.force,
+            onProgress: (processed, total) => {
+                if (processed % 10 === 0 || processed === total) {
+                    console.log(`🧮 Embedded ${processed}/${total} policies`);
+                }
+            }
+        });
+
+        console.log('');
+        console.log('===== Vector Index Build Report =====');
+        console.log(`Vectors:   ${report.vectorPath}`);
+        console.log(`Policies:  ${report.totalPolicies}`);
+        console.log(`Chunks:    ${report.totalChunks}`);
+        console.log(`Added:     ${report.added.length}`);
+        console.log(`Updated:   ${report.updated.length}`);
+        console.log(`Unchanged: ${report.unchanged.length}`);
+        console.log(`Removed:   ${report.removed.length}`);
+        console.log(`Failed:    ${report.failed.length}`);
+        report.failed.forEach(failure => console.log(`   ❌ ${failure.file}: ${failure.error}`));
+
+        process.exit(report.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Vector index build failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
@@ -0,0 +1,57 @@
+import readline from 'readline/promises';
+import userService from '../services/userService.js';
+import { ROLES } from '../utils/roles.js';
+
+// Usage: npm run users:create -- --username jdoe --role auditor|reviewer|admin [--name "Jane Doe"] [--password ...] [--update]
+// Without --password the password is read from stdin; --update changes an existing user's role, name or password
+const parseArgs = (argv) => {
+    const options = { username: null, role: null, name: undefined, password: null, update: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--username') options.username = argv[++i];
+        else if (arg === '--role') options.role = argv[++i];
+        else if (arg === '--name') options.name = argv[++i];
+        else if (arg === '--password') options.password = argv[++i];
+        else if (arg === '--update') options.update = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.username) throw new Error('--username is required');
+    if (!options.update && !options.role) throw new Error(`--role is required (${ROLES.join(', ')})`);
+
+    return options;
+};
+
+const readPassword = async () => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    try {
+        return (await rl.question('Password: ')).trim();
+    } finally {
+        rl.close();
+    }
+};
+
+const main = async () => {
+    let options = {};
+    try {
+        options = parseArgs(process.argv.slice(2));
+        const password = options.password ?? (options.update ? null : await readPassword());
+
+        const user = options.update
+            ? await userService.updateUser(options.username, {
+                role: options.role || undefined,
+                name: options.name,
+                password: password || undefined
+            })
+            : await userService.createUser({ username: options.username, password, role: options.role, name: options.name });
+
+        console.log(`✅ ${options.update ? 'Updated' : 'Created'} ${user.role} user ${user.username}`);
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ User ${options.update ? 'update' : 'creation'} failed:`, error.message);
+        process.exit(1);
+    }
+};
+
+main();
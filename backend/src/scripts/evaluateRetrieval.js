@@ -0,0 +1,153 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { initializeLLM, getLLMProvider } from '../config/llm.js';
+import optimizedPolicyService from '../services/policyService.js';
+import retrievalEvaluationService from '../services/evaluationService.js';
+import { parallelProcessor } from '../controllers/process.controller.js';
+
+// Usage: npm run eval:retrieval -- --gold gold.json [--mode keyword|hybrid|both] [--k 1,3,5,10]
+//        [--pipeline [--live]] [--output report.json] [--compare previous.json] [--set policy-set] [--index path/to/index.json]
+const parseArgs = (argv) => {
+    const options = {
+        goldPath: null,
+        modes: [config.retrievalMode],
+        ks: [1, 3, 5, 10],
+        pipeline: false,
+        live: false,
+        outputPath: null,
+        comparePath: null,
+        setId: null,
+        indexPath: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--gold') options.goldPath = argv[++i];
+        else if (arg === '--mode') {
+            const mode = argv[++i];
+            options.modes = mode === 'both' ? ['keyword', 'hybrid'] : [mode];
+        }
+        else if (arg === '--k') options.ks = argv[++i].split(',').map(Number);
+        else if (arg === '--pipeline') options.pipeline = true;
+        else if (arg === '--live') options.live = true;
+        else if (arg === '--output') options.outputPath = argv[++i];
+        else if (arg === '--compare') options.comparePath = argv[++i];
+        else if (arg === '--set') options.setId = argv[++i];
+        else if (arg === '--index') options.indexPath = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.goldPath) throw new Error('--gold is required');
+    if (options.ks.some(k => !Number.isInteger(k) || k < 1)) throw new Error('--k takes positive integers, e.g. 1,3,5,10');
+
+    return options;
+};
+
+const formatSummary = (summary, ks) => [
+    ...ks.map(k => `recall@${k}=${summary.recall[k]}`),
+    `MRR=${summary.mrr}`,
+    `misses=${summary.misses}`,
+    ...(summary.answerAccuracy !== undefined ? [`answerAccuracy=${summary.answerAccuracy} (${summary.answersScored} scored)`] : [])
+].join('  ');
+
+const formatDelta = (delta) => Object.entries(delta)
+    .map(([metric, value]) => `${metric} ${value >= 0 ? '+' : ''}${value}`)
+    .join('  ') || 'no change';
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        const goldQuestions = await retrievalEvaluationService.loadGoldSet(options.goldPath);
+
+        let processor = null;
+        if (options.pipeline) {
+            // Offline by default: the fixture provider replays recorded answers or stubs them deterministically
+            if (!options.live) {
+                config.llmProvider = 'fixture';
+                config.llmFixtureRecordFrom = '';
+            }
+            await initializeLLM();
+            processor = parallelProcessor;
+        } else if (config.embeddingProvider === 'llm' && options.modes.includes('hybrid')) {
+            await initializeLLM();
+        }
+
+        await optimizedPolicyService.configurePolicySets();
+        const policySet = optimizedPolicyService.getPolicySet(options.setId);
+        if (options.indexPath) policySet.indexPath = options.indexPath;
+
+        // Retrieval alone only needs the index; the pipeline also downloads policies
+        await policySet.loadPolicyIndex({ connectRepository: options.pipeline });
+        if (options.modes.includes('hybrid') && !policySet.vectorIndex.isLoaded()) {
+            await policySet.vectorIndex.load(policySet.indexPath);
+        }
+
+        const report = {
+            gold: path.basename(options.goldPath),
+            policySet: policySet.id,
+            questions: goldQuestions.length,
+            ks: options.ks,
+            pipeline: options.pipeline ? { provider: getLLMProvider().name, model: getLLMProvider().modelName } : null,
+            modes: {}
+        };
+
+        for (const mode of options.modes) {
+            if (mode === 'hybrid' && !policySet.vectorIndex.isLoaded()) {
+                throw new Error('Hybrid mode needs a vector index; run "npm run index:vectors" first');
+            }
+            // The pipeline looks policies up with the configured mode
+            config.retrievalMode = mode;
+            policySet.relevanceScoringCache.clear();
+            processor?.clearCache();
+
+            console.log(`🔎 Evaluating ${goldQuestions.length} questions with ${mode} retrieval${options.pipeline ? ' and the evidence pipeline' : ''}...`);
+            report.modes[mode] = await retrievalEvaluationService.evaluate(goldQuestions, { policySet, mode, ks: options.ks, processor });
+        }
+
+        console.log('');
+        console.log('===== Retrieval Evaluation Report =====');
+        Object.entries(report.modes).forEach(([mode, modeReport]) => {
+            console.log(`[${mode}] ${formatSummary(modeReport.overall, options.ks)}`);
+            Object.entries(modeReport.byCategory).forEach(([category, summary]) => {
+                console.log(`   ${category} (${summary.questions}): ${formatSummary(summary, options.ks)}`);
+            });
+            modeReport.questions
+                .filter(result => result.unknownPolicies.length > 0)
+                .forEach(result => console.log(`   ⚠️  Question ${result.id}: expected policies not in the index: ${result.unknownPolicies.join(', ')}`));
+        });
+
+        if (options.comparePath) {
+            const previous = JSON.parse(await fs.readFile(options.comparePath, 'utf8'));
+            console.log('');
+            console.log(`===== Compared with ${options.comparePath} =====`);
+            Object.entries(report.modes).forEach(([mode, modeReport]) => {
+                if (!previous.modes?.[mode]) {
+                    console.log(`[${mode}] not in previous report`);
+                    return;
+                }
+                const comparison = retrievalEvaluationService.compareReports(previous.modes[mode], modeReport);
+                console.log(`[${mode}] ${formatDelta(comparison.overall)}`);
+                Object.entries(comparison.byCategory).forEach(([category, delta]) => {
+                    console.log(`   ${category}: ${formatDelta(delta)}`);
+                });
+                comparison.rankChanges.forEach(change => {
+                    console.log(`   Question ${change.id}: rank ${change.from ?? 'miss'} -> ${change.to ?? 'miss'}`);
+                });
+            });
+        }
+
+        if (options.outputPath) {
+            await fs.writeFile(options.outputPath, `${JSON.stringify(report, null, 2)}\n`);
+            console.log(`\nReport written to ${options.outputPath}`);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Retrieval evaluation failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
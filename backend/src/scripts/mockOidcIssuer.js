@@ -0,0 +1,98 @@
+import express from 'express';
+import crypto from 'crypto';
+import { generateKeyPair, exportJWK, SignJWT } from 'jose';
+
+/**
+ * Minimal OpenID Connect provider for trying single sign-on locally. Every
+ * authorization request is approved at once as the configured test user.
+ *
+ * Usage: npm run oidc:mock
+ *   MOCK_OIDC_PORT=4100 MOCK_OIDC_USER=jdoe MOCK_OIDC_ROLES=reviewer MOCK_OIDC_CLIENT_ID=policy-audit
+ * then start the backend with OIDC_ISSUER=http://localhost:4100 and OIDC_CLIENT_ID=policy-audit.
+ */
+const port = Number(process.env.MOCK_OIDC_PORT || 4100);
+const issuer = `http://localhost:${port}`;
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'policy-audit';
+const testUser = {
+    sub: `mock-${process.env.MOCK_OIDC_USER || 'jdoe'}`,
+    preferred_username: process.env.MOCK_OIDC_USER || 'jdoe',
+    name: process.env.MOCK_OIDC_NAME || 'Jane Doe',
+    email: `${process.env.MOCK_OIDC_USER || 'jdoe'}@example.com`,
+    roles: (process.env.MOCK_OIDC_ROLES || 'reviewer').split(',').map(role => role.trim()).filter(Boolean)
+};
+
+const codes = new Map();
+
+const main = async () => {
+    const { publicKey, privateKey } = await generateKeyPair('RS256');
+    const jwk = { ...(await exportJWK(publicKey)), kid: 'mock-key', alg: 'RS256', use: 'sig' };
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            code_challenge_methods_supported: ['S256']
+        });
+    });
+
+    app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+        if (client_id !== clientId || !redirect_uri) {
+            return res.status(400).send('Unknown client_id or missing redirect_uri');
+        }
+        if (code_challenge_method !== 'S256' || !code_challenge) {
+            return res.status(400).send('PKCE with S256 is required');
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge });
+        console.log(`🔑 Approved sign-in for ${testUser.preferred_username} (${testUser.roles.join(', ')})`);
+
+        const target = new URL(redirect_uri);
+        target.searchParams.set('code', code);
+        if (state) target.searchParams.set('state', state);
+        res.redirect(target.toString());
+    });
+
+    app.post('/token', async (req, res) => {
+        const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+        const pending = codes.get(code);
+        codes.delete(code);
+
+        const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+        if (grant_type !== 'authorization_code' || !pending || client_id !== clientId
+            || redirect_uri !== pending.redirectUri || challenge !== pending.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+
+        const idToken = await new SignJWT({ ...testUser, nonce: pending.nonce })
+            .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+            .setIssuer(issuer)
+            .setAudience(clientId)
+            .setSubject(testUser.sub)
+            .setIssuedAt()
+            .setExpirationTime('5m')
+            .sign(privateKey);
+
+        res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+    });
+
+    app.listen(port, () => {
+        console.log(`🧪 Mock OIDC issuer at ${issuer} (client ${clientId}, user ${testUser.preferred_username}, roles ${testUser.roles.join(', ')})`);
+    });
+};
+
+main().catch(error => {
+    console.error('❌ Mock OIDC issuer failed:', error.message);
+    process.exit(1);
+});
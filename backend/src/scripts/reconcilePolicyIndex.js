@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import optimizedPolicyService from '../services/policyService.js';
+import policyIndexReconciliationService from '../services/reconciliationService.js';
+
+// Usage: npm run index:reconcile -- [--set policy-set] [--index path/to/index.json] [--json] [--output report.json]
+// Exits 1 when the report finds problems, so it can gate an index change in CI
+const parseArgs = (argv) => {
+    const options = { setId: null, indexPath: null, json: false, outputPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--set') options.setId = argv[++i];
+        else if (arg === '--index') options.indexPath = argv[++i];
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--output') options.outputPath = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return options;
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+
+        await optimizedPolicyService.configurePolicySets();
+        const policySet = optimizedPolicyService.getPolicySet(options.setId);
+
+        const report = await policyIndexReconciliationService.reconcile(policySet, {
+            indexPath: options.indexPath || policySet.indexPath,
+            // stdout carries only the report
+            log: console.error
+        });
+
+        if (options.json) {
+            process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        } else {
+            process.stdout.write(policyIndexReconciliationService.formatReport(report));
+        }
+
+        if (options.outputPath) {
+            await fs.writeFile(options.outputPath, `${JSON.stringify(report, null, 2)}\n`);
+            console.error(`Report written to ${options.outputPath}`);
+        }
+
+        process.exit(report.summary.ok ? 0 : 1);
+    } catch (error) {
+        console.error('❌ Policy index reconciliation failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
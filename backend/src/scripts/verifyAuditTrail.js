@@ -0,0 +1,56 @@
+import config from '../config/config.js';
+import auditTrailService from '../services/auditTrailService.js';
+
+// Usage: npm run trail:verify -- [--trail path/to/audit_trail.jsonl] [--expect-head <hash>]
+// --expect-head compares the chain head with one recorded earlier, which also catches a truncated log
+const parseArgs = (argv) => {
+    const options = { trailPath: config.auditTrailPath, expectedHead: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--trail') options.trailPath = argv[++i];
+        else if (arg === '--expect-head') options.expectedHead = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return options;
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        auditTrailService.trailPath = options.trailPath;
+
+        const result = await auditTrailService.verify();
+
+        console.log('===== Audit Trail Verification =====');
+        console.log(`Trail:  ${options.trailPath}`);
+        console.log(`Events: ${result.events}${result.valid ? '' : ' valid before the break'}`);
+        console.log(`Head:   ${result.headHash}`);
+
+        if (!result.valid) {
+            console.log(`❌ Chain broken at line ${result.error.line}: ${result.error.reason}`);
+            process.exit(1);
+        }
+
+        if (options.expectedHead) {
+            const seen = await auditTrailService.readLines();
+            const found = seen.some(line => JSON.parse(line).hash === options.expectedHead);
+            if (!found) {
+                console.log('❌ Expected head hash is not in the chain; events were removed or the log was replaced');
+                process.exit(1);
+            }
+            if (options.expectedHead !== result.headHash) {
+                console.log('ℹ️ Expected head found; events have been appended since it was recorded');
+            }
+        }
+
+        console.log('✅ Chain intact');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Audit trail verification failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
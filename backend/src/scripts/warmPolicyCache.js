@@ -0,0 +1,76 @@
+import optimizedPolicyService from '../services/policyService.js';
+import policyFileCache from '../services/policyCacheService.js';
+import optimizedGeminiService from '../services/geminiService.js';
+
+// Usage: npm run cache:warm -- [--set policy-set] [--concurrency 4]
+// Downloads and parses every policy in the index (all versions) into the on-disk cache; all sets unless --set is given
+const parseArgs = (argv) => {
+    const options = { setId: null, concurrency: 4 };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--set') options.setId = argv[++i];
+        else if (arg === '--concurrency') options.concurrency = Number(argv[++i]);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) throw new Error('--concurrency takes a positive integer');
+    return options;
+};
+
+const warmPolicySet = async (policySet, concurrency) => {
+    await policySet.loadPolicyIndex();
+    const policies = policySet.getPolicyIndex();
+    const failed = [];
+    let processed = 0;
+
+    for (const batch of optimizedGeminiService.createBatches(policies, concurrency)) {
+        await Promise.all(batch.map(async policy => {
+            try {
+                await policySet.getPolicyDocument(policy);
+            } catch (error) {
+                failed.push({ policy: `${policy.subfolder}/${policy.pdf_name}`, error: error.message });
+            }
+            processed++;
+        }));
+        console.log(`🔥 ${policySet.id}: ${processed}/${policies.length} policies`);
+    }
+
+    return { total: policies.length, failed };
+};
+
+const main = async () => {
+    try {
+        const options = parseArgs(process.argv.slice(2));
+        if (!policyFileCache.enabled) {
+            throw new Error('The policy cache is disabled (POLICY_CACHE_ENABLED=false)');
+        }
+
+        await optimizedPolicyService.configurePolicySets();
+        const policySets = options.setId
+            ? [optimizedPolicyService.getPolicySet(options.setId)]
+            : optimizedPolicyService.listPolicySets().map(({ id }) => optimizedPolicyService.getPolicySet(id));
+
+        let anyFailed = false;
+        for (const policySet of policySets) {
+            const { total, failed } = await warmPolicySet(policySet, options.concurrency);
+            console.log(`✅ ${policySet.id}: ${total - failed.length}/${total} policies cached`);
+            failed.forEach(failure => console.log(`   ❌ ${failure.policy}: ${failure.error}`));
+            anyFailed = anyFailed || failed.length > 0;
+        }
+
+        const stats = policyFileCache.getStats();
+        console.log('');
+        console.log('===== Policy Cache =====');
+        console.log(`Directory: ${stats.directory}`);
+        console.log(`Entries:   ${stats.entries} (${(stats.bytes / 1024 / 1024).toFixed(1)} of ${(stats.maxBytes / 1024 / 1024).toFixed(0)} MB)`);
+        console.log(`Already cached: ${stats.hits.policy_text}, parsed now: ${stats.misses.policy_text} (${stats.misses.policy_file} downloaded), refreshed after change: ${stats.invalidated}, evicted: ${stats.evicted}`);
+
+        process.exit(anyFailed ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Policy cache warm-up failed:', error.message);
+        process.exit(1);
+    }
+};
+
+main();
@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { canonicalize } from '../utils/serialization.js';
+import metricsService from './metricsService.js';
+
+// Lowercased with whitespace collapsed, so re-typed or re-extracted questions still match
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Disk cache of per-policy analysis results, kept across restarts so that
+ * re-running a questionnaire only sends new or changed work to the model.
+ *
+ * An entry is addressed by the SHA-256 of everything that shapes the answer:
+ * the normalized question (text, description and keywords, which pick the
+ * passages), the policy file id and version (modifiedTime and checksum from
+ * the repository), the LLM provider and model, the prompt-template version
+ * and the evidence search settings. Changing any of them yields a new key,
+ * so stale results are never read back. "No answer" outcomes are cached as
+ * well; failed analyses are not.
+ *
+ *   <dir>/<first two hex chars>/<key>.json   { key, createdAt, inputs, result }
+ */
+class AnalysisResultCache {
+    constructor() {
+        this.cacheDir = config.analysisCacheDir;
+        this.enabled = config.analysisCacheEnabled;
+        this.ttlMs = config.analysisCacheTtlDays > 0 ? config.analysisCacheTtlDays * 24 * 60 * 60 * 1000 : 0;
+        this.stats = { hits: 0, misses: 0, writes: 0, expired: 0 };
+    }
+
+    describeInputs({ question, policySet, fileId, metadata, policy, provider, promptVersion }) {
+        return {
+            question: {
+                text: normalizeText(question.text),
+                description: normalizeText(question.description),
+                keywords: (question.keywords || []).map(normalizeText).filter(Boolean).sort()
+            },
+            policy: {
+                policySet: policySet.id,
+                repository: policySet.repositoryType,
+                fileId,
+                name: policy.pdf_name,
+                modifiedTime: metadata?.modifiedTime || null,
+                checksum: metadata?.md5Checksum || null
+            },
+            model: { provider: provider.name, model: provider.modelName },
+            promptVersion,
+            evidence: {
+                passagesPerRound: config.evidencePassagesPerRound,
+                maxRounds: config.evidenceMaxRounds,
+                maxChars: config.evidenceMaxChars,
+                retrievalMode: config.retrievalMode
+            }
+        };
+    }
+
+    getKey(inputs) {
+        return crypto.createHash('sha256').update(canonicalize(inputs)).digest('hex');
+    }
+
+    getPath(key) {
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+
+    // { found, result }; result is null for a cached "no answer"
+    async get(key) {
+        if (!this.enabled) return { found: false, result: null };
+
+        let entry = null;
+        try {
+            entry = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Analysis cache entry ${key} unreadable, ignoring:`, error.message);
+            }
+        }
+
+        if (entry && this.ttlMs && Date.now() - Date.parse(entry.createdAt) > this.ttlMs) {
+            this.stats.expired++;
+            await fs.rm(this.getPath(key), { force: true });
+            entry = null;
+        }
+
+        const found = Boolean(entry && entry.key === key);
+        this.stats[found ? 'hits' : 'misses']++;
+        metricsService.recordCacheLookup('disk_analysis', found);
+        return { found, result: found ? entry.result : null };
+    }
+
+    async set(key, inputs, result) {
+        if (!this.enabled) return;
+
+        const filePath = this.getPath(key);
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(tempPath, JSON.stringify({ key, createdAt: new Date().toISOString(), inputs, result }));
+            await fs.rename(tempPath, filePath);
+            this.stats.writes++;
+        } catch (error) {
+            // A lost cache write only costs a repeat request later
+            console.error(`Failed to write analysis cache entry ${key}:`, error.message);
+            await fs.rm(tempPath, { force: true });
+        }
+    }
+
+    getStats() {
+        if (!this.enabled) return { enabled: false };
+        return {
+            enabled: true,
+            directory: this.cacheDir,
+            ttlDays: config.analysisCacheTtlDays || null,
+            ...this.stats
+        };
+    }
+
+    async clear() {
+        await fs.rm(this.cacheDir, { recursive: true, force: true });
+    }
+}
+
+const analysisResultCache = new AnalysisResultCache();
+
+export default analysisResultCache;
@@ -0,0 +1,326 @@
+import JSZip from 'jszip';
+import { PDFDocument, StandardFonts, BlendMode, rgb } from 'pdf-lib';
+import pdfService from './pdfService.js';
+import reviewService from './reviewService.js';
+import optimizedPolicyService from './policyService.js';
+
+const HIGHLIGHT_COLOR = rgb(1, 0.92, 0.23);
+const LABEL_COLOR = rgb(0.75, 0.1, 0.1);
+const ANCHOR_WORDS = 8;
+
+const MATCH_LABELS = {
+    exact: 'highlighted',
+    partial: 'approximate highlight (quote not found verbatim)',
+    not_found: 'not located - quote not found in policy text',
+    unmarked: 'not highlighted - Word / Google Docs policy included as is',
+    unavailable: 'policy file unavailable'
+};
+
+/**
+ * Builds the evidence bundle for an audit: every cited policy PDF with the
+ * quoted evidence highlighted, plus a cover index mapping each question to
+ * its policy and page.
+ *
+ * Quotes are matched against the PDF text layer ignoring case, whitespace
+ * and punctuation. When the whole quote is not there, the first and last few
+ * words are used as anchors and the highlight is marked approximate; when
+ * neither anchor is found the policy is included unmarked. Policies kept as
+ * Word files or Google Docs (exported as Word) cannot be marked up and are
+ * included as they are.
+ */
+class EvidenceAnnotationService {
+    compact(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Compact text of each page with the character span of every text item
+    buildPageIndex(layoutPages) {
+        return layoutPages.map(page => {
+            let text = '';
+            const spans = page.items.map(item => {
+                const start = text.length;
+                text += this.compact(item.str);
+                return { start, end: text.length, item };
+            });
+            return { pageNumber: page.pageNumber, text, spans };
+        });
+    }
+
+    locateEvidence(evidence, pageIndex) {
+        const needle = this.compact(evidence);
+        if (!needle) return { matchType: 'not_found' };
+
+        for (const page of pageIndex) {
+            const start = page.text.indexOf(needle);
+            if (start !== -1) {
+                return { matchType: 'exact', pageNumber: page.pageNumber, start, end: start + needle.length };
+            }
+        }
+
+        const words = String(evidence).split(/\s+/).filter(word => this.compact(word));
+        if (words.length < ANCHOR_WORDS) return { matchType: 'not_found' };
+
+        const head = this.compact(words.slice(0, ANCHOR_WORDS).join(' '));
+        const tail = this.compact(words.slice(-ANCHOR_WORDS).join(' '));
+
+        for (const page of pageIndex) {
+            const headStart = page.text.indexOf(head);
+            const tailStart = page.text.indexOf(tail, headStart === -1 ? 0 : headStart);
+
+            if (headStart !== -1 && tailStart !== -1 && tailStart - headStart <= needle.length * 2) {
+                return { matchType: 'partial', pageNumber: page.pageNumber, start: headStart, end: tailStart + tail.length };
+            }
+            if (headStart !== -1) {
+                return { matchType: 'partial', pageNumber: page.pageNumber, start: headStart, end: Math.min(page.text.length, headStart + needle.length) };
+            }
+            if (tailStart !== -1) {
+                return { matchType: 'partial', pageNumber: page.pageNumber, start: Math.max(0, tailStart + tail.length - needle.length), end: tailStart + tail.length };
+            }
+        }
+
+        return { matchType: 'not_found' };
+    }
+
+    // Rectangles covering the matched characters, clipped proportionally within each text item
+    getHighlightRects(page, start, end) {
+        return page.spans
+            .filter(span => span.end > start && span.start < end && span.end > span.start)
+            .map(({ start: spanStart, end: spanEnd, item }) => {
+                const length = spanEnd - spanStart;
+                const from = (Math.max(start, spanStart) - spanStart) / length;
+                const to = (Math.min(end, spanEnd) - spanStart) / length;
+                return {
+                    x: item.x + item.width * from,
+                    y: item.y - item.height * 0.25,
+                    width: item.width * (to - from),
+                    height: item.height * 1.2
+                };
+            });
+    }
+
+    collectCitations(audit) {
+        const citations = [];
+
+        (audit.questions || []).forEach(question => {
+            const { candidate } = reviewService.resolveQuestion(audit, question.id);
+            if (!candidate?.docName || !candidate.subfolder) return;
+
+            citations.push({
+                questionId: question.id,
+                question: question.text,
+                docName: candidate.docName,
+                subfolder: candidate.subfolder,
+                evidence: candidate.evidence || '',
+                pageReference: candidate.pageReference || '',
+                pages: candidate.pages || [],
+                policyVersion: candidate.policyVersion || null,
+                sourceFormat: candidate.sourceFormat || 'pdf'
+            });
+        });
+
+        return citations;
+    }
+
+    groupByPolicy(citations) {
+        const groups = new Map();
+        citations.forEach(citation => {
+            const key = `${citation.subfolder}/${citation.docName}`;
+            if (!groups.has(key)) {
+                groups.set(key, { subfolder: citation.subfolder, docName: citation.docName, citations: [] });
+            }
+            groups.get(key).citations.push(citation);
+        });
+        return Array.from(groups.values());
+    }
+
+    async annotatePolicy(group, policySet) {
+        let buffer;
+        try {
+            buffer = await policySet.getPolicyFile({ pdf_name: group.docName, subfolder: group.subfolder });
+        } catch (error) {
+            console.error(`Evidence bundle: could not download ${group.docName}:`, error.message);
+            group.citations.forEach(citation => Object.assign(citation, { matchType: 'unavailable', pageNumber: null }));
+            return null;
+        }
+
+        if (buffer.subarray(0, 4).toString('latin1') !== '%PDF') {
+            group.fileName = `${group.docName.replace(/\.(pdf|docx)$/i, '')}.docx`;
+            group.citations.forEach(citation => Object.assign(citation, { matchType: 'unmarked', pageNumber: citation.pages[0] || null }));
+            return buffer;
+        }
+
+        let pageIndex = [];
+        try {
+            pageIndex = this.buildPageIndex(await pdfService.extractTextLayout(buffer));
+        } catch (error) {
+            console.error(`Evidence bundle: no text layer for ${group.docName}:`, error.message);
+        }
+
+        const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true });
+        const labelFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const pages = pdfDoc.getPages();
+
+        group.citations.forEach(citation => {
+            const match = this.locateEvidence(citation.evidence, pageIndex);
+            Object.assign(citation, { matchType: match.matchType, pageNumber: match.pageNumber || null });
+            if (!match.pageNumber) return;
+
+            const page = pages[match.pageNumber - 1];
+            const layoutPage = pageIndex.find(entry => entry.pageNumber === match.pageNumber);
+            if (!page || !layoutPage) return;
+
+            const rects = this.getHighlightRects(layoutPage, match.start, match.end);
+            rects.forEach(rect => page.drawRectangle({
+                ...rect,
+                color: HIGHLIGHT_COLOR,
+                opacity: match.matchType === 'exact' ? 0.45 : 0.25,
+                blendMode: BlendMode.Multiply
+            }));
+
+            if (rects.length > 0) {
+                page.drawText(`Q${citation.questionId}`, {
+                    x: Math.max(4, Math.min(...rects.map(rect => rect.x)) - 26),
+                    y: rects[0].y + 2,
+                    size: 8,
+                    font: labelFont,
+                    color: LABEL_COLOR
+                });
+            }
+        });
+
+        return Buffer.from(await pdfDoc.save());
+    }
+
+    // Standard PDF fonts only cover WinAnsi; replace anything else so drawText never throws
+    toWinAnsi(text) {
+        return String(text ?? '')
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/\s+/g, ' ')
+            .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+    }
+
+    wrapText(text, font, size, maxWidth) {
+        const lines = [];
+        let line = '';
+
+        this.toWinAnsi(text).split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    async buildCoverIndex(audit, citations) {
+        const pdfDoc = await PDFDocument.create();
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        const margin = 50;
+        const [pageWidth, pageHeight] = [612, 792];
+        const textWidth = pageWidth - margin * 2;
+
+        let page = pdfDoc.addPage([pageWidth, pageHeight]);
+        let y = pageHeight - margin;
+
+        const writeLines = (text, { size = 10, useFont = font, indent = 0, color = rgb(0, 0, 0) } = {}) => {
+            this.wrapText(text, useFont, size, textWidth - indent).forEach(line => {
+                if (y < margin + size) {
+                    page = pdfDoc.addPage([pageWidth, pageHeight]);
+                    y = pageHeight - margin;
+                }
+                page.drawText(line, { x: margin + indent, y, size, font: useFont, color });
+                y -= size + 4;
+            });
+        };
+
+        writeLines('Evidence Index', { size: 18, useFont: bold });
+        y -= 6;
+        writeLines(`Source document: ${audit.originalFilename || 'unknown'}`);
+        writeLines(`Audit ID: ${audit.id}`);
+        if (audit.meta?.policySet) writeLines(`Policy set: ${audit.meta.policySet.label}`);
+        writeLines(`Processed at: ${audit.createdAt || ''}    Status: ${audit.status || 'draft'}`);
+        writeLines(`Generated at: ${new Date().toISOString()}`);
+        y -= 12;
+
+        if (citations.length === 0) {
+            writeLines('No questions in this audit cite policy evidence.');
+        }
+
+        citations.forEach(citation => {
+            const pageLabel = citation.pageNumber
+                ? `page ${citation.pageNumber}`
+                : citation.pages.length > 0 ? `page ${citation.pages.join(', ')}` : 'page unknown';
+            writeLines(`Q${citation.questionId}  ${citation.subfolder}/${citation.docName}  -  ${pageLabel}`, { size: 11, useFont: bold });
+            writeLines(citation.question, { size: 9, indent: 12 });
+            writeLines(`"${citation.evidence}"`, { size: 9, indent: 12, color: rgb(0.25, 0.25, 0.25) });
+            writeLines(`Highlight: ${MATCH_LABELS[citation.matchType] || citation.matchType}${citation.pageReference ? `    Cited as: ${citation.pageReference}` : ''}`, {
+                size: 8,
+                indent: 12,
+                color: citation.matchType === 'exact' ? rgb(0.1, 0.45, 0.1) : LABEL_COLOR
+            });
+            y -= 8;
+        });
+
+        return Buffer.from(await pdfDoc.save());
+    }
+
+    async buildBundle(audit) {
+        const citations = this.collectCitations(audit);
+        const groups = this.groupByPolicy(citations);
+        const zip = new JSZip();
+        // Audits saved before policy sets existed ran against the default set
+        const policySet = optimizedPolicyService.getPolicySet(audit.meta?.policySet?.id);
+
+        console.log(`📎 Building evidence bundle for audit ${audit.id}: ${citations.length} citations across ${groups.length} policies`);
+
+        for (const group of groups) {
+            let annotated = null;
+            try {
+                annotated = await this.annotatePolicy(group, policySet);
+            } catch (error) {
+                console.error(`Evidence bundle: failed to annotate ${group.docName}:`, error.message);
+                group.citations.forEach(citation => {
+                    if (!citation.matchType) Object.assign(citation, { matchType: 'unavailable', pageNumber: null });
+                });
+            }
+
+            if (annotated) {
+                const file = `policies/${group.subfolder}/${group.fileName || group.docName}`;
+                zip.file(file, annotated);
+                group.citations.forEach(citation => { citation.file = file; });
+            }
+        }
+
+        zip.file('00_evidence_index.pdf', await this.buildCoverIndex(audit, citations));
+        zip.file('evidence_index.json', JSON.stringify({
+            auditId: audit.id,
+            originalFilename: audit.originalFilename,
+            generatedAt: new Date().toISOString(),
+            policiesAsOf: audit.meta?.policyAsOf || null,
+            citations: citations.map(({ questionId, subfolder, docName, file, pageNumber, matchType, pageReference, policyVersion, sourceFormat }) => ({
+                questionId,
+                policy: `${subfolder}/${docName}`,
+                policyVersion,
+                sourceFormat,
+                file: file || `policies/${subfolder}/${docName}`,
+                pageNumber,
+                matchType,
+                pageReference
+            }))
+        }, null, 2));
+
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+}
+
+const evidenceAnnotationService = new EvidenceAnnotationService();
+
+export default evidenceAnnotationService;
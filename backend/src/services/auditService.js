@@ -0,0 +1,160 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { createWriteLock } from '../utils/serialization.js';
+
+const AUDIT_ID_PATTERN = /^[a-zA-Z0-9-]{1,64}$/;
+
+/**
+ * Stores completed audit runs as JSON files under `${outputDir}/audits`,
+ * with a small summary index so the history list does not have to read
+ * every full result.
+ */
+class AuditHistoryService {
+    constructor() {
+        this.auditDir = path.join(config.outputDir, 'audits');
+        this.indexPath = path.join(this.auditDir, 'index.json');
+        this.summaries = null;
+        // Serializes writes so concurrent jobs never interleave index updates
+        this.withWriteLock = createWriteLock();
+    }
+
+    validateId(auditId) {
+        if (!AUDIT_ID_PATTERN.test(String(auditId))) {
+            throw new ApiError(400, `Invalid audit id: ${auditId}`);
+        }
+    }
+
+    getAuditPath(auditId) {
+        this.validateId(auditId);
+        return path.join(this.auditDir, `${auditId}.json`);
+    }
+
+    async writeJSONAtomic(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    async loadSummaries() {
+        if (this.summaries) return this.summaries;
+
+        await fs.mkdir(this.auditDir, { recursive: true });
+        try {
+            const data = await fs.readFile(this.indexPath, 'utf8');
+            this.summaries = new Map(JSON.parse(data).map(summary => [summary.id, summary]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading audit index, starting empty:', error.message);
+            }
+            this.summaries = new Map();
+        }
+
+        return this.summaries;
+    }
+
+    async persistSummaries() {
+        await this.writeJSONAtomic(this.indexPath, Array.from(this.summaries.values()));
+    }
+
+    toSummary(audit) {
+        const stats = audit.meta?.processingStats || {};
+        return {
+            id: audit.id,
+            originalFilename: audit.originalFilename,
+            createdAt: audit.createdAt,
+            updatedAt: audit.updatedAt,
+            status: audit.status || 'draft',
+            policySet: audit.meta?.policySet || null,
+            requestedBy: audit.meta?.requestedBy || null,
+            reviewedCount: Object.keys(audit.reviews || {}).length,
+            questionsCount: audit.questions?.length || 0,
+            evidenceFound: stats.evidenceFound || 0,
+            compliantAnswers: stats.compliantAnswers || 0,
+            nonCompliantAnswers: stats.nonCompliantAnswers || 0
+        };
+    }
+
+    async saveAudit(auditId, result) {
+        return this.withWriteLock(async () => {
+            await this.loadSummaries();
+
+            const now = new Date().toISOString();
+            const audit = {
+                id: auditId,
+                originalFilename: result.meta?.originalFilename || 'unknown',
+                createdAt: now,
+                updatedAt: now,
+                status: 'draft',
+                reviews: {},
+                ...result
+            };
+
+            await this.writeJSONAtomic(this.getAuditPath(auditId), audit);
+            this.summaries.set(auditId, this.toSummary(audit));
+            await this.persistSummaries();
+
+            console.log(`💾 Saved audit ${auditId} (${audit.originalFilename})`);
+            return audit;
+        });
+    }
+
+    async updateAudit(auditId, updater) {
+        return this.withWriteLock(async () => {
+            await this.loadSummaries();
+
+            const audit = await this.getAudit(auditId);
+            const updated = { ...(await updater(audit)), updatedAt: new Date().toISOString() };
+
+            await this.writeJSONAtomic(this.getAuditPath(auditId), updated);
+            this.summaries.set(auditId, this.toSummary(updated));
+            await this.persistSummaries();
+
+            return updated;
+        });
+    }
+
+    async listAudits() {
+        const summaries = await this.loadSummaries();
+        return Array.from(summaries.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async getAudit(auditId) {
+        try {
+            const data = await fs.readFile(this.getAuditPath(auditId), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (error.code === 'ENOENT') {
+                throw new ApiError(404, `Audit not found: ${auditId}`);
+            }
+            throw new ApiError(500, `Failed to read audit: ${error.message}`);
+        }
+    }
+
+    async deleteAudit(auditId) {
+        return this.withWriteLock(async () => {
+            await this.loadSummaries();
+
+            try {
+                await fs.unlink(this.getAuditPath(auditId));
+            } catch (error) {
+                if (error instanceof ApiError) throw error;
+                if (error.code === 'ENOENT') {
+                    throw new ApiError(404, `Audit not found: ${auditId}`);
+                }
+                throw new ApiError(500, `Failed to delete audit: ${error.message}`);
+            }
+
+            this.summaries.delete(auditId);
+            await this.persistSummaries();
+            console.log(`🗑️ Deleted audit ${auditId}`);
+        });
+    }
+}
+
+const auditHistoryService = new AuditHistoryService();
+
+export default auditHistoryService;
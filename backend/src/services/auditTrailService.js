@@ -0,0 +1,124 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { canonicalize, createWriteLock } from '../utils/serialization.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const hashEvent = (event) => crypto.createHash('sha256').update(canonicalize(event)).digest('hex');
+
+/**
+ * Append-only, hash-chained log of who did what to each audit: uploads,
+ * pipeline runs (with the model and policy index that produced the answers),
+ * reviewer decisions, exports and deletions. One JSON event per line in
+ * `config.auditTrailPath`:
+ *
+ *   { seq, timestamp, type, auditId, actor, details, prevHash, hash }
+ *
+ * `hash` is the SHA-256 of the event's other fields and `prevHash` the hash
+ * of the event before it, so editing, removing or reordering any line breaks
+ * the chain from that point on. Truncating the tail is only detectable
+ * against a head hash recorded elsewhere (see `npm run trail:verify`).
+ */
+class AuditTrailService {
+    constructor() {
+        this.trailPath = config.auditTrailPath;
+        this.head = null;
+        this.withWriteLock = createWriteLock();
+    }
+
+    async readLines() {
+        try {
+            const data = await fs.readFile(this.trailPath, 'utf8');
+            return data.split('\n').filter(line => line.trim().length > 0);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new ApiError(500, `Failed to read audit trail: ${error.message}`);
+        }
+    }
+
+    // Sequence number and hash of the last event, read once from disk
+    async loadHead() {
+        if (this.head) return this.head;
+
+        const lines = await this.readLines();
+        if (lines.length === 0) {
+            this.head = { seq: 0, hash: GENESIS_HASH };
+        } else {
+            const last = JSON.parse(lines[lines.length - 1]);
+            this.head = { seq: last.seq, hash: last.hash };
+        }
+        return this.head;
+    }
+
+    toActor(user) {
+        if (!user) return { username: 'system', role: null, source: 'system' };
+        return { username: user.username, role: user.role || null, source: user.source || null };
+    }
+
+    async record(type, { auditId = null, user = null, details = {} } = {}) {
+        return this.withWriteLock(async () => {
+            const head = await this.loadHead();
+
+            const event = {
+                seq: head.seq + 1,
+                timestamp: new Date().toISOString(),
+                type,
+                auditId,
+                actor: this.toActor(user),
+                details,
+                prevHash: head.hash
+            };
+            event.hash = hashEvent(event);
+
+            await fs.mkdir(path.dirname(path.resolve(this.trailPath)), { recursive: true });
+            await fs.appendFile(this.trailPath, `${JSON.stringify(event)}\n`);
+            this.head = { seq: event.seq, hash: event.hash };
+
+            return event;
+        });
+    }
+
+    // Every event recorded for one audit, oldest first
+    async getEvents(auditId) {
+        const lines = await this.readLines();
+        return lines
+            .map(line => JSON.parse(line))
+            .filter(event => event.auditId === auditId);
+    }
+
+    /**
+     * Recomputes the whole chain. Returns the number of events, the head
+     * hash and, when the chain is broken, the first bad line and why.
+     */
+    async verify() {
+        const lines = await this.readLines();
+        let previous = { seq: 0, hash: GENESIS_HASH };
+
+        for (let i = 0; i < lines.length; i++) {
+            const fail = (reason) => ({ valid: false, events: i, headHash: previous.hash, error: { line: i + 1, reason } });
+
+            let event;
+            try {
+                event = JSON.parse(lines[i]);
+            } catch {
+                return fail('not valid JSON');
+            }
+
+            const { hash, ...body } = event;
+            if (event.seq !== previous.seq + 1) return fail(`sequence ${event.seq} follows ${previous.seq}`);
+            if (event.prevHash !== previous.hash) return fail('previous hash does not match the event before it');
+            if (hashEvent(body) !== hash) return fail('event hash does not match its contents');
+
+            previous = { seq: event.seq, hash };
+        }
+
+        return { valid: true, events: lines.length, headHash: previous.hash, error: null };
+    }
+}
+
+const auditTrailService = new AuditTrailService();
+
+export default auditTrailService;
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { SignJWT, jwtVerify, createRemoteJWKSet } from 'jose';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { ROLES } from '../utils/roles.js';
+import userService from './userService.js';
+
+const TOKEN_ISSUER = 'policy-audit';
+const PENDING_LOGIN_TTL = 10 * 60 * 1000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Issues and verifies the API's session tokens (HS256 JWTs) and runs the
+ * OpenID Connect authorization-code flow (with PKCE) for single sign-on.
+ * Local and SSO logins end the same way: a session token carrying the
+ * user's name and role.
+ */
+class AuthService {
+    constructor() {
+        this.secret = null;
+        this.discovery = null;
+        this.jwks = null;
+        this.pendingLogins = new Map();
+    }
+
+    getSecret() {
+        if (this.secret) return this.secret;
+
+        if (config.authJwtSecret) {
+            this.secret = new TextEncoder().encode(config.authJwtSecret);
+        } else {
+            console.warn('⚠️ AUTH_JWT_SECRET is not set; using a random secret, so sessions end when the server restarts');
+            this.secret = crypto.randomBytes(32);
+        }
+        return this.secret;
+    }
+
+    isOidcEnabled() {
+        return Boolean(config.oidcIssuer && config.oidcClientId);
+    }
+
+    async issueToken(user) {
+        const token = await new SignJWT({ name: user.name || user.username, role: user.role, source: user.source || 'local' })
+            .setProtectedHeader({ alg: 'HS256' })
+            .setSubject(user.username)
+            .setIssuer(TOKEN_ISSUER)
+            .setIssuedAt()
+            .setExpirationTime(config.authTokenTtl)
+            .sign(this.getSecret());
+
+        return {
+            token,
+            user: { username: user.username, name: user.name || user.username, role: user.role, source: user.source || 'local' }
+        };
+    }
+
+    /**
+     * Local users are looked up on every request, so disabling, removing or
+     * re-roling an account takes effect at once rather than when the token
+     * expires. SSO users have no local record; their role is the one mapped
+     * at sign-in.
+     */
+    async verifyToken(token) {
+        let payload;
+        try {
+            ({ payload } = await jwtVerify(token, this.getSecret(), { issuer: TOKEN_ISSUER, algorithms: ['HS256'] }));
+        } catch {
+            throw new ApiError(401, 'Session expired or invalid; please sign in again');
+        }
+
+        if (payload.source === 'local') {
+            const user = await userService.getActiveUser(payload.sub);
+            if (!user) {
+                throw new ApiError(401, 'Account disabled or removed; please sign in again');
+            }
+            return { username: user.username, name: user.name || user.username, role: user.role, source: 'local' };
+        }
+
+        return { username: payload.sub, name: payload.name, role: payload.role, source: payload.source };
+    }
+
+    // ---- OpenID Connect ----
+
+    async getDiscovery() {
+        if (this.discovery) return this.discovery;
+
+        const url = `${config.oidcIssuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new ApiError(502, `OIDC discovery failed (${response.status}) at ${url}`);
+        }
+
+        this.discovery = await response.json();
+        this.jwks = createRemoteJWKSet(new URL(this.discovery.jwks_uri));
+        return this.discovery;
+    }
+
+    prunePendingLogins() {
+        const now = Date.now();
+        for (const [state, pending] of this.pendingLogins) {
+            if (now - pending.createdAt > PENDING_LOGIN_TTL) this.pendingLogins.delete(state);
+        }
+    }
+
+    async getAuthorizationUrl() {
+        if (!this.isOidcEnabled()) {
+            throw new ApiError(404, 'Single sign-on is not configured');
+        }
+
+        const discovery = await this.getDiscovery();
+        this.prunePendingLogins();
+
+        const state = base64url(crypto.randomBytes(24));
+        const nonce = base64url(crypto.randomBytes(24));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+        const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+        this.pendingLogins.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+        const url = new URL(discovery.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: config.oidcClientId,
+            redirect_uri: config.oidcRedirectUri,
+            scope: config.oidcScopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return url.toString();
+    }
+
+    // Highest known role named in the role claim, else the configured default
+    mapRole(claim) {
+        const values = (Array.isArray(claim) ? claim : String(claim || '').split(/[\s,]+/))
+            .map(value => String(value).toLowerCase());
+        const known = ROLES.filter(role => values.includes(role));
+        return known.length > 0 ? known[known.length - 1] : config.oidcDefaultRole;
+    }
+
+    async handleCallback({ code, state, error }) {
+        if (error) {
+            throw new ApiError(401, `Single sign-on was refused: ${error}`);
+        }
+
+        this.prunePendingLogins();
+        const pending = this.pendingLogins.get(state);
+        if (!code || !pending) {
+            throw new ApiError(400, 'Single sign-on request expired or is invalid; please try again');
+        }
+        this.pendingLogins.delete(state);
+
+        const discovery = await this.getDiscovery();
+        const response = await fetch(discovery.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: config.oidcRedirectUri,
+                client_id: config.oidcClientId,
+                ...(config.oidcClientSecret && { client_secret: config.oidcClientSecret }),
+                code_verifier: pending.codeVerifier
+            })
+        });
+        if (!response.ok) {
+            throw new ApiError(401, `OIDC token exchange failed (${response.status})`);
+        }
+
+        const tokens = await response.json();
+        if (!tokens.id_token) {
+            throw new ApiError(401, 'OIDC provider returned no ID token');
+        }
+
+        let claims;
+        try {
+            ({ payload: claims } = await jwtVerify(tokens.id_token, this.jwks, {
+                issuer: discovery.issuer,
+                audience: config.oidcClientId
+            }));
+        } catch (verifyError) {
+            throw new ApiError(401, `OIDC ID token rejected: ${verifyError.message}`);
+        }
+        if (claims.nonce !== pending.nonce) {
+            throw new ApiError(401, 'OIDC ID token nonce does not match');
+        }
+
+        return this.issueToken({
+            username: claims.preferred_username || claims.email || claims.sub,
+            name: claims.name || claims.preferred_username || claims.email || claims.sub,
+            role: this.mapRole(claims[config.oidcRoleClaim]),
+            source: 'oidc'
+        });
+    }
+}
+
+const authService = new AuthService();
+
+export default authService;
@@ -0,0 +1,84 @@
+import JSZip from 'jszip';
+import { ApiError } from '../utils/apiError.js';
+import pdfService from './pdfService.js';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+});
+
+// Text runs and the structure tags around them, in document order
+const DOCX_TOKENS = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:br\s+w:type="page"\s*\/>|<w:lastRenderedPageBreak\/>|<w:br(?:\s[^>]*)?\/>|<w:tbl>|<\/w:tbl>|<\/w:p>|<\/w:tc>|<\/w:tr>/g;
+
+/**
+ * Reads Word (.docx) files - uploaded questionnaires, and policies stored as
+ * .docx or exported from Google Docs - into the same document shape as
+ * pdfService. Paragraphs become lines and table rows "cell | cell | ..."
+ * lines. A .docx has no fixed pages: pages are split at explicit page breaks
+ * and at the breaks Word recorded when the file was last saved, so page
+ * numbers are approximate, and a file without either is one page.
+ */
+class DocxService {
+    async readDocumentXml(buffer) {
+        let xml;
+        try {
+            const zip = await JSZip.loadAsync(buffer);
+            xml = await zip.file('word/document.xml')?.async('string');
+        } catch (error) {
+            throw new ApiError(422, `Could not open the Word document: ${error.message}`);
+        }
+        if (!xml) {
+            throw new ApiError(422, 'The file is not a Word document (word/document.xml is missing)');
+        }
+        return xml;
+    }
+
+    // Text lines of every page, [{ pageNumber, lines }] as pdfService.extractPageLines returns them
+    async extractPageLines(buffer) {
+        const xml = await this.readDocumentXml(buffer);
+        const pageTexts = [];
+        let tableDepth = 0;
+        let text = '';
+        let match;
+
+        // Word often records a rendered break right after an explicit one; never start an empty page
+        const breakPage = () => {
+            if (text.trim()) pageTexts.push(text);
+            text = '';
+        };
+
+        DOCX_TOKENS.lastIndex = 0;
+        while ((match = DOCX_TOKENS.exec(xml)) !== null) {
+            const [token, runText] = match;
+            if (runText !== undefined) text += decodeXml(runText);
+            else if (token === '<w:tab/>') text += '\t';
+            else if (token.startsWith('<w:br') && token.includes('w:type="page"')) breakPage();
+            else if (token === '<w:lastRenderedPageBreak/>') breakPage();
+            else if (token.startsWith('<w:br')) text += '\n';
+            else if (token === '<w:tbl>') tableDepth++;
+            else if (token === '</w:tbl>') tableDepth = Math.max(0, tableDepth - 1);
+            else if (token === '</w:p>') text += tableDepth > 0 ? ' ' : '\n';
+            else if (token === '</w:tc>') text = `${text.trimEnd()} | `;
+            else if (token === '</w:tr>') text = `${text.replace(/\s*\|\s*$/, '')}\n`;
+        }
+        breakPage();
+
+        return pageTexts.map((pageText, index) => ({
+            pageNumber: index + 1,
+            lines: pageText.split('\n').map(line => line.trim()).filter(Boolean)
+        }));
+    }
+
+    async parseDocument(buffer) {
+        const pages = await this.extractPageLines(buffer);
+        return pdfService.buildDocument(pages.length > 0 ? pages : [{ pageNumber: 1, lines: [] }]);
+    }
+}
+
+const docxService = new DocxService();
+
+export default docxService;
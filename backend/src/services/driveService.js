@@ -1,6 +1,9 @@
 import { google } from 'googleapis';
 import config from '../config/config.js';
 import { ApiError } from '../utils/apiError.js';
+import { matchPolicyFile } from '../utils/policyVersion.js';
+import metricsService from './metricsService.js';
+import { POLICY_MIME_TYPES } from '../utils/policyFormat.js';
 
 class OptimizedDriveService {
     constructor() {
@@ -17,7 +20,7 @@ class OptimizedDriveService {
         this.batchProcessor = null;
     }
 
-    async initialize() {
+    async initialize({ log = console.log } = {}) {
         try {
             if (!config.driveApiCredentials) {
                 throw new Error('Drive API credentials not found in environment variables');
@@ -35,7 +38,7 @@ class OptimizedDriveService {
             this.drive = google.drive({ version: 'v3', auth });
             this.initialized = true;
             
-            console.log('Google Drive API initialized successfully');
+            log('Google Drive API initialized successfully');
         } catch (error) {
             console.error('Failed to initialize Google Drive API:', error.message);
             throw new ApiError(500, `Failed to initialize Google Drive API: ${error.message}`);
@@ -48,24 +51,49 @@ class OptimizedDriveService {
         }
     }
 
-    async listFoldersWithCache(parentFolderId) {
+    // Lets every request see items in Shared Drives; with a driveId, listings are scoped to that drive
+    getSharedDriveParams(driveId = null) {
+        return driveId
+            ? { supportsAllDrives: true, includeItemsFromAllDrives: true, corpora: 'drive', driveId }
+            : { supportsAllDrives: true, includeItemsFromAllDrives: true };
+    }
+
+    // files.list returns at most one page per call; follow nextPageToken until every result is in
+    async listAllFiles(params, driveId = null) {
+        const files = [];
+        let pageToken;
+
+        do {
+            const response = await this.drive.files.list({
+                ...params,
+                ...this.getSharedDriveParams(driveId),
+                pageSize: 1000,
+                pageToken
+            });
+            files.push(...(response.data.files || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return files;
+    }
+
+    // driveId: Shared Drive holding the folder, if any
+    async listFoldersWithCache(parentFolderId, { driveId = null } = {}) {
         await this.ensureInitialized();
 
         const cacheKey = `folders_${parentFolderId}`;
+        metricsService.recordCacheLookup('drive_file_list', this.fileListCache.has(cacheKey));
         if (this.fileListCache.has(cacheKey)) {
             console.log(`Cache hit for folder list: ${parentFolderId}`);
             return this.fileListCache.get(cacheKey);
         }
 
         try {
-            const response = await this.drive.files.list({
+            const folders = await this.listAllFiles({
                 q: `'${parentFolderId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-                fields: 'files(id, name)',
-                orderBy: 'name',
-                pageSize: 100
-            });
-
-            const folders = response.data.files || [];
+                fields: 'nextPageToken, files(id, name)',
+                orderBy: 'name'
+            }, driveId);
             
             // Cache for 10 minutes
             this.fileListCache.set(cacheKey, folders);
@@ -78,24 +106,24 @@ class OptimizedDriveService {
         }
     }
 
-    async listPDFFilesWithCache(folderId) {
+    // PDFs, Word files and Google Docs (see utils/policyFormat.js)
+    async listPolicyFilesWithCache(folderId, { driveId = null } = {}) {
         await this.ensureInitialized();
 
-        const cacheKey = `pdfs_${folderId}`;
+        const cacheKey = `policies_${folderId}`;
+        metricsService.recordCacheLookup('drive_file_list', this.fileListCache.has(cacheKey));
         if (this.fileListCache.has(cacheKey)) {
-            console.log(`Cache hit for PDF list: ${folderId}`);
+            console.log(`Cache hit for policy file list: ${folderId}`);
             return this.fileListCache.get(cacheKey);
         }
 
         try {
-            const response = await this.drive.files.list({
-                q: `'${folderId}' in parents and mimeType='application/pdf' and trashed=false`,
-                fields: 'files(id, name, size)',
-                orderBy: 'name',
-                pageSize: 100
-            });
-
-            const files = response.data.files || [];
+            const mimeTypes = POLICY_MIME_TYPES.map(mimeType => `mimeType='${mimeType}'`).join(' or ');
+            const files = await this.listAllFiles({
+                q: `'${folderId}' in parents and (${mimeTypes}) and trashed=false`,
+                fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, md5Checksum)',
+                orderBy: 'name'
+            }, driveId);
             
             // Cache for 5 minutes
             this.fileListCache.set(cacheKey, files);
@@ -103,14 +131,16 @@ class OptimizedDriveService {
             
             return files;
         } catch (error) {
-            console.error('Error listing PDF files:', error);
-            throw new ApiError(500, `Failed to list PDF files: ${error.message}`);
+            console.error('Error listing policy files:', error);
+            throw new ApiError(500, `Failed to list policy files: ${error.message}`);
         }
     }
 
-    async downloadFileQueued(fileId) {
+    // exportMimeType: for Google Docs, which have no content of their own, the format to export them as
+    async downloadFileQueued(fileId, { exportMimeType = null } = {}) {
         return new Promise((resolve, reject) => {
             // Check download cache first
+            metricsService.recordCacheLookup('drive_download', this.downloadCache.has(fileId));
             if (this.downloadCache.has(fileId)) {
                 console.log(`Download cache hit: ${fileId}`);
                 resolve(this.downloadCache.get(fileId));
@@ -119,6 +149,7 @@ class OptimizedDriveService {
 
             this.downloadQueue.push({
                 fileId,
+                exportMimeType,
                 resolve,
                 reject,
                 timestamp: Date.now()
@@ -150,25 +181,34 @@ class OptimizedDriveService {
     }
 
     async executeDownload(downloadRequest) {
-        const { fileId, resolve, reject } = downloadRequest;
+        const { fileId, exportMimeType, resolve, reject } = downloadRequest;
+        const startTime = Date.now();
         
         try {
             await this.ensureInitialized();
             
-            console.log(`Downloading file: ${fileId}`);
-            const startTime = Date.now();
+            console.log(`${exportMimeType ? 'Exporting' : 'Downloading'} file: ${fileId}`);
             
-            const response = await this.drive.files.get({
-                fileId: fileId,
-                alt: 'media'
-            }, {
-                responseType: 'arraybuffer'
-            });
+            const response = exportMimeType
+                ? await this.drive.files.export({
+                    fileId: fileId,
+                    mimeType: exportMimeType
+                }, {
+                    responseType: 'arraybuffer'
+                })
+                : await this.drive.files.get({
+                    fileId: fileId,
+                    alt: 'media',
+                    supportsAllDrives: true
+                }, {
+                    responseType: 'arraybuffer'
+                });
 
             const buffer = Buffer.from(response.data);
             const downloadTime = Date.now() - startTime;
             
             console.log(`Downloaded file ${fileId} in ${downloadTime}ms (${buffer.length} bytes)`);
+            metricsService.observe('policy_download_duration_seconds', { repository: 'drive', outcome: 'success' }, downloadTime / 1000);
             
             // Cache the download (with size limit)
             if (buffer.length < 5 * 1024 * 1024) { // Cache files under 5MB
@@ -181,6 +221,7 @@ class OptimizedDriveService {
             
         } catch (error) {
             console.error(`Error downloading file ${fileId}:`, error);
+            metricsService.observe('policy_download_duration_seconds', { repository: 'drive', outcome: 'failure' }, (Date.now() - startTime) / 1000);
             reject(new ApiError(500, `Failed to download file: ${error.message}`));
         }
     }
@@ -188,6 +229,7 @@ class OptimizedDriveService {
     async getFileMetadataWithCache(fileId) {
         await this.ensureInitialized();
 
+        metricsService.recordCacheLookup('drive_metadata', this.metadataCache.has(fileId));
         if (this.metadataCache.has(fileId)) {
             return this.metadataCache.get(fileId);
         }
@@ -195,7 +237,8 @@ class OptimizedDriveService {
         try {
             const response = await this.drive.files.get({
                 fileId: fileId,
-                fields: 'id, name, size, mimeType, modifiedTime'
+                fields: 'id, name, size, mimeType, modifiedTime, md5Checksum',
+                supportsAllDrives: true
             });
 
             const metadata = response.data;
@@ -211,7 +254,7 @@ class OptimizedDriveService {
         }
     }
 
-    async batchFindPolicyFiles(policyRequests) {
+    async batchFindPolicyFiles(policyRequests, { driveId = null } = {}) {
         await this.ensureInitialized();
         
         console.log(`Batch finding ${policyRequests.length} policy files...`);
@@ -230,17 +273,13 @@ class OptimizedDriveService {
         // Process each folder's requests in parallel
         const folderPromises = Array.from(requestsByFolder.entries()).map(async ([subfolderId, requests]) => {
             try {
-                // Get all PDF files in this folder at once
-                const allFiles = await this.listPDFFilesWithCache(subfolderId);
+                // Get all policy files in this folder at once
+                const allFiles = await this.listPolicyFilesWithCache(subfolderId, { driveId });
                 
                 // Match requests to files
                 requests.forEach(req => {
-                    const matchingFile = allFiles.find(file => 
-                        file.name.toLowerCase().includes(req.policyName.toLowerCase()) ||
-                        req.policyName.toLowerCase().includes(file.name.toLowerCase().split('.')[0])
-                    );
-                    
-                    results.set(`${req.subfolderId}_${req.policyName}`, matchingFile || null);
+                    // Match on policy number and version rather than substrings, so another version is never picked
+                    results.set(`${req.subfolderId}_${req.policyName}`, matchPolicyFile(allFiles, req.policyName));
                 });
                 
             } catch (error) {
@@ -276,7 +315,8 @@ class OptimizedDriveService {
                     
                     await this.drive.files.get({
                         fileId: fileId,
-                        fields: 'id'
+                        fields: 'id',
+                        supportsAllDrives: true
                     });
                     
                     return { fileId, exists: true };
@@ -320,7 +360,7 @@ class OptimizedDriveService {
     }
 
     async listPDFFiles(folderId) {
-        return this.listPDFFilesWithCache(folderId);
+        return this.listPolicyFilesWithCache(folderId);
     }
 
     async downloadFile(fileId) {
@@ -348,7 +388,8 @@ class OptimizedDriveService {
                 q: searchQuery,
                 fields: 'files(id, name, parents)',
                 orderBy: 'name',
-                pageSize: 50
+                pageSize: 50,
+                ...this.getSharedDriveParams()
             });
 
             return response.data.files || [];
@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import { ApiError } from '../utils/apiError.js';
+
+const DEFAULT_KS = [1, 3, 5, 10];
+const ANSWERS = ['yes', 'no', 'partial', 'none'];
+
+const round = (value) => Number(value.toFixed(4));
+const mean = (values) => values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+/**
+ * Measures retrieval (and optionally answer) quality against a gold file of
+ * audit questions labelled with the policies that answer them:
+ *
+ *   { "questions": [{ "id": "q1", "text": "...", "category": "Clinical",
+ *       "keywords": ["..."], "expectedPolicies": ["GG.1504"], "expectedAnswer": "yes" }] }
+ *
+ * An expected policy matches a retrieved one by "subfolder/pdf_name", by
+ * pdf_name or by policy number (the file name up to the first "_"). Reports
+ * hold no timestamps or timings and list questions in gold-file order, so two
+ * runs can be compared with a plain diff.
+ */
+class RetrievalEvaluationService {
+    async loadGoldSet(goldPath) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(goldPath, 'utf8'));
+        } catch (error) {
+            throw new ApiError(400, `Failed to read gold file ${goldPath}: ${error.message}`);
+        }
+
+        const questions = Array.isArray(data) ? data : data.questions;
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new ApiError(400, 'Gold file must contain a non-empty "questions" array');
+        }
+
+        return questions.map((question, index) => {
+            if (!question.text || !Array.isArray(question.expectedPolicies) || question.expectedPolicies.length === 0) {
+                throw new ApiError(400, `Gold question ${question.id ?? index + 1} needs "text" and a non-empty "expectedPolicies" array`);
+            }
+            if (question.expectedAnswer !== undefined && !ANSWERS.includes(question.expectedAnswer)) {
+                throw new ApiError(400, `Gold question ${question.id ?? index + 1} has invalid expectedAnswer "${question.expectedAnswer}"; use ${ANSWERS.join(', ')}`);
+            }
+
+            return {
+                id: String(question.id ?? index + 1),
+                text: question.text,
+                description: question.description || '',
+                category: question.category || 'Uncategorized',
+                keywords: question.keywords || [],
+                expectedPolicies: question.expectedPolicies,
+                expectedAnswer: question.expectedAnswer
+            };
+        });
+    }
+
+    matchesPolicy(expected, policy) {
+        const wanted = String(expected).toLowerCase();
+        const name = String(policy.pdf_name || policy.docName || '').toLowerCase();
+        const subfolder = String(policy.subfolder || '').toLowerCase();
+
+        return wanted === `${subfolder}/${name}`
+            || wanted === name
+            || wanted === name.replace(/\.pdf$/, '')
+            || wanted === name.split('_')[0];
+    }
+
+    // 1-based rank of the first retrieved policy matching any expected one, or null
+    findFirstHit(expectedPolicies, policies) {
+        const index = policies.findIndex(policy => expectedPolicies.some(expected => this.matchesPolicy(expected, policy)));
+        return index === -1 ? null : index + 1;
+    }
+
+    // Expected policies the index cannot match at all, which no retrieval mode could find
+    findUnknownPolicies(expectedPolicies, policySet) {
+        const policies = policySet.policyIndex || [];
+        return expectedPolicies.filter(expected => !policies.some(policy => this.matchesPolicy(expected, policy)));
+    }
+
+    evaluateRetrieval(question, policies, ks) {
+        const rank = this.findFirstHit(question.expectedPolicies, policies);
+        const found = question.expectedPolicies.filter(expected => policies.some(policy => this.matchesPolicy(expected, policy)));
+
+        return {
+            rank,
+            reciprocalRank: rank ? round(1 / rank) : 0,
+            recall: Object.fromEntries(ks.map(k => {
+                const topK = policies.slice(0, k);
+                const hits = question.expectedPolicies.filter(expected => topK.some(policy => this.matchesPolicy(expected, policy)));
+                return [k, round(hits.length / question.expectedPolicies.length)];
+            })),
+            expectedFound: found.length,
+            retrieved: policies.map(policy => `${policy.subfolder}/${policy.pdf_name}`)
+        };
+    }
+
+    // The top-ranked candidate stands for the pipeline's answer, "none" when no evidence was found
+    evaluateAnswer(question, candidates) {
+        const top = candidates[0] || null;
+        const answer = top ? top.answer : 'none';
+
+        return {
+            answer,
+            expectedAnswer: question.expectedAnswer ?? null,
+            correct: question.expectedAnswer !== undefined ? answer === question.expectedAnswer : null,
+            evidencePolicy: top ? `${top.subfolder}/${top.docName}` : null,
+            evidenceFromExpectedPolicy: top ? question.expectedPolicies.some(expected => this.matchesPolicy(expected, top)) : false,
+            quoteCheck: top?.verification?.status || null
+        };
+    }
+
+    summarize(results, ks) {
+        const withAnswers = results.filter(result => result.pipeline && result.pipeline.correct !== null);
+        const withPipeline = results.filter(result => result.pipeline);
+
+        const summary = {
+            questions: results.length,
+            recall: Object.fromEntries(ks.map(k => [k, mean(results.map(result => result.retrieval.recall[k]))])),
+            mrr: mean(results.map(result => result.retrieval.reciprocalRank)),
+            misses: results.filter(result => result.retrieval.rank === null).length
+        };
+
+        if (withPipeline.length > 0) {
+            summary.answerAccuracy = mean(withAnswers.map(result => (result.pipeline.correct ? 1 : 0)));
+            summary.answersScored = withAnswers.length;
+            summary.evidenceFromExpectedPolicy = mean(withPipeline.map(result => (result.pipeline.evidenceFromExpectedPolicy ? 1 : 0)));
+        }
+
+        return summary;
+    }
+
+    buildReport(results, ks) {
+        const categories = [...new Set(results.map(result => result.category))].sort();
+
+        return {
+            overall: this.summarize(results, ks),
+            byCategory: Object.fromEntries(categories.map(category => [
+                category,
+                this.summarize(results.filter(result => result.category === category), ks)
+            ])),
+            questions: results
+        };
+    }
+
+    /**
+     * Runs every gold question through retrieval over the given policy set in
+     * the given mode and, when a processor is passed, through the full
+     * evidence pipeline as well.
+     */
+    async evaluate(goldQuestions, { policySet, mode, ks = DEFAULT_KS, maxResults = Math.max(...ks), processor = null } = {}) {
+        const results = [];
+
+        for (const question of goldQuestions) {
+            const policies = await policySet.findRelevantPolicies(question, maxResults, { mode });
+
+            const result = {
+                id: question.id,
+                category: question.category,
+                expectedPolicies: question.expectedPolicies,
+                unknownPolicies: this.findUnknownPolicies(question.expectedPolicies, policySet),
+                retrieval: this.evaluateRetrieval(question, policies, ks)
+            };
+
+            if (processor) {
+                const candidates = await processor.processQuestionParallel(question, policySet.policyIndex, {
+                    totalPoliciesChecked: 0,
+                    evidenceFound: 0,
+                    compliantAnswers: 0,
+                    nonCompliantAnswers: 0,
+                    unverifiedEvidence: 0,
+                    downloadTime: 0,
+                    analysisTime: 0
+                }, { policySet });
+                result.pipeline = this.evaluateAnswer(question, candidates);
+            }
+
+            results.push(result);
+        }
+
+        return this.buildReport(results, ks);
+    }
+
+    // Metric deltas between two reports for the same gold set (current minus previous)
+    compareReports(previous, current) {
+        const diff = (before = {}, after = {}) => {
+            const delta = {};
+            ['mrr', 'answerAccuracy', 'evidenceFromExpectedPolicy', 'misses'].forEach(metric => {
+                if (typeof after[metric] === 'number' && typeof before[metric] === 'number') {
+                    delta[metric] = round(after[metric] - before[metric]);
+                }
+            });
+            Object.keys(after.recall || {}).forEach(k => {
+                if (typeof before.recall?.[k] === 'number') {
+                    delta[`recall@${k}`] = round(after.recall[k] - before.recall[k]);
+                }
+            });
+            return delta;
+        };
+
+        const previousRanks = new Map((previous.questions || []).map(result => [result.id, result.retrieval.rank]));
+
+        return {
+            overall: diff(previous.overall, current.overall),
+            byCategory: Object.fromEntries(Object.keys(current.byCategory).map(category => [
+                category,
+                diff(previous.byCategory?.[category], current.byCategory[category])
+            ])),
+            rankChanges: current.questions
+                .filter(result => previousRanks.has(result.id) && previousRanks.get(result.id) !== result.retrieval.rank)
+                .map(result => ({ id: result.id, from: previousRanks.get(result.id), to: result.retrieval.rank }))
+        };
+    }
+}
+
+const retrievalEvaluationService = new RetrievalEvaluationService();
+
+export default retrievalEvaluationService;
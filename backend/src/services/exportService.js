@@ -0,0 +1,226 @@
+import ExcelJS from 'exceljs';
+import { Document, Packer, Paragraph, TextRun, HeadingLevel } from 'docx';
+import { ApiError } from '../utils/apiError.js';
+import { POLICY_FORMATS } from '../utils/policyFormat.js';
+import reviewService from './reviewService.js';
+import evidenceAnnotationService from './annotationService.js';
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    evidence: { contentType: 'application/zip', extension: 'zip', suffix: 'evidence' }
+};
+
+const COLUMNS = [
+    { key: 'questionId', header: 'Question #', width: 10 },
+    { key: 'question', header: 'Question', width: 60 },
+    { key: 'answer', header: 'Answer', width: 10 },
+    { key: 'docName', header: 'Policy', width: 36 },
+    { key: 'policyVersion', header: 'Policy Version', width: 18 },
+    { key: 'policyFormat', header: 'Policy Format', width: 14 },
+    { key: 'evidence', header: 'Evidence', width: 80 },
+    { key: 'pageReference', header: 'Page Reference', width: 16 },
+    { key: 'confidence', header: 'Confidence', width: 12 },
+    { key: 'quoteCheck', header: 'Quote Check', width: 18 },
+    { key: 'reviewStatus', header: 'Review', width: 14 },
+    { key: 'reviewer', header: 'Reviewer', width: 16 },
+    { key: 'reviewerNote', header: 'Reviewer Notes', width: 40 }
+];
+
+/**
+ * Renders a stored audit into the formats regulators ask for. All formats
+ * share the same per-question rows so they never disagree with each other.
+ */
+class AuditExportService {
+    getSupportedFormats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    buildRows(audit) {
+        return (audit.questions || []).map(question => {
+            const { answer, candidate, review } = reviewService.resolveQuestion(audit, question.id);
+
+            return {
+                questionId: question.id,
+                question: question.text,
+                answer: answer ? answer.toUpperCase() : 'NO EVIDENCE',
+                docName: candidate?.docName || '',
+                policyVersion: this.describePolicyVersion(candidate?.policyVersion),
+                policyFormat: candidate ? POLICY_FORMATS[candidate.sourceFormat || 'pdf']?.label || candidate.sourceFormat : '',
+                evidence: candidate?.evidence || '',
+                pageReference: candidate?.pageReference || '',
+                confidence: candidate?.confidence || '',
+                quoteCheck: this.describeVerification(candidate?.verification),
+                reviewStatus: review ? (review.answerOverridden ? 'overridden' : review.action) : 'unreviewed',
+                reviewer: review?.reviewer || '',
+                reviewerNote: review?.note || ''
+            };
+        });
+    }
+
+    describePolicyVersion(version) {
+        if (!version) return '';
+        if (version.versionDate) return `v${version.versionDate}`;
+        return version.approvalDate ? `approved ${version.approvalDate}` : 'unversioned';
+    }
+
+    describeVerification(verification) {
+        if (!verification) return '';
+        if (verification.status === 'verified') return 'verified';
+        if (verification.status === 'approximate') return `approximate (${Math.round(verification.score * 100)}%)`;
+        return 'not found in policy';
+    }
+
+    async exportAudit(audit, format) {
+        const formatInfo = EXPORT_FORMATS[format];
+        if (!formatInfo) {
+            throw new ApiError(400, `Unsupported export format: ${format}. Use one of ${this.getSupportedFormats().join(', ')}`);
+        }
+
+        const rows = this.buildRows(audit);
+        let buffer;
+
+        switch (format) {
+            case 'json':
+                buffer = Buffer.from(JSON.stringify(this.toJSON(audit, rows), null, 2));
+                break;
+            case 'csv':
+                buffer = Buffer.from(this.toCSV(rows));
+                break;
+            case 'xlsx':
+                buffer = await this.toXLSX(audit, rows);
+                break;
+            case 'docx':
+                buffer = await this.toDOCX(audit, rows);
+                break;
+            case 'evidence':
+                buffer = await evidenceAnnotationService.buildBundle(audit);
+                break;
+        }
+
+        return {
+            buffer,
+            contentType: formatInfo.contentType,
+            filename: `${this.getBaseFilename(audit, formatInfo.suffix)}.${formatInfo.extension}`
+        };
+    }
+
+    getBaseFilename(audit, suffix = 'responses') {
+        const source = String(audit.originalFilename || 'audit').replace(/\.[^.]+$/, '');
+        const safeSource = source.replace(/[^a-zA-Z0-9._-]+/g, '_');
+        const date = String(audit.createdAt || new Date().toISOString()).substring(0, 10);
+        return `${safeSource}_${suffix}_${date}`;
+    }
+
+    toJSON(audit, rows) {
+        return {
+            auditId: audit.id,
+            originalFilename: audit.originalFilename,
+            createdAt: audit.createdAt,
+            status: audit.status || 'draft',
+            finalizedAt: audit.finalizedAt || null,
+            responses: rows
+        };
+    }
+
+    // Cells a spreadsheet would evaluate as a formula get a leading quote, so answer text is never executed
+    escapeCSV(value) {
+        const raw = String(value ?? '');
+        const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toCSV(rows) {
+        const lines = [
+            COLUMNS.map(column => this.escapeCSV(column.header)).join(','),
+            ...rows.map(row => COLUMNS.map(column => this.escapeCSV(row[column.key])).join(','))
+        ];
+        // BOM so Excel opens UTF-8 correctly
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    async toXLSX(audit, rows) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        const sheet = workbook.addWorksheet('Audit Responses');
+        sheet.columns = COLUMNS;
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        rows.forEach(row => sheet.addRow(row));
+        sheet.eachRow(row => {
+            row.alignment = { vertical: 'top', wrapText: true };
+        });
+
+        const summary = workbook.addWorksheet('Summary');
+        summary.columns = [{ key: 'field', width: 24 }, { key: 'value', width: 60 }];
+        [
+            ['Source document', audit.originalFilename],
+            ['Audit ID', audit.id],
+            ['Processed at', audit.createdAt],
+            ['Status', audit.status || 'draft'],
+            ['Finalized at', audit.finalizedAt || ''],
+            ['Policy set', audit.meta?.policySet?.label || ''],
+            ['Policies as of', audit.meta?.policyAsOf || 'latest versions'],
+            ['Questions', rows.length],
+            ['Answered YES', rows.filter(row => row.answer === 'YES').length],
+            ['Answered NO', rows.filter(row => row.answer === 'NO').length],
+            ['Answered PARTIAL', rows.filter(row => row.answer === 'PARTIAL').length],
+            ['No evidence', rows.filter(row => row.answer === 'NO EVIDENCE').length]
+        ].forEach(([field, value]) => summary.addRow({ field, value }));
+        summary.getColumn('field').font = { bold: true };
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    async toDOCX(audit, rows) {
+        const labeled = (label, value, options = {}) => new Paragraph({
+            children: [
+                new TextRun({ text: `${label}: `, bold: true }),
+                new TextRun({ text: String(value), ...options })
+            ],
+            spacing: { after: 80 }
+        });
+
+        const children = [
+            new Paragraph({ text: 'Audit Tool Responses', heading: HeadingLevel.TITLE }),
+            labeled('Source document', audit.originalFilename),
+            labeled('Processed at', audit.createdAt),
+            labeled('Status', audit.status || 'draft'),
+            ...(audit.meta?.policySet ? [labeled('Policy set', audit.meta.policySet.label)] : []),
+            labeled('Policies as of', audit.meta?.policyAsOf || 'latest versions')
+        ];
+
+        rows.forEach(row => {
+            children.push(new Paragraph({ text: `${row.questionId}. ${row.question}`, heading: HeadingLevel.HEADING_2 }));
+            children.push(labeled('Answer', row.answer));
+
+            if (row.docName) {
+                children.push(labeled('Policy', row.docName));
+                if (row.policyVersion) children.push(labeled('Policy version', row.policyVersion));
+                children.push(labeled('Evidence', `"${row.evidence}"`, { italics: true }));
+                if (row.pageReference) children.push(labeled('Page reference', row.pageReference));
+                children.push(labeled('Confidence', row.confidence));
+                if (row.quoteCheck) children.push(labeled('Quote check', row.quoteCheck));
+            }
+
+            if (row.reviewerNote) {
+                children.push(labeled('Reviewer notes', `${row.reviewerNote}${row.reviewer ? ` (${row.reviewer})` : ''}`));
+            }
+        });
+
+        const doc = new Document({
+            creator: 'Policy Audit Backend',
+            title: `Audit responses - ${audit.originalFilename}`,
+            sections: [{ children }]
+        });
+
+        return Packer.toBuffer(doc);
+    }
+}
+
+const auditExportService = new AuditExportService();
+
+export default auditExportService;
@@ -1,5 +1,11 @@
-import { getGeminiModel } from '../config/gemini.js';
+import { getLLMProvider } from '../config/llm.js';
 import { ApiError } from '../utils/apiError.js';
+import { COMPLIANCE_CATEGORIES } from '../utils/constants.js';
+import passageService from './passageService.js';
+import metricsService from './metricsService.js';
+
+// Bump whenever the policy analysis prompt changes meaning, so cached analysis results are not reused
+export const ANALYSIS_PROMPT_VERSION = 1;
 
 class OptimizedGeminiService {
     constructor() {
@@ -101,7 +107,7 @@ Return ONLY valid JSON in this exact format (no markdown, no explanations):
   ]
 }
 
-Categories: Clinical/Medical, Claims & Appeals, Access & Authorization, Privacy & Security, Provider Relations, HR, Financial Compliance, IT Security, Operations, Legal, Other
+Categories: ${COMPLIANCE_CATEGORIES.join(', ')}
 
 Guidelines:
 - Extract only questions that require definitive Yes/No compliance answers
@@ -115,7 +121,7 @@ Document: ${filename}${chunkInfo}
 Content: ${text}`;
 
         try {
-            const result = await this.queuedGeminiRequest(prompt, 'question_extraction');
+            const result = await this.queuedGeminiRequest(prompt, 'question_extraction', { text, filename });
             const parsedResult = this.parseJSONResponse(result, true);
             
             if (!parsedResult.questions || !Array.isArray(parsedResult.questions)) {
@@ -129,16 +135,76 @@ Content: ${text}`;
         }
     }
 
-    async searchForComplianceEvidence(question, policyText, policyInfo) {
-        // Truncate policy text to manageable size with smart truncation
-        const smartTruncatedText = this.smartTruncatePolicyText(policyText, question.keywords);
+    /**
+     * Adds category, keywords and description to questions read verbatim from
+     * a spreadsheet, keeping their ids and text. A batch that fails keeps the
+     * questions as read, so one bad response does not lose the questionnaire.
+     */
+    async annotateQuestions(questions, filename, batchSize = 25) {
+        const annotated = [];
+
+        for (const batch of this.createBatches(questions, batchSize)) {
+            const prompt = `You are an audit question analyst. For each audit question from "${filename}" below, assign a compliance category, search keywords and a short description. Do not change the questions.
+
+Return ONLY valid JSON in this exact format (no markdown, no explanations):
+
+{
+  "questions": [
+    {
+      "id": "id of the question as given",
+      "category": "Clinical/Medical",
+      "keywords": ["keyword1", "keyword2", "keyword3"],
+      "description": "Brief description of what this question seeks to verify"
+    }
+  ]
+}
+
+Categories: ${COMPLIANCE_CATEGORIES.join(', ')}
+
+Guidelines:
+- One entry per question, with the same id
+- Include regulatory references, time periods and specific requirements in keywords
+- Keep descriptions under 150 characters
+
+Questions:
+${JSON.stringify(batch.map(question => ({ id: question.id, text: question.text, ...(question.description && { guidance: question.description }) })), null, 1)}`;
+
+            try {
+                const result = await this.queuedGeminiRequest(prompt, 'question_annotation', { questions: batch, filename });
+                const { questions: entries } = this.parseJSONResponse(result, false, ['questions']);
+                if (!Array.isArray(entries)) throw new Error('Invalid JSON structure: questions is not an array');
+                const byId = new Map(entries.map(entry => [String(entry.id), entry]));
+
+                batch.forEach(question => {
+                    const entry = byId.get(String(question.id)) || {};
+                    annotated.push({
+                        ...question,
+                        // A category the spreadsheet already gives (other than the 'Other' fallback) is kept
+                        category: question.category === 'Other' && COMPLIANCE_CATEGORIES.includes(entry.category) ? entry.category : question.category,
+                        keywords: Array.isArray(entry.keywords) ? entry.keywords.map(String) : question.keywords,
+                        description: question.description || String(entry.description || '')
+                    });
+                });
+            } catch (error) {
+                console.error(`Error annotating ${batch.length} questions from ${filename}:`, error.message);
+                annotated.push(...batch);
+            }
+        }
+
+        return annotated;
+    }
+
+    // passages: ranked excerpts of the policy (see PassageService), each { id, text, pages, section }
+    async searchForComplianceEvidence(question, passages, policyInfo) {
+        const passageText = passageService.formatPassages(passages);
         
-        const prompt = `You are a compliance auditor. Given a specific audit question and a policy document, determine if the policy provides evidence to answer the question with a definitive YES or NO.
+        const prompt = `You are a compliance auditor. Given a specific audit question and passages from a policy document, determine if the policy provides evidence to answer the question with a definitive YES or NO.
 
 AUDIT QUESTION: "${question.text}"
 
 POLICY DOCUMENT: ${policyInfo.pdf_name}
-CONTENT: ${smartTruncatedText}
+PASSAGES:
+${passageText}
 
 Analyze the policy document and respond with ONLY valid JSON in this format:
 
@@ -147,6 +213,7 @@ Analyze the policy document and respond with ONLY valid JSON in this format:
   "confidence": "high/medium/low",
   "answer": "yes/no/partial",
   "evidence": "Exact text from the document that provides the evidence",
+  "passageId": "Id of the passage the evidence was quoted from",
   "pageReference": "Page number or section reference if available",
   "explanation": "Brief explanation of why this answers YES or NO to the question"
 }
@@ -154,7 +221,7 @@ Analyze the policy document and respond with ONLY valid JSON in this format:
 Guidelines:
 - hasAnswer: true ONLY if the policy directly and clearly addresses the specific question
 - answer: "yes" if the requirement IS met/stated, "no" if it is NOT met/contradicted, "partial" if partially addressed
-- evidence: Must be the EXACT text from the document (verbatim quote), not paraphrased
+- evidence: Must be the EXACT text from the document (verbatim quote), not paraphrased, and never include the [Passage ...] labels
 - Keep evidence focused and under 500 characters - include the most relevant sentence(s)
 - confidence: "high" only if evidence directly answers the question, "medium" if related but not exact, "low" if tangential
 - explanation: Brief reasoning for the YES/NO determination
@@ -163,7 +230,11 @@ Guidelines:
 IMPORTANT: Only return hasAnswer: true if you find definitive evidence that directly answers the audit question.`;
 
         try {
-            const result = await this.queuedGeminiRequest(prompt, 'policy_analysis');
+            const result = await this.queuedGeminiRequest(prompt, 'policy_analysis', {
+                question,
+                policyText: passages.map(passage => passage.text).join(' '),
+                policyInfo
+            });
             const analysis = this.parseJSONResponse(result, false);
             
             if (analysis.hasAnswer) {
@@ -172,6 +243,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
                     subfolder: policyInfo.subfolder,
                     answer: analysis.answer,
                     evidence: analysis.evidence,
+                    passageId: analysis.passageId || null,
                     pageReference: analysis.pageReference,
                     confidence: analysis.confidence,
                     explanation: analysis.explanation,
@@ -186,56 +258,58 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         }
     }
 
-    smartTruncatePolicyText(text, keywords) {
-        const maxLength = 18000; // Reduced from 20000 to leave room for prompt
-        
-        if (text.length <= maxLength) {
-            return text;
-        }
+    async generatePolicyIndexEntry(policyText, fileName, subfolder) {
+        const maxTextLength = 20000;
+        const truncatedText = policyText.length > maxTextLength
+            ? policyText.substring(0, maxTextLength) + '...[truncated]'
+            : policyText;
 
-        // Try to find the most relevant sections based on keywords
-        const keywordPositions = [];
-        keywords.forEach(keyword => {
-            const positions = this.findKeywordPositions(text.toLowerCase(), keyword.toLowerCase());
-            keywordPositions.push(...positions);
-        });
+        const prompt = `You are a compliance librarian. Build a search index entry for this policy document so audit questions can be matched to it.
 
-        if (keywordPositions.length > 0) {
-            // Sort positions and extract relevant sections
-            keywordPositions.sort((a, b) => a - b);
-            const relevantSections = [];
-            
-            keywordPositions.forEach(pos => {
-                const start = Math.max(0, pos - 500);
-                const end = Math.min(text.length, pos + 1500);
-                relevantSections.push(text.substring(start, end));
-            });
+Return ONLY valid JSON in this exact format (no markdown, no explanations):
 
-            const combinedText = relevantSections.join('\n...\n');
-            if (combinedText.length <= maxLength) {
-                return combinedText;
-            }
-        }
+{
+  "keywords": ["keyword1", "keyword2", "keyword3"],
+  "short_description": "One or two sentence summary of what the policy covers",
+  "category": "Operations"
+}
 
-        // Fallback to taking first portion of text
-        return text.substring(0, maxLength) + '...[truncated]';
-    }
+Categories: ${COMPLIANCE_CATEGORIES.join(', ')}
 
-    findKeywordPositions(text, keyword) {
-        const positions = [];
-        let index = text.indexOf(keyword);
-        while (index !== -1) {
-            positions.push(index);
-            index = text.indexOf(keyword, index + 1);
+Guidelines:
+- keywords: 10-25 items, including the policy number, title, programs, regulatory citations (C.F.R., C.C.R., APL numbers), key terms, time frames and responsible roles
+- short_description: under 300 characters, describe the requirements the policy establishes
+- category: exactly one of the categories listed above
+- Ensure JSON is complete and valid
+
+Document: ${fileName} (folder ${subfolder})
+Content: ${truncatedText}`;
+
+        try {
+            const result = await this.queuedGeminiRequest(prompt, 'policy_indexing', {
+                policyText: truncatedText,
+                fileName,
+                subfolder
+            });
+            const parsed = this.parseJSONResponse(result, false, ['keywords', 'short_description']);
+
+            return {
+                keywords: Array.isArray(parsed.keywords) ? parsed.keywords.map(String) : [],
+                short_description: String(parsed.short_description || ''),
+                category: COMPLIANCE_CATEGORIES.includes(parsed.category) ? parsed.category : 'Other'
+            };
+        } catch (error) {
+            console.error(`Error indexing policy ${fileName}:`, error);
+            throw new ApiError(500, `Failed to index policy: ${error.message}`);
         }
-        return positions;
     }
 
-    async queuedGeminiRequest(prompt, requestType) {
+    async queuedGeminiRequest(prompt, requestType, context = {}) {
         return new Promise((resolve, reject) => {
             this.requestQueue.push({
                 prompt,
                 requestType,
+                context,
                 resolve,
                 reject,
                 timestamp: Date.now()
@@ -268,7 +342,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         const startTime = Date.now();
         
         try {
-            const result = await this.makeGeminiRequest(request.prompt);
+            const result = await this.makeLLMRequest(request.prompt, request.requestType, request.context);
             const endTime = Date.now();
             
             // Track request performance for adaptive delay
@@ -278,6 +352,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
                 timestamp: endTime,
                 success: true
             });
+            this.recordRequestMetrics(request.requestType, endTime - startTime, true);
             
             this.adjustAdaptiveDelay();
             request.resolve(result);
@@ -291,6 +366,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
                 success: false,
                 error: error.message
             });
+            this.recordRequestMetrics(request.requestType, endTime - startTime, false);
             
             this.adjustAdaptiveDelay();
             request.reject(error);
@@ -300,6 +376,11 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         setTimeout(() => this.processQueue(), 100);
     }
 
+    recordRequestMetrics(type, durationMs, success) {
+        metricsService.increment('llm_requests_total', { type, outcome: success ? 'success' : 'failure' });
+        metricsService.observe('llm_request_duration_seconds', { type }, durationMs / 1000);
+    }
+
     adjustAdaptiveDelay() {
         // Keep only recent history (last 10 requests)
         this.requestHistory = this.requestHistory.slice(-10);
@@ -319,31 +400,26 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         console.log(`Adaptive delay adjusted to ${this.adaptiveDelay}ms (failures: ${recentFailures}, avg duration: ${Math.round(avgDuration)}ms)`);
     }
 
-    async makeGeminiRequest(prompt, retryCount = 0) {
+    async makeLLMRequest(prompt, requestType, context, retryCount = 0) {
+        const provider = getLLMProvider();
+
         try {
-            const model = getGeminiModel();
-            const result = await model.generateContent(prompt);
-            
-            if (!result || !result.response) {
-                throw new Error('No response received from Gemini API');
-            }
-            
-            return result.response.text();
+            return await provider.generate(prompt, { requestType, context });
         } catch (error) {
-            if (retryCount < this.maxRetries) {
+            if (provider.retryable && retryCount < this.maxRetries) {
                 const delay = this.baseDelay * Math.pow(2, retryCount);
-                console.log(`Retrying Gemini request in ${delay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
+                console.log(`Retrying ${provider.name} request in ${delay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
                 
                 await this.sleep(delay);
-                return this.makeGeminiRequest(prompt, retryCount + 1);
+                return this.makeLLMRequest(prompt, requestType, context, retryCount + 1);
             }
             
-            throw new ApiError(500, `Gemini API error after ${this.maxRetries} retries: ${error.message}`);
+            throw new ApiError(500, `${provider.name} LLM error after ${retryCount} retries: ${error.message}`);
         }
     }
 
     // ... (rest of the parsing methods remain the same as before)
-    parseJSONResponse(response, expectQuestionsArray = false) {
+    parseJSONResponse(response, expectQuestionsArray = false, requiredFields = ['hasAnswer', 'confidence']) {
         try {
             let cleanedResponse = response.trim();
             
@@ -363,7 +439,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
             
             try {
                 const parsed = JSON.parse(cleanedResponse);
-                return this.validateParsedResponse(parsed, expectQuestionsArray);
+                return this.validateParsedResponse(parsed, expectQuestionsArray, requiredFields);
             } catch (initialError) {
                 console.log('Initial JSON parse failed, attempting repairs...');
             }
@@ -373,7 +449,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
                 const repairedJson = this.findLastCompleteQuestion(cleanedResponse);
                 if (repairedJson) {
                     const parsed = JSON.parse(repairedJson);
-                    return this.validateParsedResponse(parsed, expectQuestionsArray);
+                    return this.validateParsedResponse(parsed, expectQuestionsArray, requiredFields);
                 } else {
                     throw new Error('Response is truncated and cannot be repaired');
                 }
@@ -390,7 +466,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
                 
                 try {
                     const parsed = JSON.parse(cleanedResponse);
-                    return this.validateParsedResponse(parsed, expectQuestionsArray);
+                    return this.validateParsedResponse(parsed, expectQuestionsArray, requiredFields);
                 } catch (repairError) {
                     throw new Error('Failed to repair malformed JSON');
                 }
@@ -407,7 +483,7 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         }
     }
     
-    validateParsedResponse(parsed, expectQuestionsArray) {
+    validateParsedResponse(parsed, expectQuestionsArray, requiredFields = ['hasAnswer', 'confidence']) {
         if (expectQuestionsArray) {
             if (!parsed.questions || !Array.isArray(parsed.questions)) {
                 throw new Error('Invalid JSON structure: missing or invalid questions array');
@@ -424,7 +500,6 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
             
             console.log(`Validated ${parsed.questions.length} questions`);
         } else {
-            const requiredFields = ['hasAnswer', 'confidence'];
             const missingFields = requiredFields.filter(field => !(field in parsed));
             if (missingFields.length > 0) {
                 throw new Error(`Invalid JSON structure: missing required fields: ${missingFields.join(', ')}`);
@@ -591,16 +666,36 @@ IMPORTANT: Only return hasAnswer: true if you find definitive evidence that dire
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Failure rate and mean latency over the recent requests that drive the adaptive delay
+    getRecentRequestStats() {
+        const count = this.requestHistory.length;
+        return {
+            requests: count,
+            failureRate: count > 0 ? this.requestHistory.filter(h => !h.success).length / count : 0,
+            avgDurationMs: count > 0 ? this.requestHistory.reduce((sum, h) => sum + h.duration, 0) / count : 0
+        };
+    }
+
     getQueueStats() {
         return {
             queueLength: this.requestQueue.length,
             activeRequests: this.activeRequests,
             maxConcurrent: this.maxConcurrentRequests,
             adaptiveDelay: this.adaptiveDelay,
+            provider: this.getProviderInfo(),
+            recent: this.getRecentRequestStats(),
             recentHistory: this.requestHistory.slice(-5)
         };
     }
 
+    getProviderInfo() {
+        try {
+            return getLLMProvider().describe();
+        } catch (error) {
+            return null;
+        }
+    }
+
     adjustConcurrencyLimits(maxConcurrent) {
         this.maxConcurrentRequests = Math.max(1, Math.min(maxConcurrent, 5));
         console.log(`Concurrency limit adjusted to ${this.maxConcurrentRequests}`);
@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { ApiError } from '../utils/apiError.js';
+import policyDocumentService from './policyDocumentService.js';
+import optimizedGeminiService from './geminiService.js';
+import optimizedPolicyService from './policyService.js';
+import { chunkDocument } from '../utils/textChunker.js';
+import { getPolicyFormat } from '../utils/policyFormat.js';
+
+/**
+ * Builds policy_indexes.json from the documents in the policy repository.
+ *
+ * Builds are incremental: a manifest next to the index records the
+ * modifiedTime and SHA-256 of every file that was indexed, and only files
+ * whose modifiedTime and content hash both changed are sent to the LLM again.
+ * Entries already present in the index without a manifest record (e.g.
+ * hand-written ones) are adopted as-is unless a forced rebuild is requested.
+ *
+ * The same builder produces the vector index used by hybrid retrieval: every
+ * indexed policy is chunked and embedded, re-embedding only policies whose
+ * modifiedTime changed or all of them when the embedding model changes.
+ */
+class PolicyIndexBuilder {
+    constructor() {
+        this.maxConcurrentFiles = 3;
+        this.running = false;
+        this.status = {
+            running: false,
+            startedAt: null,
+            finishedAt: null,
+            lastReport: null,
+            lastError: null
+        };
+    }
+
+    getManifestPath(indexPath) {
+        const parsed = path.parse(indexPath);
+        return path.join(parsed.dir, `${parsed.name}.manifest.json`);
+    }
+
+    entryKey(subfolder, pdfName) {
+        return `${subfolder}/${pdfName}`;
+    }
+
+    async readJSON(filePath, fallback) {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw new ApiError(500, `Failed to read ${filePath}: ${error.message}`);
+        }
+    }
+
+    async writeJSONAtomic(filePath, data) {
+        await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    }
+
+    hashBuffer(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    async listRepositoryFiles(repository) {
+        const subfolders = await repository.listSubfolders();
+        const files = [];
+
+        for (const subfolder of subfolders) {
+            const folderFiles = await repository.listPolicyFiles(subfolder.id);
+            folderFiles.forEach(file => files.push({ ...file, subfolder: subfolder.name }));
+        }
+
+        return files;
+    }
+
+    // Both builds work on one policy set, the default set unless another is given
+    async build({ policySet = optimizedPolicyService.getPolicySet(), force = false, dryRun = false, indexPath = policySet.indexPath, onProgress = null } = {}) {
+        return this.runExclusive(policySet, () => this.runBuild({ policySet, force, dryRun, indexPath, onProgress }));
+    }
+
+    async buildVectors({ policySet = optimizedPolicyService.getPolicySet(), force = false, indexPath = policySet.indexPath, onProgress = null } = {}) {
+        return this.runExclusive(policySet, () => this.runVectorBuild({ policySet, force, indexPath, onProgress }));
+    }
+
+    async runExclusive(policySet, task) {
+        if (this.running) {
+            throw new ApiError(409, 'A policy index build is already running');
+        }
+
+        this.running = true;
+        this.status = { ...this.status, running: true, policySet: policySet.id, startedAt: new Date().toISOString(), finishedAt: null, lastError: null };
+
+        try {
+            const report = await task();
+            this.status.lastReport = report;
+            return report;
+        } catch (error) {
+            this.status.lastError = error.message;
+            throw error;
+        } finally {
+            this.running = false;
+            this.status.running = false;
+            this.status.finishedAt = new Date().toISOString();
+        }
+    }
+
+    async runBuild({ policySet, force, dryRun, indexPath, onProgress }) {
+        const startTime = Date.now();
+        const manifestPath = this.getManifestPath(indexPath);
+        console.log(`Building policy index for set "${policySet.id}" at ${indexPath}${force ? ' (forced)' : ''}${dryRun ? ' (dry run)' : ''}`);
+
+        const existingIndex = await this.readJSON(indexPath, []);
+        if (!Array.isArray(existingIndex)) {
+            throw new ApiError(500, 'Policy index file must contain an array of policies');
+        }
+        const manifest = await this.readJSON(manifestPath, { files: {} });
+
+        const entriesByKey = new Map(existingIndex.map(entry => [this.entryKey(entry.subfolder, entry.pdf_name), entry]));
+
+        const repository = policySet.getRepository();
+        await repository.ensureInitialized();
+        const files = await this.listRepositoryFiles(repository);
+        console.log(`Found ${files.length} policy files in ${repository.type} repository`);
+
+        const report = {
+            policySet: policySet.id,
+            indexPath,
+            totalFiles: files.length,
+            added: [],
+            updated: [],
+            adopted: [],
+            unchanged: [],
+            failed: [],
+            missingFiles: []
+        };
+
+        const seenKeys = new Set();
+        const batches = optimizedGeminiService.createBatches(files, this.maxConcurrentFiles);
+        let processed = 0;
+
+        for (const batch of batches) {
+            await Promise.all(batch.map(async file => {
+                const key = this.entryKey(file.subfolder, file.name);
+                seenKeys.add(key);
+
+                try {
+                    const outcome = await this.indexFile(repository, file, key, entriesByKey, manifest, force);
+                    report[outcome].push(key);
+                } catch (error) {
+                    console.error(`Failed to index ${key}:`, error.message);
+                    report.failed.push({ file: key, error: error.message });
+                }
+
+                processed++;
+                if (onProgress) onProgress(processed, files.length);
+            }));
+        }
+
+        report.missingFiles = Array.from(entriesByKey.keys()).filter(key => !seenKeys.has(key));
+
+        // Keep the existing order, append new entries grouped by subfolder
+        const existingKeys = new Set(existingIndex.map(entry => this.entryKey(entry.subfolder, entry.pdf_name)));
+        const newEntries = Array.from(entriesByKey.entries())
+            .filter(([key]) => !existingKeys.has(key))
+            .map(([, entry]) => entry)
+            .sort((a, b) => a.subfolder.localeCompare(b.subfolder) || a.pdf_name.localeCompare(b.pdf_name));
+        const mergedIndex = [
+            ...existingIndex.map(entry => entriesByKey.get(this.entryKey(entry.subfolder, entry.pdf_name))),
+            ...newEntries
+        ];
+
+        if (!dryRun) {
+            manifest.builtAt = new Date().toISOString();
+            manifest.repository = repository.type;
+            await this.writeJSONAtomic(indexPath, mergedIndex);
+            await this.writeJSONAtomic(manifestPath, manifest);
+        }
+
+        report.totalEntries = mergedIndex.length;
+        report.durationMs = Date.now() - startTime;
+        report.dryRun = dryRun;
+
+        console.log(`Policy index build complete in ${report.durationMs}ms: ${report.added.length} added, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.adopted.length} adopted, ${report.failed.length} failed`);
+        return report;
+    }
+
+    async indexFile(repository, file, key, entriesByKey, manifest, force) {
+        const record = manifest.files[key];
+        const existingEntry = entriesByKey.get(key);
+
+        if (!force && record && record.modifiedTime && record.modifiedTime === file.modifiedTime && existingEntry) {
+            return 'unchanged';
+        }
+
+        const buffer = await repository.downloadFile(file.id);
+        const sha256 = this.hashBuffer(buffer);
+        const newRecord = { fileId: file.id, modifiedTime: file.modifiedTime || null, sha256, indexedAt: new Date().toISOString() };
+
+        if (!force && existingEntry) {
+            if (record && record.sha256 === sha256) {
+                manifest.files[key] = { ...newRecord, indexedAt: record.indexedAt };
+                return 'unchanged';
+            }
+            if (!record) {
+                manifest.files[key] = newRecord;
+                return 'adopted';
+            }
+        }
+
+        const { text: policyText } = await policyDocumentService.parse(buffer, getPolicyFormat(file));
+        if (!policyText) {
+            throw new ApiError(422, 'No extractable text in policy file');
+        }
+
+        const generated = await optimizedGeminiService.generatePolicyIndexEntry(policyText, file.name, file.subfolder);
+
+        entriesByKey.set(key, {
+            ...(existingEntry || {}),
+            pdf_name: file.name,
+            subfolder: file.subfolder,
+            ...generated
+        });
+        manifest.files[key] = newRecord;
+
+        return existingEntry ? 'updated' : 'added';
+    }
+
+    async runVectorBuild({ policySet, force, indexPath, onProgress }) {
+        const startTime = Date.now();
+        const vectorIndex = policySet.vectorIndex;
+        const vectorPath = vectorIndex.getVectorIndexPath(indexPath);
+        console.log(`Building vector index for set "${policySet.id}" at ${vectorPath}${force ? ' (forced)' : ''}`);
+
+        const policies = policySet.getPolicyIndex();
+        const embedding = await vectorIndex.describeEmbedding();
+        const existing = await vectorIndex.readIndexFile(indexPath);
+        const sameModel = existing
+            && existing.embedding.provider === embedding.provider
+            && existing.embedding.model === embedding.model;
+
+        if (existing && !sameModel) {
+            console.log(`Embedding model changed (${existing.embedding.provider}/${existing.embedding.model} -> ${embedding.provider}/${embedding.model}), re-embedding all policies`);
+        }
+
+        const previous = sameModel ? existing.policies : {};
+        const records = {};
+        const report = { policySet: policySet.id, vectorPath, totalPolicies: policies.length, added: [], updated: [], unchanged: [], failed: [], removed: [] };
+        let processed = 0;
+
+        for (const batch of optimizedGeminiService.createBatches(policies, this.maxConcurrentFiles)) {
+            await Promise.all(batch.map(async policy => {
+                const key = vectorIndex.policyKey(policy);
+
+                try {
+                    const fileId = await policySet.getPolicyFileId(policy);
+                    const metadata = await policySet.getRepository().getFileMetadata(fileId);
+                    const record = previous[key];
+
+                    if (!force && record && record.modifiedTime && record.modifiedTime === metadata.modifiedTime) {
+                        records[key] = record;
+                        report.unchanged.push(key);
+                    } else {
+                        const document = await policySet.getPolicyDocument(policy);
+                        const chunks = chunkDocument(document);
+                        if (chunks.length === 0) {
+                            throw new ApiError(422, 'No extractable text in policy file');
+                        }
+
+                        records[key] = {
+                            fileId,
+                            modifiedTime: metadata.modifiedTime || null,
+                            pageCount: document.pageCount,
+                            chunks: await vectorIndex.embedChunks(chunks)
+                        };
+                        report[record ? 'updated' : 'added'].push(key);
+                    }
+                } catch (error) {
+                    console.error(`Failed to embed ${key}:`, error.message);
+                    report.failed.push({ file: key, error: error.message });
+                }
+
+                processed++;
+                if (onProgress) onProgress(processed, policies.length);
+            }));
+        }
+
+        report.removed = Object.keys(existing?.policies || {}).filter(key => !records[key]
+            && !report.failed.some(failure => failure.file === key));
+
+        const data = vectorIndex.createIndexData(embedding, records);
+        await this.writeJSONAtomic(vectorPath, data);
+        vectorIndex.apply(data);
+
+        report.totalChunks = Object.values(records).reduce((sum, record) => sum + record.chunks.length, 0);
+        report.durationMs = Date.now() - startTime;
+
+        console.log(`Vector index build complete in ${report.durationMs}ms: ${report.added.length} added, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.failed.length} failed, ${report.totalChunks} chunks`);
+        return report;
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+}
+
+const policyIndexBuilder = new PolicyIndexBuilder();
+
+export default policyIndexBuilder;
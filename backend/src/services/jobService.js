@@ -0,0 +1,161 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { ApiError } from '../utils/apiError.js';
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+
+class AuditJobService {
+    constructor() {
+        this.jobs = new Map();
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0); // One listener per open SSE stream
+        this.jobRetentionMs = 60 * 60 * 1000;
+    }
+
+    createJob(meta = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            stage: 'queued',
+            meta,
+            progress: {
+                percent: 0,
+                totalQuestions: 0,
+                questionsProcessed: 0,
+                totalPoliciesChecked: 0,
+                evidenceFound: 0,
+                lastQuestionId: null
+            },
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            completedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        console.log(`Created audit job ${job.id}`);
+        return job;
+    }
+
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw new ApiError(404, `Job not found: ${jobId}`);
+        }
+        return job;
+    }
+
+    isTerminal(job) {
+        return TERMINAL_STATUSES.includes(job.status);
+    }
+
+    setStage(jobId, stage, progressUpdate = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job || this.isTerminal(job)) return;
+
+        job.status = 'running';
+        job.stage = stage;
+        Object.assign(job.progress, progressUpdate);
+        job.progress.percent = this.calculatePercent(job);
+        job.updatedAt = new Date().toISOString();
+
+        this.publish(job, 'progress');
+    }
+
+    updateProgress(jobId, processingStats, lastQuestionId = null) {
+        this.setStage(jobId, 'analyzing', {
+            totalQuestions: processingStats.totalQuestions,
+            questionsProcessed: processingStats.questionsProcessed,
+            totalPoliciesChecked: processingStats.totalPoliciesChecked,
+            evidenceFound: processingStats.evidenceFound,
+            lastQuestionId
+        });
+    }
+
+    completeJob(jobId, result) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = 'completed';
+        job.stage = 'completed';
+        job.result = result;
+        job.progress.percent = 100;
+        job.completedAt = new Date().toISOString();
+        job.updatedAt = job.completedAt;
+
+        this.publish(job, 'completed');
+        this.scheduleCleanup(jobId);
+    }
+
+    failJob(jobId, error) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+
+        job.status = 'failed';
+        job.stage = 'failed';
+        job.error = {
+            statusCode: error.statusCode || 500,
+            message: error.message || 'Audit job failed'
+        };
+        job.completedAt = new Date().toISOString();
+        job.updatedAt = job.completedAt;
+
+        this.publish(job, 'failed');
+        this.scheduleCleanup(jobId);
+    }
+
+    calculatePercent(job) {
+        // Question extraction counts for the first 10%, per-question analysis for the rest
+        if (job.stage === 'queued') return 0;
+        if (job.stage === 'extracting_text' || job.stage === 'extracting_questions') return 5;
+
+        const { totalQuestions, questionsProcessed } = job.progress;
+        if (!totalQuestions) return 10;
+
+        return Math.min(99, 10 + Math.round((questionsProcessed / totalQuestions) * 90));
+    }
+
+    subscribe(jobId, listener) {
+        const eventName = `job:${jobId}`;
+        this.emitter.on(eventName, listener);
+        return () => this.emitter.off(eventName, listener);
+    }
+
+    publish(job, type) {
+        this.emitter.emit(`job:${job.id}`, { type, job: this.toSummary(job) });
+    }
+
+    scheduleCleanup(jobId) {
+        // Keep finished jobs around long enough for clients to fetch the result; never hold the process open for it
+        setTimeout(() => this.jobs.delete(jobId), this.jobRetentionMs).unref();
+    }
+
+    toSummary(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            stage: job.stage,
+            meta: job.meta,
+            progress: { ...job.progress },
+            error: job.error,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            completedAt: job.completedAt
+        };
+    }
+
+    getStats() {
+        const jobs = Array.from(this.jobs.values());
+        return {
+            totalJobs: jobs.length,
+            activeJobs: jobs.filter(job => !this.isTerminal(job)).length,
+            subscribers: this.emitter.eventNames()
+                .reduce((sum, name) => sum + this.emitter.listenerCount(name), 0)
+        };
+    }
+}
+
+const auditJobService = new AuditJobService();
+
+export default auditJobService;
@@ -0,0 +1,138 @@
+const PREFIX = 'policy_audit_';
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const METRICS = {
+    http_requests_total: { type: 'counter', help: 'HTTP requests by method, route and status code' },
+    http_request_duration_seconds: { type: 'histogram', help: 'HTTP request duration by method and route' },
+    llm_requests_total: { type: 'counter', help: 'LLM requests by request type and outcome' },
+    llm_request_duration_seconds: { type: 'histogram', help: 'LLM request duration by request type' },
+    policy_download_duration_seconds: { type: 'histogram', help: 'Policy file download time by repository and outcome' },
+    cache_lookups_total: { type: 'counter', help: 'Cache lookups by cache and result (hit or miss)' }
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * In-process counters and histograms rendered in the Prometheus text format.
+ * Services record events as they happen; point-in-time values (cache sizes,
+ * queue lengths, active jobs) are read from the services at scrape time by
+ * collectors registered with addCollector().
+ */
+class MetricsService {
+    constructor() {
+        this.series = new Map(); // metric name -> label key -> { labels, value } or histogram state
+        this.collectors = [];
+    }
+
+    getSeries(name, labels) {
+        if (!METRICS[name]) throw new Error(`Unknown metric: ${name}`);
+        if (!this.series.has(name)) this.series.set(name, new Map());
+
+        const byLabels = this.series.get(name);
+        const key = labelKey(labels);
+        if (!byLabels.has(key)) {
+            byLabels.set(key, METRICS[name].type === 'histogram'
+                ? { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 });
+        }
+        return byLabels.get(key);
+    }
+
+    increment(name, labels = {}, value = 1) {
+        this.getSeries(name, labels).value += value;
+    }
+
+    observe(name, labels, value) {
+        const series = this.getSeries(name, labels);
+        DURATION_BUCKETS.forEach((bound, i) => {
+            if (value <= bound) series.buckets[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    recordCacheLookup(cache, hit) {
+        this.increment('cache_lookups_total', { cache, result: hit ? 'hit' : 'miss' });
+    }
+
+    // Hits over lookups per cache since the process started
+    getCacheHitRatios() {
+        const totals = {};
+        (this.series.get('cache_lookups_total') || new Map()).forEach(({ labels, value }) => {
+            totals[labels.cache] = totals[labels.cache] || { hit: 0, miss: 0 };
+            totals[labels.cache][labels.result] += value;
+        });
+
+        return Object.fromEntries(Object.entries(totals).map(([cache, { hit, miss }]) => [
+            cache,
+            hit + miss > 0 ? hit / (hit + miss) : 0
+        ]));
+    }
+
+    /**
+     * A collector returns gauges read at scrape time:
+     *   [{ name, help, samples: [{ labels, value }] }]
+     */
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    render() {
+        const lines = [];
+
+        Object.entries(METRICS).forEach(([name, { type, help }]) => {
+            const byLabels = this.series.get(name);
+            if (!byLabels || byLabels.size === 0) return;
+
+            lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`);
+            byLabels.forEach(series => {
+                if (type === 'histogram') {
+                    DURATION_BUCKETS.forEach((bound, i) => {
+                        lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`);
+                    });
+                    lines.push(`${PREFIX}${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${PREFIX}${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${PREFIX}${name}_count${formatLabels(series.labels)} ${series.count}`);
+                } else {
+                    lines.push(`${PREFIX}${name}${formatLabels(series.labels)} ${series.value}`);
+                }
+            });
+        });
+
+        this.collectors.forEach(collector => {
+            collector().forEach(({ name, help, samples }) => {
+                lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} gauge`);
+                samples.forEach(({ labels = {}, value }) => {
+                    lines.push(`${PREFIX}${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+                });
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    // Express middleware counting requests by route pattern, not raw URL, to keep label values bounded
+    httpMiddleware() {
+        return (req, res, next) => {
+            const start = process.hrtime.bigint();
+            res.on('finish', () => {
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                this.increment('http_requests_total', { method: req.method, route, status: res.statusCode });
+                this.observe('http_request_duration_seconds', { method: req.method, route }, seconds);
+            });
+            next();
+        };
+    }
+}
+
+const metricsService = new MetricsService();
+
+export default metricsService;
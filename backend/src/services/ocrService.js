@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFRawStream, PDFNumber } from 'pdf-lib';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const COLOR_CHANNELS = { DeviceGray: 1, DeviceRGB: 3 };
+
+// Where tesseract.js itself downloads LSTM language data from
+const DEFAULT_LANG_URL = (lang) => `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${lang}/4.0.0_best_int`;
+
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Optical character recognition for scanned PDF pages, through Tesseract
+ * compiled to WebAssembly (the optional tesseract.js package). Nothing is
+ * rendered: a scanned page is one large embedded image, which is taken
+ * from the PDF as JPEG (DCTDecode) or re-wrapped as PNG (8-bit or 1-bit
+ * FlateDecode gray/RGB). Pages whose scan uses another encoding (CCITT,
+ * JBIG2, JPEG 2000) are reported as skipped.
+ *
+ * The language data is downloaded on first use (or copied from OCR_LANG_PATH,
+ * a folder or URL holding <lang>.traineddata[.gz]) and kept in OCR_CACHE_DIR.
+ */
+class OcrService {
+    /**
+     * Puts <lang>.traineddata for every configured language into the cache
+     * directory, where the worker looks first. tesseract.js can fetch it too,
+     * but a failed fetch inside the worker never rejects createWorker.
+     */
+    async ensureLanguageData() {
+        await fs.mkdir(config.ocrCacheDir, { recursive: true });
+
+        for (const lang of config.ocrLanguage.split('+')) {
+            const cachedPath = path.join(config.ocrCacheDir, `${lang}.traineddata`);
+            if (await fs.access(cachedPath).then(() => true, () => false)) continue;
+
+            const source = config.ocrLangPath || DEFAULT_LANG_URL(lang);
+            let data;
+            try {
+                if (/^https?:\/\//.test(source)) {
+                    const url = `${source.replace(/\/$/, '')}/${lang}.traineddata.gz`;
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+                    data = Buffer.from(await response.arrayBuffer());
+                } else {
+                    data = await fs.readFile(path.join(source, `${lang}.traineddata.gz`))
+                        .catch(() => fs.readFile(path.join(source, `${lang}.traineddata`)));
+                }
+            } catch (error) {
+                throw new ApiError(500, `OCR language data "${lang}" unavailable from ${source}: ${error.message}`);
+            }
+
+            if (data[0] === 0x1f && data[1] === 0x8b) data = zlib.gunzipSync(data);
+            const tempPath = `${cachedPath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, data);
+            await fs.rename(tempPath, cachedPath);
+            console.log(`Cached OCR language data ${lang} from ${source}`);
+        }
+    }
+
+    async createWorker() {
+        let tesseract;
+        try {
+            tesseract = await import('tesseract.js');
+        } catch (error) {
+            throw new ApiError(500, `OCR needs the optional tesseract.js package: ${error.message}`);
+        }
+
+        await this.ensureLanguageData();
+        return tesseract.createWorker(config.ocrLanguage, 1, {
+            cachePath: config.ocrCacheDir,
+            // Without a handler tesseract.js rethrows worker failures outside any promise
+            errorHandler: (error) => console.error('OCR worker error:', error)
+        });
+    }
+
+    filterNames(dict) {
+        const filter = dict.lookup(PDFName.of('Filter'));
+        if (!filter) return [];
+        if (filter instanceof PDFArray) return filter.asArray().map(name => String(name).replace(/^\//, ''));
+        return [String(filter).replace(/^\//, '')];
+    }
+
+    numberOf(dict, key) {
+        const value = dict.lookup(PDFName.of(key));
+        return value instanceof PDFNumber ? value.asNumber() : null;
+    }
+
+    // Re-wraps a Flate image stream as a PNG when its pixel layout is one PNG can hold
+    toPng(stream) {
+        const dict = stream.dict;
+        const width = this.numberOf(dict, 'Width');
+        const height = this.numberOf(dict, 'Height');
+        const bits = this.numberOf(dict, 'BitsPerComponent');
+        const colorSpace = String(dict.lookup(PDFName.of('ColorSpace')) || '').replace(/^\//, '');
+        const channels = COLOR_CHANNELS[colorSpace];
+
+        if (!width || !height || !channels || ![1, 8].includes(bits) || (bits === 1 && channels !== 1)) return null;
+
+        const params = dict.lookup(PDFName.of('DecodeParms'));
+        const predictor = params instanceof PDFDict ? this.numberOf(params, 'Predictor') : null;
+
+        // PNG predictors (10-15) mean the stream already holds filtered PNG rows
+        let idat;
+        if (predictor && predictor >= 10) {
+            idat = Buffer.from(stream.contents);
+        } else if (!predictor || predictor === 1) {
+            const pixels = zlib.inflateSync(Buffer.from(stream.contents));
+            const rowBytes = Math.ceil((width * channels * bits) / 8);
+            const rows = [];
+            for (let y = 0; y < height; y++) {
+                rows.push(Buffer.from([0]), pixels.subarray(y * rowBytes, (y + 1) * rowBytes));
+            }
+            idat = zlib.deflateSync(Buffer.concat(rows));
+        } else {
+            return null;
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header.writeUInt8(bits, 8);
+        header.writeUInt8(channels === 1 ? 0 : 2, 9);
+
+        return Buffer.concat([PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('IDAT', idat), pngChunk('IEND', Buffer.alloc(0))]);
+    }
+
+    // The largest image drawn directly on the page, as an encoded image Tesseract can read
+    extractPageImage(pdfDoc, page) {
+        const xObjects = page.node.Resources()?.lookup(PDFName.of('XObject'));
+        if (!(xObjects instanceof PDFDict)) return { image: null, reason: 'no image on page' };
+
+        const images = xObjects.entries()
+            .map(([, ref]) => pdfDoc.context.lookup(ref))
+            .filter(stream => stream instanceof PDFRawStream
+                && String(stream.dict.lookup(PDFName.of('Subtype'))) === '/Image')
+            .sort((a, b) => (this.numberOf(b.dict, 'Width') * this.numberOf(b.dict, 'Height'))
+                - (this.numberOf(a.dict, 'Width') * this.numberOf(a.dict, 'Height')));
+
+        if (images.length === 0) return { image: null, reason: 'no image on page' };
+
+        const filters = this.filterNames(images[0].dict);
+        if (filters.length === 1 && filters[0] === 'DCTDecode') {
+            return { image: Buffer.from(images[0].contents) };
+        }
+        if (filters.length === 1 && filters[0] === 'FlateDecode') {
+            const png = this.toPng(images[0]);
+            if (png) return { image: png };
+        }
+
+        return { image: null, reason: `unsupported image encoding (${filters.join(', ') || 'none'})` };
+    }
+
+    /**
+     * Recognizes the text of the given pages (1-based numbers) of a PDF.
+     * Returns { pages: [{ pageNumber, text }], skipped: [{ pageNumber, reason }] }.
+     */
+    async recognizePages(dataBuffer, pageNumbers) {
+        const pdfDoc = await PDFDocument.load(dataBuffer, { ignoreEncryption: true });
+        const pdfPages = pdfDoc.getPages();
+        const pages = [];
+        const skipped = [];
+        let worker = null;
+
+        try {
+            for (const pageNumber of pageNumbers) {
+                const { image, reason } = this.extractPageImage(pdfDoc, pdfPages[pageNumber - 1]);
+                if (!image) {
+                    skipped.push({ pageNumber, reason });
+                    continue;
+                }
+
+                worker = worker || await this.createWorker();
+                const { data } = await worker.recognize(image);
+                pages.push({ pageNumber, text: data.text || '' });
+            }
+        } finally {
+            await worker?.terminate();
+        }
+
+        return { pages, skipped };
+    }
+}
+
+const ocrService = new OcrService();
+
+export default ocrService;
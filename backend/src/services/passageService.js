@@ -0,0 +1,90 @@
+import config from '../config/config.js';
+import { chunkDocument } from '../utils/textChunker.js';
+import { tokenize, createBM25Index } from '../utils/bm25.js';
+
+// Score bonus for passages that hybrid retrieval already matched to the question
+const RETRIEVAL_HIT_BONUS = 0.5;
+
+// Passage index of each extracted policy document, built on first use
+const passageCache = new WeakMap();
+
+/**
+ * Splits policies into section-aware passages and picks the ones to show the
+ * model for a question. Passages are ranked by BM25 within the policy, with a
+ * bonus for chunks hybrid retrieval returned, and handed out in rounds: the
+ * first round holds the best `evidencePassagesPerRound` passages and each
+ * escalation round the next best, always within `evidenceMaxChars`.
+ */
+class PassageService {
+    getPassageIndex(document) {
+        if (!passageCache.has(document)) {
+            const passages = chunkDocument(document);
+            passageCache.set(document, {
+                passages,
+                bm25: createBM25Index(passages.map(passage => passage.text))
+            });
+        }
+        return passageCache.get(document);
+    }
+
+    rankPassages(document, question, retrievalChunks = []) {
+        const { passages, bm25 } = this.getPassageIndex(document);
+        const queryText = [question.text, question.description, ...(question.keywords || [])].filter(Boolean).join(' ');
+        const queryTokens = [...new Set(tokenize(queryText))];
+        const retrievalHits = new Set(retrievalChunks.map(chunk => chunk.id));
+
+        const scores = passages.map((passage, index) => bm25.score(queryTokens, index));
+        const maxScore = Math.max(0, ...scores);
+
+        return passages
+            .map((passage, index) => ({
+                ...passage,
+                score: (maxScore > 0 ? scores[index] / maxScore : 0) + (retrievalHits.has(passage.id) ? RETRIEVAL_HIT_BONUS : 0)
+            }))
+            .sort((a, b) => b.score - a.score || a.start - b.start);
+    }
+
+    // Ranked passages split into the rounds sent to the model, each in document order
+    planRounds(document, question, retrievalChunks = []) {
+        const { passages } = this.getPassageIndex(document);
+        const maxChars = config.evidenceMaxChars;
+
+        // Short policies go to the model whole in a single round
+        if (document.text.length <= maxChars) {
+            return passages.length > 0 ? [passages] : [];
+        }
+
+        const ranked = this.rankPassages(document, question, retrievalChunks);
+        const rounds = [];
+        let cursor = 0;
+
+        while (cursor < ranked.length && rounds.length < config.evidenceMaxRounds) {
+            const round = [];
+            let size = 0;
+
+            while (cursor < ranked.length && round.length < config.evidencePassagesPerRound
+                && (round.length === 0 || size + ranked[cursor].text.length <= maxChars)) {
+                size += ranked[cursor].text.length;
+                round.push(ranked[cursor++]);
+            }
+
+            rounds.push(round.sort((a, b) => a.start - b.start));
+        }
+
+        return rounds;
+    }
+
+    formatPassages(passages) {
+        return passages.map(passage => {
+            const pages = passage.pages.length > 1
+                ? `pp. ${passage.pages[0]}-${passage.pages[passage.pages.length - 1]}`
+                : `p. ${passage.pages[0] ?? '?'}`;
+            const label = [passage.id, pages, passage.section].filter(Boolean).join(' | ');
+            return `[Passage ${label}]\n${passage.text}`;
+        }).join('\n\n');
+    }
+}
+
+const passageService = new PassageService();
+
+export default passageService;
@@ -3,30 +3,197 @@ import pdf from 'pdf-parse-fixed';
 import { ApiError } from '../utils/apiError.js';
 import optimizedDriveService from './driveService.js';
 
+// Numbered, upper-case section titles such as "III. POLICY" or "2. DEFINITIONS"
+const SECTION_HEADING_PATTERN = /^(?:(?:[IVXLC]+|[A-Z])\.|\d+(?:\.\d+)*\.?)\s+[A-Z][A-Z0-9 ,&/()'-]{2,80}$/;
+
+// Per-document lookup tables for locating quotes, built on first use
+const locatorCache = new WeakMap();
+
+/**
+ * Extracted PDFs are returned as documents rather than flat strings:
+ *
+ *   { text, pageCount, pages: [{ pageNumber, text, headings, start, end }], sections }
+ *
+ * `text` is the cleaned text of all pages joined with single spaces, and each
+ * page's `start`/`end` are its offsets into `text`, so an offset anywhere in
+ * the document maps back to a page. `sections` lists the detected headings
+ * in document order with their page and offset.
+ */
 class PDFService {
     async extractTextFromPDF(filePath) {
         try {
             const dataBuffer = await fs.readFile(filePath);
-            const data = await pdf(dataBuffer);
-            return this.cleanText(data.text);
+            return await this.parseDocument(dataBuffer);
         } catch (error) {
             console.error('Error extracting PDF text:', error);
             throw new ApiError(500, `Failed to extract text from PDF: ${error.message}`);
         }
     }
 
+    async extractTextFromBuffer(dataBuffer) {
+        try {
+            return await this.parseDocument(dataBuffer);
+        } catch (error) {
+            console.error('Error extracting PDF text from buffer:', error);
+            throw new ApiError(500, `Failed to extract text from PDF: ${error.message}`);
+        }
+    }
+
+    // Positioned text items per page, in PDF user-space coordinates
+    async extractTextLayout(dataBuffer) {
+        const pages = [];
+
+        const renderPage = async (pageData) => {
+            const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+            const items = content.items.map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+            }));
+
+            pages.push({ pageNumber: pageData.pageIndex + 1, items });
+            return items.map(item => item.str).join(' ');
+        };
+
+        try {
+            await pdf(dataBuffer, { pagerender: renderPage });
+            return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+        } catch (error) {
+            console.error('Error extracting PDF text layout:', error);
+            throw new ApiError(500, `Failed to extract text layout from PDF: ${error.message}`);
+        }
+    }
+
     async extractTextFromDriveFile(fileId) {
         try {
             console.log(`📄 Downloading file from Drive: ${fileId}`);
             const fileBuffer = await optimizedDriveService.downloadFile(fileId);
-            const data = await pdf(fileBuffer);
-            return this.cleanText(data.text);
+            return await this.parseDocument(fileBuffer);
         } catch (error) {
             console.error('Error extracting PDF text from Drive file:', error);
             throw new ApiError(500, `Failed to extract text from Drive PDF: ${error.message}`);
         }
     }
 
+    async parseDocument(dataBuffer) {
+        return this.buildDocument(await this.extractPageLines(dataBuffer));
+    }
+
+    // Text lines of every page, [{ pageNumber, lines }] in page order
+    async extractPageLines(dataBuffer) {
+        const rawPages = [];
+
+        // Same line grouping as pdf-parse's default renderer, but kept per page
+        const renderPage = async (pageData) => {
+            const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+            const lines = [];
+            let lastY = null;
+
+            content.items.forEach(item => {
+                const y = item.transform[5];
+                if (lastY === null || Math.abs(y - lastY) > 1) {
+                    lines.push(item.str);
+                } else {
+                    lines[lines.length - 1] += item.str;
+                }
+                lastY = y;
+            });
+
+            rawPages.push({ pageNumber: pageData.pageIndex + 1, lines });
+            return lines.join('\n');
+        };
+
+        await pdf(dataBuffer, { pagerender: renderPage });
+        return rawPages.sort((a, b) => a.pageNumber - b.pageNumber);
+    }
+
+    buildDocument(rawPages) {
+        const pages = [];
+        const sections = [];
+        let text = '';
+
+        rawPages.forEach(({ pageNumber, lines }) => {
+            const pageText = this.cleanText(lines.join('\n'));
+            const start = text.length + (text && pageText ? 1 : 0);
+            if (pageText) {
+                text = text ? `${text} ${pageText}` : pageText;
+            }
+
+            const headings = [];
+            let cursor = 0;
+            lines.map(line => this.cleanText(line)).forEach(line => {
+                const position = pageText.indexOf(line, cursor);
+                if (line && position !== -1) cursor = position + line.length;
+                if (!SECTION_HEADING_PATTERN.test(line)) return;
+
+                headings.push(line);
+                sections.push({ heading: line, pageNumber, offset: start + Math.max(position, 0) });
+            });
+
+            pages.push({ pageNumber, text: pageText, headings, start, end: start + pageText.length });
+        });
+
+        return { text, pageCount: pages.length, pages, sections };
+    }
+
+    getLocator(document) {
+        if (locatorCache.has(document)) return locatorCache.get(document);
+
+        // Lower-case alphanumerics only, so quotes match regardless of spacing and punctuation
+        let compact = '';
+        const offsets = [];
+        for (let i = 0; i < document.text.length; i++) {
+            const char = document.text[i].toLowerCase();
+            if (/[a-z0-9]/.test(char)) {
+                compact += char;
+                offsets.push(i);
+            }
+        }
+
+        const locator = { compact, offsets };
+        locatorCache.set(document, locator);
+        return locator;
+    }
+
+    compactText(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Character range of a quote in the document text, or null when it does not occur
+    findQuote(document, quote) {
+        if (!document?.text || !quote) return null;
+
+        const { compact, offsets } = this.getLocator(document);
+        const needle = this.compactText(quote);
+        if (!needle) return null;
+
+        const index = compact.indexOf(needle);
+        if (index === -1) return null;
+
+        return { start: offsets[index], end: offsets[index + needle.length - 1] + 1 };
+    }
+
+    getPagesForRange(document, start, end) {
+        return document.pages
+            .filter(page => page.end > start && page.start < end)
+            .map(page => page.pageNumber);
+    }
+
+    getSectionAt(document, offset) {
+        const preceding = document.sections.filter(section => section.offset <= offset);
+        return preceding.length > 0 ? preceding[preceding.length - 1].heading : null;
+    }
+
+    formatPageReference(pages, section) {
+        if (pages.length === 0) return '';
+        const first = pages[0];
+        const last = pages[pages.length - 1];
+        const pageLabel = first === last ? `p. ${first}` : `pp. ${first}-${last}`;
+        return section ? `${pageLabel} (${section})` : pageLabel;
+    }
+
     cleanText(text) {
         if (!text) return '';
         
@@ -53,22 +220,6 @@ class PDFService {
             console.error(`Warning: Could not delete temp file ${filePath}:`, error.message);
         }
     }
-
-    validatePDFFile(file) {
-        if (!file) {
-            throw new ApiError(400, 'No PDF file provided');
-        }
-
-        if (file.mimetype !== 'application/pdf') {
-            throw new ApiError(400, 'Invalid file type. Only PDF files are allowed');
-        }
-
-        if (file.size > 10 * 1024 * 1024) { // 10MB
-            throw new ApiError(400, 'File size too large. Maximum size is 10MB');
-        }
-
-        return true;
-    }
 }
 
 // Create singleton instance
@@ -0,0 +1,315 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { createWriteLock } from '../utils/serialization.js';
+import metricsService from './metricsService.js';
+
+// Bump when parsed documents change shape, so cached text is re-parsed
+const PARSER_VERSION = 2;
+const MANIFEST_FILE = 'manifest.json';
+const ACCESS_FLUSH_DELAY = 5000;
+
+const md5 = (buffer) => crypto.createHash('md5').update(buffer).digest('hex');
+
+/**
+ * Disk cache of policy files and their parsed text, shared by every policy
+ * set and kept across restarts. An entry is addressed by the SHA-256 of
+ * repository type, repository root (local path or Drive folder), file id and
+ * modifiedTime, so a policy edited in the repository simply gets a new key
+ * and its old entry is dropped, and sets rooted elsewhere never share entries.
+ *
+ *   <dir>/<key>.pdf    raw file in any policy format (remote repositories only; local files are already on disk)
+ *   <dir>/<key>.json   parsed document from policyDocumentService.parse
+ *   <dir>/manifest.json  { entries: { <key>: { repository, root, fileId, name, modifiedTime, md5, bytes, lastAccess, ... } } }
+ *
+ * Every read first asks the repository for the file's current metadata and
+ * checks it against the entry (modifiedTime, size and, on Drive, MD5). The
+ * least recently used entries are evicted once the cache exceeds
+ * `config.policyCacheMaxBytes`.
+ */
+class PolicyFileCache {
+    constructor() {
+        this.cacheDir = config.policyCacheDir;
+        this.maxBytes = config.policyCacheMaxBytes;
+        this.enabled = config.policyCacheEnabled;
+        this.entries = null;
+        this.inFlight = new Map();
+        this.withWriteLock = createWriteLock();
+        this.flushTimer = null;
+        this.stats = {
+            hits: { policy_file: 0, policy_text: 0 },
+            misses: { policy_file: 0, policy_text: 0 },
+            invalidated: 0,
+            evicted: 0
+        };
+    }
+
+    async writeAtomic(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+    }
+
+    async loadManifest() {
+        if (this.entries) return this.entries;
+
+        await fs.mkdir(this.cacheDir, { recursive: true });
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this.cacheDir, MANIFEST_FILE), 'utf8'));
+            this.entries = new Map(Object.entries(data.entries || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Policy cache manifest unreadable, starting empty:', error.message);
+            }
+            this.entries = new Map();
+        }
+
+        return this.entries;
+    }
+
+    async persistManifest() {
+        await this.writeAtomic(
+            path.join(this.cacheDir, MANIFEST_FILE),
+            JSON.stringify({ entries: Object.fromEntries(this.entries) })
+        );
+    }
+
+    // Access times change on every hit; write them out in batches rather than per read
+    scheduleManifestFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.withWriteLock(() => this.persistManifest())
+                .catch(error => console.error('Failed to save policy cache manifest:', error.message));
+        }, ACCESS_FLUSH_DELAY);
+        this.flushTimer.unref?.();
+    }
+
+    // Local file ids are paths relative to the root, so the root is part of a file's identity
+    getRepositoryRoot(repository) {
+        return repository.rootPath || repository.rootFolderId || '';
+    }
+
+    getKey(repository, fileId, modifiedTime) {
+        return crypto.createHash('sha256')
+            .update(`${repository.type}\n${this.getRepositoryRoot(repository)}\n${fileId}\n${modifiedTime || ''}`)
+            .digest('hex');
+    }
+
+    getPath(key, extension) {
+        return path.join(this.cacheDir, `${key}.${extension}`);
+    }
+
+    // An entry is only usable if the repository still reports the same size and checksum
+    matchesMetadata(entry, metadata) {
+        if (metadata.size !== undefined && entry.size !== undefined && String(metadata.size) !== String(entry.size)) return false;
+        if (metadata.md5Checksum && entry.md5 && metadata.md5Checksum !== entry.md5) return false;
+        return true;
+    }
+
+    async removeEntry(key) {
+        this.entries.delete(key);
+        await Promise.all(['pdf', 'json'].map(extension => fs.rm(this.getPath(key, extension), { force: true })));
+    }
+
+    totalBytes() {
+        return Array.from(this.entries.values()).reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    }
+
+    // Drops least recently used entries until the cache fits, never the one just written
+    async evictToLimit(keepKey) {
+        const byAge = Array.from(this.entries.entries()).sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+        let total = this.totalBytes();
+
+        for (const [key, entry] of byAge) {
+            if (total <= this.maxBytes) break;
+            if (key === keepKey) continue;
+            await this.removeEntry(key);
+            total -= entry.bytes || 0;
+            this.stats.evicted++;
+        }
+    }
+
+    // Adds or updates an entry, replacing any older version of the same file
+    async store(key, entry, files) {
+        return this.withWriteLock(async () => {
+            await this.loadManifest();
+
+            for (const [otherKey, other] of this.entries) {
+                if (otherKey !== key && other.repository === entry.repository && other.root === entry.root && other.fileId === entry.fileId) {
+                    await this.removeEntry(otherKey);
+                }
+            }
+
+            const existing = this.entries.get(key) || {};
+            const fileBytes = { ...existing.fileBytes };
+            for (const [extension, data] of Object.entries(files)) {
+                await this.writeAtomic(this.getPath(key, extension), data);
+                fileBytes[extension] = Buffer.byteLength(data);
+            }
+
+            const bytes = Object.values(fileBytes).reduce((sum, size) => sum + size, 0);
+            this.entries.set(key, { ...existing, ...entry, fileBytes, bytes, lastAccess: Date.now() });
+            await this.evictToLimit(key);
+            await this.persistManifest();
+        });
+    }
+
+    async lookup(repository, fileId) {
+        await this.loadManifest();
+        const metadata = await repository.getFileMetadata(fileId);
+        const key = this.getKey(repository, fileId, metadata.modifiedTime);
+        const entry = this.entries.get(key);
+
+        if (entry && !this.matchesMetadata(entry, metadata)) {
+            console.log(`Policy cache entry for ${metadata.name || fileId} no longer matches the repository, refetching`);
+            this.stats.invalidated++;
+            await this.withWriteLock(() => this.removeEntry(key).then(() => this.persistManifest()));
+            return { key, metadata, entry: null };
+        }
+
+        return { key, metadata, entry };
+    }
+
+    async readCached(key, extension) {
+        try {
+            return await fs.readFile(this.getPath(key, extension));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    touch(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            entry.lastAccess = Date.now();
+            this.scheduleManifestFlush();
+        }
+    }
+
+    recordLookup(kind, hit) {
+        this.stats[hit ? 'hits' : 'misses'][kind]++;
+        metricsService.recordCacheLookup(`disk_${kind}`, hit);
+    }
+
+    // Concurrent requests for the same entry share one download / parse
+    dedupe(id, task) {
+        if (this.inFlight.has(id)) return this.inFlight.get(id);
+        const run = task().finally(() => this.inFlight.delete(id));
+        this.inFlight.set(id, run);
+        return run;
+    }
+
+    async downloadVerified(repository, fileId, metadata) {
+        const buffer = await repository.downloadFile(fileId);
+        if (metadata.md5Checksum && md5(buffer) !== metadata.md5Checksum) {
+            throw new ApiError(502, `Downloaded policy ${metadata.name || fileId} does not match its repository checksum`);
+        }
+        return buffer;
+    }
+
+    // Raw file bytes, from the cache when the repository still has the same version
+    async getFile(repository, fileId) {
+        if (!this.enabled || repository.type === 'local') {
+            return repository.downloadFile(fileId);
+        }
+
+        const { key, metadata, entry } = await this.lookup(repository, fileId);
+        const cached = entry?.hasFile ? await this.readCached(key, 'pdf') : null;
+        this.recordLookup('policy_file', Boolean(cached));
+        if (cached) {
+            this.touch(key);
+            return cached;
+        }
+
+        return this.dedupe(`${key}.pdf`, async () => {
+            const buffer = await this.downloadVerified(repository, fileId, metadata);
+            await this.store(key, this.describeEntry(repository, fileId, metadata, buffer, { hasFile: true }), { pdf: buffer });
+            return buffer;
+        });
+    }
+
+    /**
+     * Parsed document for a file, from the cache when possible; otherwise the
+     * file is fetched (through the raw cache) and passed to parse(buffer).
+     */
+    async getDocument(repository, fileId, parse) {
+        if (!this.enabled) {
+            return parse(await repository.downloadFile(fileId));
+        }
+
+        const { key, metadata, entry } = await this.lookup(repository, fileId);
+        let document = null;
+        if (entry?.hasText && entry.parserVersion === PARSER_VERSION) {
+            try {
+                document = JSON.parse((await this.readCached(key, 'json'))?.toString('utf8') || 'null');
+            } catch {
+                document = null;
+            }
+        }
+        this.recordLookup('policy_text', Boolean(document));
+        if (document) {
+            this.touch(key);
+            return document;
+        }
+
+        return this.dedupe(`${key}.json`, async () => {
+            const buffer = repository.type === 'local'
+                ? await this.downloadVerified(repository, fileId, metadata)
+                : await this.getFile(repository, fileId);
+            const parsed = await parse(buffer);
+            await this.store(
+                key,
+                this.describeEntry(repository, fileId, metadata, buffer, { hasText: true, parserVersion: PARSER_VERSION }),
+                { json: JSON.stringify(parsed) }
+            );
+            return parsed;
+        });
+    }
+
+    describeEntry(repository, fileId, metadata, buffer, flags) {
+        return {
+            repository: repository.type,
+            root: this.getRepositoryRoot(repository),
+            fileId,
+            name: metadata.name || null,
+            modifiedTime: metadata.modifiedTime || null,
+            size: metadata.size !== undefined ? String(metadata.size) : String(buffer.length),
+            md5: metadata.md5Checksum || md5(buffer),
+            ...flags
+        };
+    }
+
+    // Entry counts are null until the manifest has been read by the first lookup
+    getStats() {
+        if (!this.enabled) return { enabled: false };
+        return {
+            enabled: true,
+            directory: this.cacheDir,
+            entries: this.entries ? this.entries.size : null,
+            bytes: this.entries ? this.totalBytes() : null,
+            maxBytes: this.maxBytes,
+            hits: { ...this.stats.hits },
+            misses: { ...this.stats.misses },
+            invalidated: this.stats.invalidated,
+            evicted: this.stats.evicted
+        };
+    }
+
+    async clear() {
+        return this.withWriteLock(async () => {
+            await this.loadManifest();
+            for (const key of Array.from(this.entries.keys())) {
+                await this.removeEntry(key);
+            }
+            await this.persistManifest();
+        });
+    }
+}
+
+const policyFileCache = new PolicyFileCache();
+
+export default policyFileCache;
@@ -0,0 +1,34 @@
+import { ApiError } from '../utils/apiError.js';
+import { POLICY_FORMATS } from '../utils/policyFormat.js';
+import pdfService from './pdfService.js';
+import docxService from './docxService.js';
+
+/**
+ * Turns the bytes of a policy file into the parsed document the analysis
+ * pipeline works on (see pdfService), whatever format the policy is kept
+ * in. The document carries `format`, the policy's source format, which is
+ * recorded on every evidence item drawn from it.
+ */
+class PolicyDocumentService {
+    // format: a POLICY_FORMATS id (utils/policyFormat.js); Google Docs arrive as their Word export
+    async parse(buffer, format) {
+        let document;
+        switch (format) {
+            case 'pdf':
+                document = await pdfService.extractTextFromBuffer(buffer);
+                break;
+            case 'docx':
+            case 'google_doc':
+                document = await docxService.parseDocument(buffer);
+                break;
+            default:
+                throw new ApiError(415, `Unsupported policy format: ${format || 'unknown'} (expected ${Object.keys(POLICY_FORMATS).join(', ')})`);
+        }
+
+        return { ...document, format };
+    }
+}
+
+const policyDocumentService = new PolicyDocumentService();
+
+export default policyDocumentService;
@@ -1,31 +1,73 @@
 import fs from 'fs/promises';
+import { watchFile, unwatchFile } from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import config from '../config/config.js';
 import { ApiError } from '../utils/apiError.js';
-
-// Create singleton instance
-import optimizedDriveService from './driveService.js';
-
-class OptimizedPolicyService {
-    constructor() {
+import metricsService from './metricsService.js';
+import policyFileCache from './policyCacheService.js';
+import auditTrailService from './auditTrailService.js';
+import policyDocumentService from './policyDocumentService.js';
+
+import { createPolicyRepository } from '../repositories/policyRepository.js';
+import PolicyVectorIndex from './vectorIndexService.js';
+import { loadPolicySetConfigs } from '../config/policySets.js';
+import { matchPolicyFile, parsePolicyFileName, resolvePolicyVersions } from '../utils/policyVersion.js';
+import { getPolicyFormat } from '../utils/policyFormat.js';
+
+const RETRIEVAL_MODES = ['keyword', 'hybrid'];
+
+const checksumIndex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * One named policy set (line of business): its own index file, repository
+ * root, vector index and caches. A reload builds a fresh PolicySet and swaps
+ * it in (see OptimizedPolicyService.reloadPolicySet), so an audit that holds
+ * this instance keeps the index it started with.
+ */
+class PolicySet {
+    constructor(setConfig) {
+        const { id, label, indexPath, repository, driveFolderId, driveRootPath, sharedDriveId, recursive } = setConfig;
+        this.setConfig = setConfig;
+        this.id = id;
+        this.label = label;
+        this.indexPath = indexPath;
+        this.repositoryType = repository;
+        this.repositoryOptions = { driveFolderId, driveRootPath, sharedDriveId, recursive };
+        this.vectorIndex = new PolicyVectorIndex();
         this.policyIndex = [];
+        this.indexChecksum = null; // SHA-256 of the loaded index file
+        this.indexVersion = 0; // Incremented by every successful load or reload of this set
+        this.loadedAt = null;
         this.isLoaded = false;
         this.folderMapping = new Map();
         this.reverseFolderMapping = new Map(); // Map folder IDs back to names
         this.policyFileIdCache = new Map();
         this.relevanceScoringCache = new Map();
+        this.effectivePoliciesCache = new Map(); // "as of" date (or "latest") -> index entries in effect
+        this.unresolvedPolicies = []; // Index entries the last preload could not match to a repository file
+        this.repository = null;
     }
 
-    async loadPolicyIndex() {
+    getRepository() {
+        if (!this.repository) {
+            this.repository = createPolicyRepository(this.repositoryType, this.repositoryOptions);
+        }
+        return this.repository;
+    }
+
+    // connectRepository: false loads only the index (and vectors), e.g. for offline retrieval evaluation
+    async loadPolicyIndex({ connectRepository = true } = {}) {
         try {
-            console.log(`Loading policy index from: ${config.policyIndexPath}`);
+            console.log(`Loading policy index for set "${this.id}" from: ${this.indexPath}`);
             
             try {
-                await fs.access(config.policyIndexPath);
+                await fs.access(this.indexPath);
             } catch (error) {
-                throw new ApiError(500, `Policy index file not found at: ${config.policyIndexPath}`);
+                throw new ApiError(500, `Policy index file not found at: ${this.indexPath}`);
             }
 
-            const data = await fs.readFile(config.policyIndexPath, 'utf8');
+            const data = await fs.readFile(this.indexPath, 'utf8');
             const parsedData = JSON.parse(data);
             
             if (!Array.isArray(parsedData)) {
@@ -33,19 +75,32 @@ class OptimizedPolicyService {
             }
             
             this.policyIndex = parsedData;
+            this.indexChecksum = checksumIndex(data);
+            this.effectivePoliciesCache.clear();
             
-            await optimizedDriveService.initialize();
-            await this.buildFolderMapping();
-            await this.preloadPolicyMetadata();
+            if (connectRepository) {
+                await this.getRepository().initialize();
+                await this.buildFolderMapping();
+                await this.preloadPolicyMetadata();
+            }
+
+            if (config.retrievalMode === 'hybrid') {
+                await this.vectorIndex.load(this.indexPath);
+            }
             
             this.isLoaded = true;
-            console.log(`Loaded ${this.policyIndex.length} policies from index`);
-            console.log(`Mapped ${this.folderMapping.size} subfolders to Drive folder IDs`);
+            this.indexVersion += 1;
+            this.loadedAt = new Date().toISOString();
+            console.log(`Loaded ${this.policyIndex.length} policies from index for set "${this.id}" (version ${this.indexVersion})`);
+            if (connectRepository) {
+                console.log(`Mapped ${this.folderMapping.size} subfolders in ${this.getRepository().type} policy repository`);
+            }
             
             return this.policyIndex;
         } catch (error) {
-            console.error('Error loading policy index:', error.message);
+            console.error(`Error loading policy index for set "${this.id}":`, error.message);
             this.policyIndex = [];
+            this.indexChecksum = null;
             this.isLoaded = false;
             
             if (error instanceof ApiError) {
@@ -58,9 +113,9 @@ class OptimizedPolicyService {
 
     async buildFolderMapping() {
         try {
-            console.log(`Building folder mapping from Drive folder: ${config.driveFolderId}`);
+            console.log(`Building folder mapping from ${this.getRepository().type} policy repository`);
             
-            const subfolders = await optimizedDriveService.listFoldersWithCache(config.driveFolderId);
+            const subfolders = await this.getRepository().listSubfolders();
             
             for (const folder of subfolders) {
                 this.folderMapping.set(folder.name, folder.id);
@@ -87,40 +142,72 @@ class OptimizedPolicyService {
             policiesByFolder.get(subfolder).push(policy);
         });
 
+        const unresolved = [];
+        const markUnresolved = (policies, reason, error = null) => {
+            policies.forEach(policy => unresolved.push({
+                pdf_name: policy.pdf_name,
+                subfolder: policy.subfolder,
+                reason,
+                ...(error ? { error } : {})
+            }));
+        };
+
         const preloadPromises = Array.from(policiesByFolder.entries()).map(async ([subfolder, policies]) => {
             const subfolderId = this.folderMapping.get(subfolder);
             if (!subfolderId) {
-                console.log(`Subfolder not found in Drive: ${subfolder}`);
+                console.log(`Subfolder not found in policy repository: ${subfolder}`);
+                markUnresolved(policies, 'subfolder_not_found');
                 return;
             }
 
             try {
-                // Get all PDF files in this subfolder at once
-                const folderFiles = await optimizedDriveService.listPDFFilesWithCache(subfolderId);
+                // Get all policy files in this subfolder at once
+                const folderFiles = await this.getRepository().listPolicyFiles(subfolderId);
                 
-                // Match policies to files
+                // Match policies to files by policy number and version
                 policies.forEach(policy => {
-                    const matchingFile = folderFiles.find(file => {
-                        const fileName = file.name.toLowerCase();
-                        const policyName = policy.pdf_name.toLowerCase();
-                        return fileName.includes(policyName.replace('.pdf', '')) || 
-                               policyName.includes(fileName.replace('.pdf', ''));
-                    });
+                    const matchingFile = matchPolicyFile(folderFiles, policy.pdf_name);
 
                     if (matchingFile) {
                         const cacheKey = `${policy.subfolder}_${policy.pdf_name}`;
                         this.policyFileIdCache.set(cacheKey, matchingFile.id);
+                    } else {
+                        markUnresolved([policy], 'file_not_found');
                     }
                 });
 
                 console.log(`Preloaded ${policies.length} policies from folder: ${subfolder}`);
             } catch (error) {
                 console.error(`Error preloading folder ${subfolder}:`, error.message);
+                markUnresolved(policies, 'listing_failed', error.message);
             }
         });
 
         await Promise.allSettled(preloadPromises);
+        this.unresolvedPolicies = unresolved.sort((a, b) =>
+            `${a.subfolder}/${a.pdf_name}`.localeCompare(`${b.subfolder}/${b.pdf_name}`));
         console.log(`Preloaded ${this.policyFileIdCache.size} policy file IDs`);
+        if (unresolved.length > 0) {
+            console.warn(`⚠️ ${unresolved.length} index entries of set "${this.id}" could not be resolved to a repository file`);
+            unresolved.slice(0, 20).forEach(entry => console.warn(`   ${entry.subfolder}/${entry.pdf_name}: ${entry.reason}`));
+            if (unresolved.length > 20) console.warn(`   ... and ${unresolved.length - 20} more (GET /api/v1/policy-sets/${this.id}/unresolved)`);
+        }
+    }
+
+    // Index entries with no repository file as of the last load, grouped counts first
+    getUnresolvedReport() {
+        const byReason = {};
+        this.unresolvedPolicies.forEach(entry => {
+            byReason[entry.reason] = (byReason[entry.reason] || 0) + 1;
+        });
+
+        return {
+            policySet: this.id,
+            indexEntries: this.policyIndex.length,
+            unresolved: this.unresolvedPolicies.length,
+            byReason,
+            entries: this.unresolvedPolicies
+        };
     }
 
     async batchCheckPolicyExistence(policies) {
@@ -145,7 +232,7 @@ class OptimizedPolicyService {
         }
 
         // Batch check file existence
-        const existenceResults = await optimizedDriveService.batchCheckFilesExist(fileIds);
+        const existenceResults = await this.getRepository().filesExist(fileIds);
         
         // Map results back to policies
         return policies.map(policy => {
@@ -162,6 +249,7 @@ class OptimizedPolicyService {
         policies.forEach(policy => {
             const cacheKey = `${policy.subfolder}_${policy.pdf_name}`;
             const cachedFileId = this.policyFileIdCache.get(cacheKey);
+            metricsService.recordCacheLookup('policy_file_id', Boolean(cachedFileId));
             
             if (cachedFileId) {
                 results.set(policy, cachedFileId);
@@ -180,7 +268,7 @@ class OptimizedPolicyService {
             })).filter(req => req.subfolderId);
 
             if (batchRequests.length > 0) {
-                const batchResults = await optimizedDriveService.batchFindPolicyFiles(batchRequests);
+                const batchResults = await this.getRepository().findPolicyFiles(batchRequests);
                 
                 missingPolicies.forEach(policy => {
                     const subfolderId = this.folderMapping.get(policy.subfolder);
@@ -218,7 +306,26 @@ class OptimizedPolicyService {
         return this.isLoaded ? this.policyIndex.length : 0;
     }
 
-    findRelevantPolicies(question, maxResults = 10) {
+    // One index entry per policy number: the version in effect on asOf (YYYY-MM-DD), or the latest
+    getEffectivePolicies(asOf = null) {
+        const cacheKey = asOf || 'latest';
+        if (!this.effectivePoliciesCache.has(cacheKey)) {
+            this.effectivePoliciesCache.set(cacheKey, resolvePolicyVersions(this.policyIndex, asOf, policy => policy.pdf_name));
+        }
+        return this.effectivePoliciesCache.get(cacheKey);
+    }
+
+    getPolicyVersion(policy) {
+        return { fileName: policy.pdf_name, ...parsePolicyFileName(policy.pdf_name) };
+    }
+
+    // mode: keyword (index keywords and categories) or hybrid (BM25 + embeddings over policy chunks);
+    // asOf restricts the search to the policy versions in effect on that date
+    async findRelevantPolicies(question, maxResults = 10, { mode = config.retrievalMode, asOf = null } = {}) {
+        if (!RETRIEVAL_MODES.includes(mode)) {
+            throw new ApiError(400, `Unknown retrieval mode: ${mode}. Use one of ${RETRIEVAL_MODES.join(', ')}`);
+        }
+
         if (!this.isLoaded) {
             throw new ApiError(500, "Policy index not loaded. Call loadPolicyIndex() first.");
         }
@@ -232,19 +339,63 @@ class OptimizedPolicyService {
             return [];
         }
 
+        if (mode === 'hybrid' && !this.vectorIndex.isLoaded()) {
+            console.warn('Hybrid retrieval requested but no vector index is loaded, using keyword scoring');
+            mode = 'keyword';
+        }
+
         // Create cache key for relevance scoring
-        const questionSignature = this.createQuestionSignature(question);
+        const questionSignature = `${mode}_${maxResults}_${asOf || 'latest'}_${this.createQuestionSignature(question)}`;
+        metricsService.recordCacheLookup('policy_relevance', this.relevanceScoringCache.has(questionSignature));
         if (this.relevanceScoringCache.has(questionSignature)) {
             console.log('Relevance scoring cache hit');
             return this.relevanceScoringCache.get(questionSignature);
         }
 
+        const policies = this.getEffectivePolicies(asOf);
+        const relevantPolicies = mode === 'hybrid'
+            ? await this.findRelevantPoliciesHybrid(question, maxResults, policies)
+            : this.findRelevantPoliciesByKeyword(question, maxResults, policies);
+
+        // Cache the result
+        this.relevanceScoringCache.set(questionSignature, relevantPolicies);
+        
+        // Remove from cache after 30 minutes
+        setTimeout(() => this.relevanceScoringCache.delete(questionSignature), 30 * 60 * 1000);
+
+        return relevantPolicies;
+    }
+
+    async findRelevantPoliciesHybrid(question, maxResults, policies = this.policyIndex) {
+        const policiesByKey = new Map(policies.map(policy => [this.vectorIndex.policyKey(policy), policy]));
+        // Superseded versions are still in the vector index, so ask for enough results to survive filtering them out
+        const results = await this.vectorIndex.search(question, {
+            maxPolicies: maxResults + this.policyIndex.length - policies.length
+        });
+
+        const relevantPolicies = results
+            .filter(result => policiesByKey.has(result.policyKey))
+            .map(result => ({
+                ...policiesByKey.get(result.policyKey),
+                score: Math.round(result.score * 1000) / 10,
+                retrievalMode: 'hybrid',
+                chunks: result.chunks
+            }))
+            .slice(0, maxResults);
+
+        console.log(`Hybrid retrieval found ${relevantPolicies.length} policies with scores:`,
+            relevantPolicies.slice(0, 3).map(p => `${p.pdf_name}: ${p.score}`));
+
+        return relevantPolicies;
+    }
+
+    findRelevantPoliciesByKeyword(question, maxResults, policies = this.policyIndex) {
         // Ensure question has required fields
         const normalizedQuestion = this.normalizeQuestion(question);
         
-        console.log(`Searching ${this.policyIndex.length} policies for question: "${normalizedQuestion.text.substring(0, 100)}..."`);
+        console.log(`Searching ${policies.length} policies for question: "${normalizedQuestion.text.substring(0, 100)}..."`);
 
-        const scoredPolicies = this.policyIndex.map(policy => {
+        const scoredPolicies = policies.map(policy => {
             const normalizedPolicy = this.normalizePolicy(policy);
             const score = this.calculateRelevanceScore(normalizedQuestion, normalizedPolicy);
             return { ...policy, score };
@@ -259,12 +410,6 @@ class OptimizedPolicyService {
         console.log(`Found ${relevantPolicies.length} relevant policies with scores:`, 
             relevantPolicies.slice(0, 3).map(p => `${p.pdf_name}: ${p.score}`));
 
-        // Cache the result
-        this.relevanceScoringCache.set(questionSignature, relevantPolicies);
-        
-        // Remove from cache after 30 minutes
-        setTimeout(() => this.relevanceScoringCache.delete(questionSignature), 30 * 60 * 1000);
-
         return relevantPolicies;
     }
 
@@ -413,7 +558,7 @@ class OptimizedPolicyService {
         }
 
         try {
-            const file = await optimizedDriveService.findPolicyFileOptimized(policyInfo.pdf_name, subfolderId);
+            const file = await this.getRepository().findPolicyFile(policyInfo.pdf_name, subfolderId);
             
             if (!file) {
                 throw new ApiError(404, `Policy file not found: ${policyInfo.pdf_name} in ${policyInfo.subfolder}`);
@@ -442,7 +587,7 @@ class OptimizedPolicyService {
     async getPolicyMetadata(policyInfo) {
         try {
             const fileId = await this.getPolicyFileId(policyInfo);
-            return await optimizedDriveService.getFileMetadataWithCache(fileId);
+            return await this.getRepository().getFileMetadata(fileId);
         } catch (error) {
             throw new ApiError(404, `Policy metadata not found: ${error.message}`);
         }
@@ -452,21 +597,234 @@ class OptimizedPolicyService {
         return Object.fromEntries(this.folderMapping);
     }
 
+    // Raw policy file, through the on-disk policy cache
+    async getPolicyFile(policyInfo) {
+        const fileId = await this.getPolicyFileId(policyInfo);
+        return await policyFileCache.getFile(this.getRepository(), fileId);
+    }
+
+    // Parsed policy document (see policyDocumentService), through the on-disk policy cache
+    async getPolicyDocument(policyInfo) {
+        const fileId = await this.getPolicyFileId(policyInfo);
+        const repository = this.getRepository();
+        const format = getPolicyFormat(await repository.getFileMetadata(fileId));
+        return await policyFileCache.getDocument(repository, fileId, buffer => policyDocumentService.parse(buffer, format));
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            label: this.label,
+            loaded: this.isLoaded,
+            policyCount: this.getPolicyCount(),
+            unresolvedPolicies: this.unresolvedPolicies.length,
+            repository: this.repositoryType,
+            index: this.getIndexStamp()
+        };
+    }
+
+    // Identifies the loaded index; stamped into audit results and the audit trail
+    getIndexStamp() {
+        return {
+            path: this.indexPath,
+            version: this.indexVersion,
+            checksum: this.indexChecksum,
+            loadedAt: this.loadedAt,
+            policyCount: this.getPolicyCount()
+        };
+    }
+
     getStats() {
         return {
+            id: this.id,
             policyCount: this.policyIndex.length,
+            indexVersion: this.indexVersion,
+            indexChecksum: this.indexChecksum,
             folderMappings: this.folderMapping.size,
+            unresolvedPolicies: this.unresolvedPolicies.length,
             cachedFileIds: this.policyFileIdCache.size,
             relevanceScoreCache: this.relevanceScoringCache.size,
-            driveStats: optimizedDriveService.getStats()
+            retrievalMode: config.retrievalMode,
+            vectorIndex: this.vectorIndex.getStats(),
+            repositoryStats: this.getRepository().getStats()
         };
     }
 
     clearCaches() {
         this.policyFileIdCache.clear();
         this.relevanceScoringCache.clear();
-        optimizedDriveService.clearAllCaches();
-        console.log('Policy service caches cleared');
+        this.effectivePoliciesCache.clear();
+        this.getRepository().clearCaches();
+        console.log(`Policy service caches cleared for set "${this.id}"`);
+    }
+}
+
+/**
+ * Holds every configured policy set side by side. Callers pick a set by id;
+ * without one they get the default set. Each set keeps its own caches, so
+ * results from one set never leak into another.
+ */
+class OptimizedPolicyService {
+    constructor() {
+        this.sets = new Map();
+        this.defaultSetId = null;
+        this.reloads = new Map(); // set id -> reload in progress
+        this.watchedPaths = new Map(); // index path -> set ids
+        this.emitter = new EventEmitter();
+    }
+
+    // listener({ previous, policySet }) runs after a set has been swapped for a reloaded one
+    subscribe(listener) {
+        this.emitter.on('reloaded', listener);
+        return () => this.emitter.off('reloaded', listener);
+    }
+
+    /**
+     * Reloads a set's index and rebuilds its folder mapping and file id lookups
+     * into a new PolicySet, then swaps it in. Audits already running keep the
+     * instance they started with; if loading fails the current set stays.
+     * onlyIfChanged skips the reload when the index file's checksum is unchanged.
+     */
+    async reloadPolicySet(setId = null, { onlyIfChanged = false, user = null, trigger = 'manual' } = {}) {
+        const current = this.getPolicySet(setId);
+        if (this.reloads.has(current.id)) {
+            return this.reloads.get(current.id);
+        }
+
+        const run = this.runReload(current, { onlyIfChanged, user, trigger })
+            .finally(() => this.reloads.delete(current.id));
+        this.reloads.set(current.id, run);
+        return run;
+    }
+
+    async runReload(current, { onlyIfChanged, user, trigger }) {
+        if (onlyIfChanged && current.isLoaded) {
+            const checksum = await fs.readFile(current.indexPath, 'utf8').then(checksumIndex, () => null);
+            if (checksum === current.indexChecksum) {
+                return { reloaded: false, previous: current.getIndexStamp(), policySet: this.describeSet(current) };
+            }
+        }
+
+        console.log(`🔄 Reloading policy index for set "${current.id}" (${trigger})`);
+        const next = new PolicySet(current.setConfig);
+        next.indexVersion = current.indexVersion;
+        // Share the connected repository, but drop its listings so new and moved files are seen
+        if (current.repository) {
+            next.repository = current.repository;
+            next.repository.clearCaches();
+        }
+
+        await next.loadPolicyIndex();
+
+        this.sets.set(current.id, next);
+        this.emitter.emit('reloaded', { previous: current, policySet: next });
+        console.log(`✅ Policy set "${next.id}" now on index version ${next.indexVersion} (${next.getPolicyCount()} policies, checksum ${next.indexChecksum.slice(0, 12)})`);
+
+        await auditTrailService.record('index_reload', {
+            user,
+            details: { policySet: next.id, trigger, previous: current.getIndexStamp(), current: next.getIndexStamp() }
+        }).catch(error => console.error(`Failed to record index reload of set "${next.id}" in the audit trail:`, error.message));
+
+        return { reloaded: true, previous: current.getIndexStamp(), policySet: this.describeSet(next) };
+    }
+
+    // Polls every set's index file and reloads the set when the file's contents change
+    watchPolicyIndexes({ intervalMs = config.policyIndexWatchIntervalMs } = {}) {
+        this.unwatchPolicyIndexes();
+
+        this.sets.forEach(policySet => {
+            const ids = this.watchedPaths.get(policySet.indexPath) || [];
+            this.watchedPaths.set(policySet.indexPath, [...ids, policySet.id]);
+        });
+
+        this.watchedPaths.forEach((setIds, indexPath) => {
+            const watcher = watchFile(indexPath, { interval: intervalMs, persistent: false }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+                setIds.forEach(setId => {
+                    this.reloadPolicySet(setId, { onlyIfChanged: true, trigger: 'watcher' })
+                        .catch(error => console.error(`⚠️ Reload of policy set "${setId}" failed, keeping the current index:`, error.message));
+                });
+            });
+            watcher.unref?.();
+            console.log(`👀 Watching ${indexPath} for changes (sets: ${setIds.join(', ')})`);
+        });
+    }
+
+    unwatchPolicyIndexes() {
+        this.watchedPaths.forEach((setIds, indexPath) => unwatchFile(indexPath));
+        this.watchedPaths.clear();
+    }
+
+    describeSet(policySet) {
+        return { ...policySet.describe(), isDefault: policySet.id === this.defaultSetId };
+    }
+
+    // Creates (but does not load) the configured sets
+    async configurePolicySets() {
+        const { sets, defaultSetId } = await loadPolicySetConfigs();
+        this.sets = new Map(sets.map(setConfig => [setConfig.id, new PolicySet(setConfig)]));
+        this.defaultSetId = defaultSetId;
+        return this.listPolicySets();
+    }
+
+    // Loads every set; a set that fails to load is reported and skipped unless none load
+    async loadPolicySets(options = {}) {
+        if (this.sets.size === 0) {
+            await this.configurePolicySets();
+        }
+
+        const failures = [];
+        for (const policySet of this.sets.values()) {
+            try {
+                await policySet.loadPolicyIndex(options);
+            } catch (error) {
+                failures.push(`${policySet.id}: ${error.message}`);
+            }
+        }
+
+        if (failures.length === this.sets.size) {
+            throw new ApiError(500, `No policy set could be loaded (${failures.join('; ')})`);
+        }
+        failures.forEach(failure => console.error(`⚠️ Policy set not loaded - ${failure}`));
+
+        return this.listPolicySets();
+    }
+
+    getPolicySet(setId = null) {
+        const id = setId || this.defaultSetId;
+        const policySet = this.sets.get(id);
+        if (!policySet) {
+            throw new ApiError(400, `Unknown policy set: ${id}. Available: ${Array.from(this.sets.keys()).join(', ') || 'none'}`);
+        }
+        return policySet;
+    }
+
+    // Like getPolicySet, but the set must have a loaded index
+    getLoadedPolicySet(setId = null) {
+        const policySet = this.getPolicySet(setId);
+        if (!policySet.isLoaded) {
+            throw new ApiError(503, `Policy set "${policySet.id}" is not loaded`);
+        }
+        return policySet;
+    }
+
+    listPolicySets() {
+        return Array.from(this.sets.values()).map(policySet => this.describeSet(policySet));
+    }
+
+    getPolicyCount() {
+        return Array.from(this.sets.values()).reduce((sum, policySet) => sum + policySet.getPolicyCount(), 0);
+    }
+
+    getStats() {
+        return {
+            defaultSet: this.defaultSetId,
+            sets: Object.fromEntries(Array.from(this.sets.values()).map(policySet => [policySet.id, policySet.getStats()]))
+        };
+    }
+
+    clearCaches() {
+        this.sets.forEach(policySet => policySet.clearCaches());
     }
 }
 
@@ -0,0 +1,214 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ExcelJS from 'exceljs';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { COMPLIANCE_CATEGORIES } from '../utils/constants.js';
+import pdfService from './pdfService.js';
+import docxService from './docxService.js';
+import ocrService from './ocrService.js';
+
+const QUESTIONNAIRE_FORMATS = {
+    pdf: { extension: '.pdf', mimeType: 'application/pdf', signature: '%PDF' },
+    docx: { extension: '.docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: 'PK' },
+    xlsx: { extension: '.xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', signature: 'PK' }
+};
+
+// Office files often arrive as generic binaries, so for these the extension decides
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'application/zip', 'application/x-zip-compressed'];
+
+// Spreadsheet header cells, checked against the first rows of each sheet
+const QUESTION_HEADER = /question|requirement|criteri|standard|audit item/i;
+const ID_HEADER = /^(id|#|no\.?|number|item( #| no\.?)?|ref(erence)?( #| no\.?)?|element( #| no\.?| number)?|question (#|no\.?|number|id))$/i;
+const CATEGORY_HEADER = /categor|section|domain|topic|area/i;
+const GUIDANCE_HEADER = /guidance|instruction|intent|description|note/i;
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Reads an uploaded audit questionnaire into either document text, from
+ * which the LLM extracts the questions, or - for spreadsheets - the
+ * questions themselves, one per row:
+ *
+ *   pdf    text layer per page; image-only pages go through OCR
+ *   docx   paragraphs and table rows in order (see docxService)
+ *   xlsx   every sheet with a "Question"/"Requirement" column header; optional
+ *          ID, category and guidance columns fill the question's other fields
+ *
+ * Returns { format, document, questions, ocr }, where document is a
+ * pdfService document (null for spreadsheets) and questions is null unless
+ * the file already lists them.
+ */
+class QuestionnaireService {
+    getAcceptedExtensions() {
+        return Object.values(QUESTIONNAIRE_FORMATS).map(format => format.extension);
+    }
+
+    // Format id for an uploaded file (multer file info), or null when it is not a questionnaire type
+    detectFormat(file) {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        const [id, format] = Object.entries(QUESTIONNAIRE_FORMATS).find(([, candidate]) => candidate.extension === extension) || [];
+        if (!format) return null;
+
+        return file.mimetype === format.mimeType || GENERIC_MIME_TYPES.includes(file.mimetype || '') ? id : null;
+    }
+
+    validateFile(file) {
+        if (!file) {
+            throw new ApiError(400, 'No questionnaire file provided');
+        }
+
+        if (!this.detectFormat(file)) {
+            throw new ApiError(400, `Invalid file type. Upload a questionnaire as ${this.getAcceptedExtensions().join(', ')}`);
+        }
+
+        if (file.size > config.maxFileSize) {
+            throw new ApiError(400, `File size too large. Maximum size is ${Math.round(config.maxFileSize / (1024 * 1024))}MB`);
+        }
+
+        return true;
+    }
+
+    async read(filePath, originalName) {
+        const format = this.detectFormat({ originalname: originalName });
+        const buffer = await fs.readFile(filePath);
+
+        if (!format || buffer.subarray(0, 4).toString('latin1').indexOf(QUESTIONNAIRE_FORMATS[format].signature) !== 0) {
+            throw new ApiError(400, `${originalName} is not a readable ${format ? format.toUpperCase() : 'questionnaire'} file`);
+        }
+
+        switch (format) {
+            case 'pdf':
+                return this.readPdf(buffer);
+            case 'docx':
+                return this.readDocx(buffer);
+            case 'xlsx':
+                return this.readXlsx(buffer, originalName);
+            default:
+                throw new ApiError(400, `Unsupported questionnaire format: ${format}`);
+        }
+    }
+
+    async readPdf(buffer) {
+        let rawPages;
+        try {
+            rawPages = await pdfService.extractPageLines(buffer);
+        } catch (error) {
+            throw new ApiError(500, `Failed to extract text from PDF: ${error.message}`);
+        }
+
+        // Pages with (almost) no text layer are scans
+        const imageOnly = rawPages
+            .filter(page => pdfService.cleanText(page.lines.join('\n')).length < config.ocrMinPageChars)
+            .map(page => page.pageNumber);
+
+        const ocr = { pages: [], skipped: [] };
+        if (imageOnly.length > 0 && config.ocrEnabled) {
+            console.log(`Running OCR on ${imageOnly.length} image-only PDF page(s)`);
+            let result;
+            try {
+                result = await ocrService.recognizePages(buffer, imageOnly);
+            } catch (error) {
+                // The text pages are still usable; the scans are reported as skipped
+                console.error('OCR failed:', error.message);
+                result = { pages: [], skipped: imageOnly.map(pageNumber => ({ pageNumber, reason: `OCR failed: ${error.message}` })) };
+            }
+            result.pages.forEach(({ pageNumber, text }) => {
+                rawPages.find(page => page.pageNumber === pageNumber).lines = text.split('\n');
+            });
+            ocr.pages = result.pages.map(page => page.pageNumber);
+            ocr.skipped = result.skipped;
+            result.skipped.forEach(({ pageNumber, reason }) => console.log(`OCR skipped page ${pageNumber}: ${reason}`));
+        } else if (imageOnly.length > 0) {
+            ocr.skipped = imageOnly.map(pageNumber => ({ pageNumber, reason: 'OCR disabled' }));
+        }
+
+        return { format: 'pdf', document: pdfService.buildDocument(rawPages), questions: null, ocr };
+    }
+
+    async readDocx(buffer) {
+        return { format: 'docx', document: await docxService.parseDocument(buffer), questions: null, ocr: null };
+    }
+
+    findColumns(rows) {
+        for (const { cells } of rows.slice(0, HEADER_SEARCH_ROWS)) {
+            const question = cells.findIndex(cell => QUESTION_HEADER.test(cell) && !ID_HEADER.test(cell));
+            if (question === -1) continue;
+
+            const other = (pattern) => cells.findIndex((cell, index) => index !== question && pattern.test(cell));
+            return {
+                headerRow: cells,
+                question,
+                id: other(ID_HEADER),
+                category: other(CATEGORY_HEADER),
+                guidance: other(GUIDANCE_HEADER)
+            };
+        }
+        return null;
+    }
+
+    async readXlsx(buffer, originalName) {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch (error) {
+            throw new ApiError(400, `Could not open the Excel workbook: ${error.message}`);
+        }
+
+        const sheetRows = [];
+        workbook.worksheets.forEach(worksheet => {
+            const rows = [];
+            worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+                const cells = [];
+                row.eachCell({ includeEmpty: true }, (cell, column) => {
+                    cells[column - 1] = String(cell.text ?? '').replace(/\s+/g, ' ').trim();
+                });
+                rows.push({ rowNumber, cells: Array.from(cells, cell => cell || '') });
+            });
+
+            const columns = this.findColumns(rows);
+            if (columns) {
+                sheetRows.push({ worksheet, columns, rows: rows.slice(rows.findIndex(row => row.cells === columns.headerRow) + 1) });
+            } else {
+                console.log(`Sheet "${worksheet.name}" of ${originalName} has no question column, skipping`);
+            }
+        });
+
+        const questions = [];
+        const usedIds = new Set();
+
+        sheetRows.forEach(({ worksheet, columns, rows }) => {
+            rows.forEach(({ rowNumber, cells }) => {
+                const text = cells[columns.question];
+                if (!text) return;
+
+                // Ids must be unique: prefix with the sheet name when several sheets hold questions
+                let id = (columns.id !== -1 && cells[columns.id]) || String(rowNumber);
+                if (sheetRows.length > 1) id = `${worksheet.name}-${id}`;
+                if (usedIds.has(id)) id = `${id} (row ${rowNumber})`;
+                usedIds.add(id);
+
+                const category = columns.category !== -1 ? cells[columns.category] : '';
+                questions.push({
+                    id,
+                    text,
+                    category: COMPLIANCE_CATEGORIES.includes(category) ? category : 'Other',
+                    keywords: [],
+                    description: columns.guidance !== -1 ? (cells[columns.guidance] || '').substring(0, 300) : '',
+                    requiresEvidence: true,
+                    source: { sheet: worksheet.name, row: rowNumber }
+                });
+            });
+        });
+
+        if (questions.length === 0) {
+            throw new ApiError(400, 'No questions found in the workbook; expected a column headed "Question" or "Requirement"');
+        }
+
+        console.log(`Read ${questions.length} questions from ${sheetRows.length} sheet(s) of ${originalName}`);
+        return { format: 'xlsx', document: null, questions, ocr: null };
+    }
+}
+
+const questionnaireService = new QuestionnaireService();
+
+export default questionnaireService;
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { ApiError } from '../utils/apiError.js';
+import { COMPLIANCE_CATEGORIES } from '../utils/constants.js';
+import { findPolicyFileCandidates, matchPolicyFile, parsePolicyFileName } from '../utils/policyVersion.js';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Checks a policy set's index file against its schema and its repository:
+ *
+ *   schemaErrors            entries with a missing pdf_name or subfolder, bad
+ *                           keywords, or a category outside the taxonomy
+ *   missingFiles            entries with no matching file (or no such subfolder)
+ *   unindexedFiles          repository files no entry resolves to
+ *   ambiguousMatches        entries several files fit (same name, or same policy
+ *                           number and version); `selected` is the file used
+ *   duplicatePolicyNumbers  entries sharing a policy number and version, within
+ *                           or across subfolders
+ *
+ * Entries are matched with the same rules as audits (matchPolicyFile, and
+ * findPolicyFileCandidates for the ambiguity check). The index is read from
+ * disk rather than taken from memory, so a file can be checked before it is
+ * loaded.
+ */
+class PolicyIndexReconciliationService {
+    validateEntry(entry, position) {
+        const errors = [];
+        const fail = (field, message) => errors.push({ position, pdf_name: entry?.pdf_name ?? null, field, message });
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            fail(null, 'entry must be an object');
+            return errors;
+        }
+        if (!isNonEmptyString(entry.pdf_name)) fail('pdf_name', 'required, non-empty string');
+        if (!isNonEmptyString(entry.subfolder)) fail('subfolder', 'required, non-empty string');
+        if (!Array.isArray(entry.keywords) || entry.keywords.length === 0) {
+            fail('keywords', 'required, non-empty array');
+        } else if (!entry.keywords.every(isNonEmptyString)) {
+            fail('keywords', 'every keyword must be a non-empty string');
+        }
+        if (!COMPLIANCE_CATEGORIES.includes(entry.category)) {
+            fail('category', `"${entry.category ?? ''}" is not one of ${COMPLIANCE_CATEGORIES.join(', ')}`);
+        }
+        if (entry.short_description !== undefined && typeof entry.short_description !== 'string') {
+            fail('short_description', 'must be a string');
+        }
+
+        return errors;
+    }
+
+    findDuplicatePolicyNumbers(entries) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const { policyNumber, versionDate, approvalDate } = parsePolicyFileName(entry.pdf_name);
+            if (!policyNumber) return;
+            const key = `${policyNumber}|${versionDate || ''}|${approvalDate || ''}`;
+            if (!groups.has(key)) groups.set(key, { policyNumber, versionDate, approvalDate, entries: [] });
+            groups.get(key).entries.push({ subfolder: entry.subfolder, pdf_name: entry.pdf_name });
+        });
+
+        return Array.from(groups.values()).filter(group => group.entries.length > 1);
+    }
+
+    async readIndex(indexPath) {
+        let data;
+        try {
+            data = await fs.readFile(indexPath, 'utf8');
+        } catch (error) {
+            throw new ApiError(404, `Policy index file not found at: ${indexPath}`);
+        }
+
+        let entries;
+        try {
+            entries = JSON.parse(data);
+        } catch (error) {
+            throw new ApiError(422, `Policy index ${indexPath} is not valid JSON: ${error.message}`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new ApiError(422, 'Policy index file must contain an array of policies');
+        }
+
+        return { entries, checksum: crypto.createHash('sha256').update(data).digest('hex') };
+    }
+
+    // log: where repository status messages go, so a caller printing the report to stdout can keep it clean
+    async reconcile(policySet, { indexPath = policySet.indexPath, log = console.log } = {}) {
+        const { entries, checksum } = await this.readIndex(indexPath);
+
+        const schemaErrors = entries.flatMap((entry, index) => this.validateEntry(entry, index + 1));
+        const usable = entries.filter(entry => isNonEmptyString(entry?.pdf_name) && isNonEmptyString(entry?.subfolder));
+
+        const repository = policySet.getRepository();
+        await repository.ensureInitialized({ log });
+        const subfolders = await repository.listSubfolders();
+        const filesByFolder = new Map();
+        for (const subfolder of subfolders) {
+            filesByFolder.set(subfolder.name, await repository.listPolicyFiles(subfolder.id));
+        }
+
+        const missingFiles = [];
+        const ambiguousMatches = [];
+        const matchedIds = new Set();
+
+        usable.forEach(entry => {
+            const files = filesByFolder.get(entry.subfolder);
+            if (!files) {
+                missingFiles.push({ subfolder: entry.subfolder, pdf_name: entry.pdf_name, reason: 'subfolder_not_found' });
+                return;
+            }
+
+            const selected = matchPolicyFile(files, entry.pdf_name);
+            if (!selected) {
+                missingFiles.push({ subfolder: entry.subfolder, pdf_name: entry.pdf_name, reason: 'file_not_found' });
+                return;
+            }
+            matchedIds.add(selected.id);
+
+            const candidates = findPolicyFileCandidates(files, entry.pdf_name);
+            if (candidates.length > 1) {
+                ambiguousMatches.push({
+                    subfolder: entry.subfolder,
+                    pdf_name: entry.pdf_name,
+                    selected: selected.name,
+                    candidates: candidates.map(file => file.name)
+                });
+            }
+        });
+
+        const unindexedFiles = [];
+        filesByFolder.forEach((files, subfolder) => {
+            files.filter(file => !matchedIds.has(file.id))
+                .forEach(file => unindexedFiles.push({ subfolder, name: file.name, id: file.id }));
+        });
+
+        const duplicatePolicyNumbers = this.findDuplicatePolicyNumbers(usable);
+        const repositoryFiles = Array.from(filesByFolder.values()).reduce((sum, files) => sum + files.length, 0);
+
+        return {
+            policySet: policySet.id,
+            indexPath,
+            indexChecksum: checksum,
+            loadedIndexChecksum: policySet.indexChecksum,
+            repository: repository.type,
+            summary: {
+                ok: schemaErrors.length === 0 && missingFiles.length === 0 && ambiguousMatches.length === 0
+                    && duplicatePolicyNumbers.length === 0,
+                indexEntries: entries.length,
+                repositoryFiles,
+                schemaErrors: schemaErrors.length,
+                missingFiles: missingFiles.length,
+                unindexedFiles: unindexedFiles.length,
+                ambiguousMatches: ambiguousMatches.length,
+                duplicatePolicyNumbers: duplicatePolicyNumbers.length
+            },
+            schemaErrors,
+            missingFiles,
+            unindexedFiles,
+            ambiguousMatches,
+            duplicatePolicyNumbers
+        };
+    }
+
+    // Plain-text rendering of a reconcile() report, one finding per line
+    formatReport(report) {
+        const lines = [
+            '===== Policy Index Reconciliation =====',
+            `Set:         ${report.policySet} (${report.repository} repository)`,
+            `Index:       ${report.indexPath}${report.loadedIndexChecksum && report.loadedIndexChecksum !== report.indexChecksum ? ' (differs from the loaded index)' : ''}`,
+            `Entries:     ${report.summary.indexEntries}`,
+            `Files:       ${report.summary.repositoryFiles}`,
+            `Result:      ${report.summary.ok ? 'OK' : 'problems found'}`
+        ];
+
+        const section = (title, items, format) => {
+            lines.push('', `${title}: ${items.length}`);
+            items.forEach(item => lines.push(`   ${format(item)}`));
+        };
+
+        section('Schema errors', report.schemaErrors, error => `#${error.position} ${error.pdf_name ?? '(no pdf_name)'}: ${error.field ? `${error.field} ` : ''}${error.message}`);
+        section('Index entries with no file', report.missingFiles, entry => `${entry.subfolder}/${entry.pdf_name} (${entry.reason.replace(/_/g, ' ')})`);
+        section('Files with no index entry', report.unindexedFiles, file => `${file.subfolder}/${file.name}`);
+        section('Ambiguous matches', report.ambiguousMatches, match => `${match.subfolder}/${match.pdf_name} -> ${match.candidates.join(', ')} (using ${match.selected})`);
+        section('Duplicate policy numbers', report.duplicatePolicyNumbers, group => `${group.policyNumber}${group.versionDate ? ` v${group.versionDate}` : ''}: ${group.entries.map(entry => `${entry.subfolder}/${entry.pdf_name}`).join(', ')}`);
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+const policyIndexReconciliationService = new PolicyIndexReconciliationService();
+
+export default policyIndexReconciliationService;
@@ -0,0 +1,165 @@
+import { ApiError } from '../utils/apiError.js';
+import auditHistoryService from './auditService.js';
+
+const REVIEW_ACTIONS = ['accept', 'select', 'no_match'];
+const ANSWERS = ['yes', 'no', 'partial'];
+
+// Allowed audit state transitions
+const STATUS_FLOW = {
+    draft: ['in-review'],
+    'in-review': ['finalized'],
+    finalized: []
+};
+
+/**
+ * Reviewer decisions on audit answers. Each decision either accepts the top
+ * evidence candidate, selects a different one, or marks the question as
+ * having no matching policy; any of them may override the yes/no/partial
+ * answer and carry a free-text note.
+ */
+class ReviewService {
+    getStatus(audit) {
+        return audit.status || 'draft';
+    }
+
+    getCandidates(audit, questionId) {
+        return audit.evidenceByQuestion?.[questionId] || audit.evidenceByQuestion?.[String(questionId)] || [];
+    }
+
+    normalizeDecision(audit, decision, reviewer) {
+        const errors = [];
+        const questionId = decision.questionId;
+        const question = (audit.questions || []).find(q => String(q.id) === String(questionId));
+
+        if (!question) {
+            errors.push(`Unknown questionId: ${questionId}`);
+            return { errors };
+        }
+
+        if (!REVIEW_ACTIONS.includes(decision.action)) {
+            errors.push(`Question ${questionId}: action must be one of ${REVIEW_ACTIONS.join(', ')}`);
+        }
+
+        if (decision.answer != null && !ANSWERS.includes(decision.answer)) {
+            errors.push(`Question ${questionId}: answer must be one of ${ANSWERS.join(', ')}`);
+        }
+
+        if (decision.note != null && typeof decision.note !== 'string') {
+            errors.push(`Question ${questionId}: note must be a string`);
+        }
+
+        const candidates = this.getCandidates(audit, question.id);
+        let candidateIndex = null;
+
+        if (decision.action === 'accept') {
+            if (candidates.length === 0) {
+                errors.push(`Question ${questionId}: no evidence candidate to accept`);
+            }
+            candidateIndex = 0;
+        } else if (decision.action === 'select') {
+            candidateIndex = Number(decision.candidateIndex);
+            if (!Number.isInteger(candidateIndex) || candidateIndex < 0 || candidateIndex >= candidates.length) {
+                errors.push(`Question ${questionId}: candidateIndex out of range`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const candidate = candidateIndex != null ? candidates[candidateIndex] : null;
+
+        return {
+            errors,
+            review: {
+                questionId: question.id,
+                action: decision.action,
+                candidateIndex,
+                docName: candidate?.docName || null,
+                answer: decision.answer || candidate?.answer || null,
+                answerOverridden: Boolean(decision.answer) && decision.answer !== candidate?.answer,
+                note: decision.note ? decision.note.trim() : '',
+                reviewer,
+                reviewedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    assertTransition(from, to) {
+        if (from === to) return;
+        if (!STATUS_FLOW[from]?.includes(to)) {
+            throw new ApiError(409, `Cannot move audit from ${from} to ${to}`);
+        }
+    }
+
+    async submitReview(auditId, { decisions = [], finalize = false }, reviewer = 'anonymous') {
+        if (!Array.isArray(decisions)) {
+            throw new ApiError(400, 'decisions must be an array');
+        }
+        if (decisions.length === 0 && !finalize) {
+            throw new ApiError(400, 'No review decisions provided');
+        }
+
+        return auditHistoryService.updateAudit(auditId, async (audit) => {
+            const currentStatus = this.getStatus(audit);
+            if (currentStatus === 'finalized') {
+                throw new ApiError(409, 'Audit is finalized and can no longer be reviewed');
+            }
+
+            const reviews = { ...(audit.reviews || {}) };
+            const errors = [];
+
+            decisions.forEach(decision => {
+                const result = this.normalizeDecision(audit, decision || {}, reviewer);
+                if (result.errors.length > 0) {
+                    errors.push(...result.errors);
+                } else {
+                    reviews[result.review.questionId] = result.review;
+                }
+            });
+
+            if (errors.length > 0) {
+                throw new ApiError(400, 'Invalid review decisions', errors);
+            }
+
+            let status = currentStatus;
+            if (decisions.length > 0) {
+                this.assertTransition(status, 'in-review');
+                status = 'in-review';
+            }
+            if (finalize) {
+                this.assertTransition(status, 'finalized');
+                status = 'finalized';
+            }
+
+            return {
+                ...audit,
+                status,
+                reviews,
+                ...(finalize && { finalizedAt: new Date().toISOString(), finalizedBy: reviewer })
+            };
+        });
+    }
+
+    // Reviewed answer and evidence when present, otherwise the top evidence candidate
+    resolveQuestion(audit, questionId) {
+        const candidates = this.getCandidates(audit, questionId);
+        const review = audit.reviews?.[questionId] || null;
+
+        if (!review) {
+            const candidate = candidates[0] || null;
+            return { answer: candidate?.answer || null, candidate, review };
+        }
+
+        const candidate = review.candidateIndex != null ? candidates[review.candidateIndex] || null : null;
+        return { answer: review.answer, candidate, review };
+    }
+
+    getEffectiveAnswer(audit, questionId) {
+        return this.resolveQuestion(audit, questionId).answer;
+    }
+}
+
+const reviewService = new ReviewService();
+
+export default reviewService;
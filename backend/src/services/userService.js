@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import config from '../config/config.js';
+import { ApiError } from '../utils/apiError.js';
+import { createWriteLock } from '../utils/serialization.js';
+import { ROLES } from '../utils/roles.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+// Checked against when the username is unknown, so response times do not reveal which users exist
+const DUMMY_HASH = `scrypt$${crypto.randomBytes(16).toString('base64')}$${crypto.randomBytes(KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Local user accounts, stored in `config.authUsersPath` as
+ *   { "users": [{ username, name, role, passwordHash, disabled, createdAt, updatedAt }] }
+ * Passwords are hashed with scrypt and a per-user salt ("scrypt$<salt>$<hash>").
+ * The `users:create` CLI writes the same file from its own process, so the
+ * in-memory copy is re-read whenever the file on disk has been replaced or
+ * changed - before every change and on every lookup.
+ */
+class UserService {
+    constructor() {
+        this.users = null;
+        this.usersVersion = null;
+        this.withWriteLock = createWriteLock();
+    }
+
+    async writeJSONAtomic(filePath, data) {
+        await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tempPath, filePath);
+    }
+
+    // Identifies the file's current contents; atomic writes replace the inode, in-place edits change mtime or size
+    async readUsersVersion() {
+        try {
+            const stats = await fs.stat(config.authUsersPath);
+            return `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            if (error.code === 'ENOENT') return 'missing';
+            throw new ApiError(500, `Failed to read users from ${config.authUsersPath}: ${error.message}`);
+        }
+    }
+
+    async loadUsers() {
+        const version = await this.readUsersVersion();
+        if (this.users && version === this.usersVersion) return this.users;
+
+        try {
+            const data = JSON.parse(await fs.readFile(config.authUsersPath, 'utf8'));
+            this.users = new Map((data.users || []).map(user => [user.username.toLowerCase(), user]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new ApiError(500, `Failed to read users from ${config.authUsersPath}: ${error.message}`);
+            }
+            this.users = new Map();
+        }
+        this.usersVersion = version;
+
+        return this.users;
+    }
+
+    async persist() {
+        await this.writeJSONAtomic(config.authUsersPath, { users: Array.from(this.users.values()) });
+        this.usersVersion = await this.readUsersVersion();
+    }
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('base64');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, passwordHash) {
+        const [scheme, salt, expected] = String(passwordHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const expectedBuffer = Buffer.from(expected, 'base64');
+        const actual = await scrypt(String(password ?? ''), salt, expectedBuffer.length);
+        return crypto.timingSafeEqual(actual, expectedBuffer);
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new ApiError(400, `Invalid role: ${role}. Use one of ${ROLES.join(', ')}`);
+        }
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new ApiError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    // User record without the password hash
+    toPublic(user) {
+        const { passwordHash: _passwordHash, ...publicUser } = user;
+        return publicUser;
+    }
+
+    // Stored record of an enabled user, or null when the user is unknown or disabled
+    async getActiveUser(username) {
+        const users = await this.loadUsers();
+        const user = users.get(String(username || '').toLowerCase());
+        return user && !user.disabled ? user : null;
+    }
+
+    async listUsers() {
+        const users = await this.loadUsers();
+        return Array.from(users.values())
+            .map(user => this.toPublic(user))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    async createUser({ username, password, role, name }) {
+        if (!USERNAME_PATTERN.test(String(username || ''))) {
+            throw new ApiError(400, 'Username must be 3-64 letters, digits, ".", "_", "@" or "-"');
+        }
+        this.validateRole(role);
+        this.validatePassword(password);
+
+        return this.withWriteLock(async () => {
+            const users = await this.loadUsers();
+            const key = username.toLowerCase();
+            if (users.has(key)) {
+                throw new ApiError(409, `User already exists: ${username}`);
+            }
+
+            const now = new Date().toISOString();
+            const user = {
+                username,
+                name: name || username,
+                role,
+                passwordHash: await this.hashPassword(password),
+                disabled: false,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            users.set(key, user);
+            await this.persist();
+            console.log(`👤 Created ${role} user ${username}`);
+            return this.toPublic(user);
+        });
+    }
+
+    // Changes a user's role, display name, password or disabled flag
+    async updateUser(username, { role, name, password, disabled }) {
+        if (role !== undefined) this.validateRole(role);
+        if (password !== undefined) this.validatePassword(password);
+
+        return this.withWriteLock(async () => {
+            const users = await this.loadUsers();
+            const user = users.get(String(username).toLowerCase());
+            if (!user) {
+                throw new ApiError(404, `User not found: ${username}`);
+            }
+
+            if (role !== undefined) user.role = role;
+            if (name !== undefined) user.name = name;
+            if (disabled !== undefined) user.disabled = disabled === true;
+            if (password !== undefined) user.passwordHash = await this.hashPassword(password);
+            user.updatedAt = new Date().toISOString();
+
+            await this.persist();
+            return this.toPublic(user);
+        });
+    }
+
+    async authenticate(username, password) {
+        const users = await this.loadUsers();
+        const user = users.get(String(username || '').toLowerCase());
+
+        const valid = await this.verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+        if (!user || !valid || user.disabled) {
+            throw new ApiError(401, 'Invalid username or password');
+        }
+
+        return this.toPublic(user);
+    }
+
+    async getUserCount() {
+        return (await this.loadUsers()).size;
+    }
+}
+
+const userService = new UserService();
+
+export default userService;
@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { getEmbeddingProvider } from '../config/embedding.js';
+import { ApiError } from '../utils/apiError.js';
+import { tokenize, createBM25Index } from '../utils/bm25.js';
+
+const VECTOR_INDEX_VERSION = 1;
+
+/**
+ * Chunk embeddings for every policy in the index, stored next to it as
+ * `<index name>.vectors.json`, plus the BM25 statistics over the same chunks.
+ *
+ * Hybrid search scores each chunk as
+ *   vectorWeight * cosine(question, chunk) + (1 - vectorWeight) * bm25 / maxBm25
+ * and ranks policies by their best chunk. When the stored vectors were made
+ * with a different embedding model than the one configured, only the BM25
+ * part is used. Each policy set has its own instance.
+ */
+class PolicyVectorIndex {
+    constructor() {
+        this.data = null;
+        this.chunks = [];
+        this.bm25 = null;
+        this.indexPath = null;
+    }
+
+    getVectorIndexPath(indexPath = config.policyIndexPath) {
+        const parsed = path.parse(indexPath);
+        return path.join(parsed.dir, `${parsed.name}.vectors.json`);
+    }
+
+    policyKey(policy) {
+        return `${policy.subfolder}/${policy.pdf_name}`;
+    }
+
+    encodeVector(vector) {
+        return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+    }
+
+    decodeVector(encoded) {
+        // Copy out of Node's buffer pool, whose offsets are not 4-byte aligned
+        const bytes = Uint8Array.from(Buffer.from(encoded, 'base64'));
+        return new Float32Array(bytes.buffer);
+    }
+
+    isLoaded() {
+        return Boolean(this.data);
+    }
+
+    async readIndexFile(indexPath = config.policyIndexPath) {
+        try {
+            const data = JSON.parse(await fs.readFile(this.getVectorIndexPath(indexPath), 'utf8'));
+            if (data.version !== VECTOR_INDEX_VERSION) {
+                console.warn(`Ignoring vector index with unsupported version ${data.version}`);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new ApiError(500, `Failed to read vector index: ${error.message}`);
+        }
+    }
+
+    async load(indexPath = config.policyIndexPath) {
+        const data = await this.readIndexFile(indexPath);
+        this.indexPath = indexPath;
+
+        if (!data) {
+            console.warn(`No vector index at ${this.getVectorIndexPath(indexPath)}; run "npm run index:vectors" to enable hybrid retrieval`);
+            this.apply(null);
+            return false;
+        }
+
+        this.apply(data);
+        console.log(`Loaded vector index: ${this.chunks.length} chunks from ${Object.keys(data.policies).length} policies (${data.embedding.provider}/${data.embedding.model})`);
+        return true;
+    }
+
+    apply(data) {
+        this.data = data;
+        this.chunks = [];
+        this.bm25 = null;
+
+        if (!data) return;
+
+        const texts = [];
+        Object.entries(data.policies).forEach(([policyKey, record]) => {
+            record.chunks.forEach(chunk => {
+                texts.push(chunk.text);
+                this.chunks.push({
+                    policyKey,
+                    id: chunk.id,
+                    start: chunk.start,
+                    end: chunk.end,
+                    pages: chunk.pages,
+                    section: chunk.section,
+                    vector: chunk.vector ? this.decodeVector(chunk.vector) : null
+                });
+            });
+        });
+
+        this.bm25 = createBM25Index(texts);
+    }
+
+    // Embeds chunk texts in provider-sized batches and returns the stored chunk records
+    async embedChunks(chunks) {
+        const provider = await getEmbeddingProvider();
+        const records = [];
+
+        for (let i = 0; i < chunks.length; i += provider.batchSize) {
+            const batch = chunks.slice(i, i + provider.batchSize);
+            const vectors = await provider.embed(batch.map(chunk => chunk.text));
+
+            batch.forEach((chunk, index) => records.push({
+                id: chunk.id,
+                start: chunk.start,
+                end: chunk.end,
+                pages: chunk.pages,
+                section: chunk.section,
+                text: chunk.text,
+                vector: this.encodeVector(vectors[index])
+            }));
+        }
+
+        return records;
+    }
+
+    createIndexData(embedding, policies) {
+        return {
+            version: VECTOR_INDEX_VERSION,
+            builtAt: new Date().toISOString(),
+            embedding,
+            policies
+        };
+    }
+
+    async describeEmbedding() {
+        const provider = await getEmbeddingProvider();
+        return { provider: provider.name, model: provider.modelName };
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+        return dot;
+    }
+
+    async search(question, { maxPolicies = 10, chunksPerPolicy = 3, vectorWeight = config.hybridVectorWeight } = {}) {
+        if (!this.data) {
+            throw new ApiError(500, 'Vector index not loaded');
+        }
+
+        const queryText = [question.text, question.description, ...(question.keywords || [])].filter(Boolean).join(' ');
+        const queryTokens = [...new Set(tokenize(queryText))];
+
+        let queryVector = null;
+        const embedding = await this.describeEmbedding();
+        if (embedding.provider === this.data.embedding.provider && embedding.model === this.data.embedding.model) {
+            const provider = await getEmbeddingProvider();
+            [queryVector] = await provider.embed([queryText]);
+        } else {
+            console.warn(`Vector index was built with ${this.data.embedding.provider}/${this.data.embedding.model}, configured ${embedding.provider}/${embedding.model}; using BM25 only`);
+        }
+
+        const bm25Scores = this.chunks.map((chunk, index) => this.bm25.score(queryTokens, index));
+        const maxBm25 = Math.max(0, ...bm25Scores);
+        const weight = queryVector ? vectorWeight : 0;
+
+        const byPolicy = new Map();
+        this.chunks.forEach((chunk, index) => {
+            const lexical = maxBm25 > 0 ? bm25Scores[index] / maxBm25 : 0;
+            const semantic = queryVector && chunk.vector ? Math.max(0, this.cosine(queryVector, chunk.vector)) : 0;
+            const score = weight * semantic + (1 - weight) * lexical;
+            if (score <= 0) return;
+
+            if (!byPolicy.has(chunk.policyKey)) byPolicy.set(chunk.policyKey, []);
+            byPolicy.get(chunk.policyKey).push({
+                id: chunk.id,
+                score: Number(score.toFixed(4)),
+                bm25: Number(lexical.toFixed(4)),
+                vector: Number(semantic.toFixed(4)),
+                start: chunk.start,
+                end: chunk.end,
+                pages: chunk.pages,
+                section: chunk.section
+            });
+        });
+
+        return Array.from(byPolicy.entries())
+            .map(([policyKey, chunks]) => {
+                chunks.sort((a, b) => b.score - a.score);
+                return { policyKey, score: chunks[0].score, chunks: chunks.slice(0, chunksPerPolicy) };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxPolicies);
+    }
+
+    getStats() {
+        return {
+            loaded: this.isLoaded(),
+            chunks: this.chunks.length,
+            policies: this.data ? Object.keys(this.data.policies).length : 0,
+            embedding: this.data?.embedding || null,
+            builtAt: this.data?.builtAt || null
+        };
+    }
+}
+
+export default PolicyVectorIndex;
@@ -0,0 +1,181 @@
+import pdfService from './pdfService.js';
+
+const VERIFIED_SCORE = 0.95;
+const APPROXIMATE_SCORE = 0.6;
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Word tokens of each document with their character offsets, built on first use
+const tokenCache = new WeakMap();
+
+/**
+ * Checks that the evidence quoted by the model really occurs in the policy.
+ *
+ * A quote is "verified" when it occurs verbatim (ignoring case, spacing and
+ * punctuation, with "..." elisions located piece by piece) or its best
+ * fuzzy alignment scores at least VERIFIED_SCORE. Lower-scoring alignments
+ * are "approximate" and cost one confidence level; quotes that cannot be
+ * located at all are "not_found", drop to low confidence and are flagged
+ * for the reviewer.
+ */
+class EvidenceVerificationService {
+    tokenize(text) {
+        return Array.from(String(text || '').toLowerCase().matchAll(/[a-z0-9]+/g), match => ({
+            word: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+    }
+
+    getDocumentTokens(document) {
+        if (!tokenCache.has(document)) {
+            tokenCache.set(document, this.tokenize(document.text));
+        }
+        return tokenCache.get(document);
+    }
+
+    locateVerbatim(document, quote) {
+        const fragments = String(quote)
+            .split(/\.{3}|…/)
+            .map(fragment => fragment.trim())
+            .filter(fragment => pdfService.compactText(fragment).length > 0);
+
+        const ranges = fragments.map(fragment => pdfService.findQuote(document, fragment));
+        if (ranges.length === 0 || ranges.some(range => !range)) return null;
+
+        return { start: ranges[0].start, end: Math.max(...ranges.map(range => range.end)) };
+    }
+
+    // Longest common subsequence of two word lists, as matched positions in the second
+    alignTokens(quoteWords, windowWords) {
+        const rows = quoteWords.length;
+        const cols = windowWords.length;
+        const table = Array.from({ length: rows + 1 }, () => new Uint16Array(cols + 1));
+
+        for (let i = 1; i <= rows; i++) {
+            for (let j = 1; j <= cols; j++) {
+                table[i][j] = quoteWords[i - 1] === windowWords[j - 1]
+                    ? table[i - 1][j - 1] + 1
+                    : Math.max(table[i - 1][j], table[i][j - 1]);
+            }
+        }
+
+        const matched = [];
+        for (let i = rows, j = cols; i > 0 && j > 0;) {
+            if (quoteWords[i - 1] === windowWords[j - 1]) {
+                matched.unshift(j - 1);
+                i--;
+                j--;
+            } else if (table[i - 1][j] >= table[i][j - 1]) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+
+        return matched;
+    }
+
+    // Slide a quote-sized window over the document, keep the one sharing the most
+    // words with the quote, then score it by in-order word alignment
+    locateFuzzy(document, quote) {
+        const quoteWords = this.tokenize(quote).map(token => token.word);
+        const tokens = this.getDocumentTokens(document);
+        const size = quoteWords.length;
+        if (size === 0 || tokens.length === 0) return null;
+
+        const wanted = new Map();
+        quoteWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+        const windowCounts = new Map();
+        let overlap = 0;
+        let best = { overlap: -1, start: 0 };
+
+        const add = (word, delta) => {
+            const before = windowCounts.get(word) || 0;
+            const after = before + delta;
+            windowCounts.set(word, after);
+            const limit = wanted.get(word) || 0;
+            overlap += Math.min(after, limit) - Math.min(before, limit);
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            add(tokens[i].word, 1);
+            if (i >= size) add(tokens[i - size].word, -1);
+
+            const start = Math.max(0, i - size + 1);
+            if (overlap > best.overlap) best = { overlap, start };
+        }
+
+        if (best.overlap <= 0) return null;
+
+        // Allow some slack around the window for inserted or dropped words
+        const slack = Math.ceil(size * 0.25);
+        const from = Math.max(0, best.start - slack);
+        const windowTokens = tokens.slice(from, best.start + size + slack);
+        const matched = this.alignTokens(quoteWords, windowTokens.map(token => token.word));
+        if (matched.length === 0) return null;
+
+        return {
+            score: matched.length / size,
+            start: windowTokens[matched[0]].start,
+            end: windowTokens[matched[matched.length - 1]].end
+        };
+    }
+
+    verifyQuote(document, quote) {
+        if (!document?.text || !quote || !String(quote).trim()) {
+            return { status: 'not_found', score: 0, start: null, end: null, pages: [], section: null };
+        }
+
+        const verbatim = this.locateVerbatim(document, quote);
+        const match = verbatim ? { ...verbatim, score: 1 } : this.locateFuzzy(document, quote);
+
+        if (!match || match.score < APPROXIMATE_SCORE) {
+            return { status: 'not_found', score: match ? Number(match.score.toFixed(2)) : 0, start: null, end: null, pages: [], section: null };
+        }
+
+        return {
+            status: match.score >= VERIFIED_SCORE ? 'verified' : 'approximate',
+            score: Number(match.score.toFixed(2)),
+            start: match.start,
+            end: match.end,
+            pages: pdfService.getPagesForRange(document, match.start, match.end),
+            section: pdfService.getSectionAt(document, match.start)
+        };
+    }
+
+    lowerConfidence(confidence, levels) {
+        const index = CONFIDENCE_LEVELS.indexOf(confidence);
+        if (index === -1) return 'low';
+        return CONFIDENCE_LEVELS[Math.max(0, index - levels)];
+    }
+
+    // Evidence item with its verification record, page location and adjusted confidence
+    verifyEvidence(document, evidence) {
+        const verification = this.verifyQuote(document, evidence.evidence);
+        const downgrade = { verified: 0, approximate: 1, not_found: 2 }[verification.status];
+
+        const verified = {
+            ...evidence,
+            confidence: this.lowerConfidence(evidence.confidence, downgrade),
+            pageReference: pdfService.formatPageReference(verification.pages, verification.section),
+            pages: verification.pages,
+            section: verification.section,
+            modelPageReference: evidence.pageReference || '',
+            verification: {
+                ...verification,
+                originalConfidence: evidence.confidence
+            }
+        };
+
+        if (verification.status === 'not_found') {
+            verified.flags = [...(evidence.flags || []), 'quote_not_found'];
+        }
+
+        return verified;
+    }
+}
+
+const evidenceVerificationService = new EvidenceVerificationService();
+
+export default evidenceVerificationService;
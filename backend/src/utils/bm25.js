@@ -0,0 +1,46 @@
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'that', 'this', 'with', 'from', 'are', 'was', 'were', 'been', 'has', 'have',
+    'does', 'shall', 'will', 'its', 'their', 'any', 'all', 'not', 'but', 'which', 'who', 'may', 'such'
+]);
+
+export const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]{2,}/g) || [])
+    .filter(word => !STOP_WORDS.has(word));
+
+/**
+ * Okapi BM25 over a fixed set of texts. Returns an object whose
+ * `score(queryTokens, index)` scores the text at `index` for the query.
+ */
+export const createBM25Index = (texts) => {
+    const documentFrequency = new Map();
+    const documents = texts.map(text => {
+        const termFrequency = new Map();
+        const tokens = tokenize(text);
+        tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+        termFrequency.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return { termFrequency, length: tokens.length };
+    });
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+    const score = (queryTokens, index) => {
+        const doc = documents[index];
+        let total = 0;
+
+        queryTokens.forEach(token => {
+            const frequency = doc.termFrequency.get(token);
+            if (!frequency) return;
+
+            const df = documentFrequency.get(token) || 0;
+            const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+            const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (averageLength || 1));
+            total += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+        });
+
+        return total;
+    };
+
+    return { score, size: documents.length };
+};
@@ -0,0 +1,16 @@
+// Category taxonomy shared by question extraction and the policy index
+const COMPLIANCE_CATEGORIES = [
+    'Clinical/Medical',
+    'Claims & Appeals',
+    'Access & Authorization',
+    'Privacy & Security',
+    'Provider Relations',
+    'HR',
+    'Financial Compliance',
+    'IT Security',
+    'Operations',
+    'Legal',
+    'Other'
+];
+
+export { COMPLIANCE_CATEGORIES };
@@ -0,0 +1,23 @@
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * File formats a policy can be stored in. Google Docs have no bytes of their
+ * own; Drive exports them as `exportMimeType` (Word), so they are read like
+ * .docx files.
+ */
+export const POLICY_FORMATS = {
+    pdf: { label: 'PDF', mimeType: 'application/pdf', extension: '.pdf' },
+    docx: { label: 'Word', mimeType: DOCX_MIME_TYPE, extension: '.docx' },
+    google_doc: { label: 'Google Doc', mimeType: 'application/vnd.google-apps.document', exportMimeType: DOCX_MIME_TYPE, extension: '.docx' }
+};
+
+export const POLICY_MIME_TYPES = Object.values(POLICY_FORMATS).map(format => format.mimeType);
+
+// Format id of a repository file ({ mimeType, name }), by MIME type or else by extension; null when not a policy format
+export const getPolicyFormat = ({ mimeType, name } = {}) => {
+    const byMimeType = Object.keys(POLICY_FORMATS).find(id => POLICY_FORMATS[id].mimeType === mimeType);
+    if (byMimeType) return byMimeType;
+
+    const extension = String(name || '').toLowerCase().match(/\.[a-z0-9]+$/)?.[0];
+    return ['pdf', 'docx'].find(id => POLICY_FORMATS[id].extension === extension) || null;
+};
@@ -0,0 +1,119 @@
+/**
+ * Policy file names carry the policy number and two dates, e.g.
+ *   PA.1001_CEO20250306_v20250301.pdf
+ *   GG.1102_v20231231_CEO20240129_no attachments.pdf
+ * "v" is the version (effective) date and "CEO" the approval date. A policy's
+ * effective date is its version date, or its approval date when unversioned.
+ */
+// Date.parse rolls impossible days over (2024-02-30 becomes March 1st), so a date must survive a round trip
+const isCalendarDate = (iso) => {
+    const date = new Date(iso);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso;
+};
+
+const toISODate = (digits) => {
+    if (!digits) return null;
+    const iso = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+    return isCalendarDate(iso) ? iso : null;
+};
+
+export const parsePolicyFileName = (name) => {
+    const baseName = String(name || '').replace(/\.(pdf|docx)$/i, '');
+    const policyNumber = baseName.split('_')[0].trim().toUpperCase();
+    const versionDate = toISODate(baseName.match(/_v(\d{8})/i)?.[1]);
+    const approvalDate = toISODate(baseName.match(/_CEO(\d{8})/i)?.[1]);
+
+    return {
+        policyNumber,
+        versionDate,
+        approvalDate,
+        effectiveDate: versionDate || approvalDate
+    };
+};
+
+// Validates a YYYY-MM-DD "as of" date, returning null for empty input
+export const parseAsOfDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || !isCalendarDate(text)) {
+        throw new Error(`Invalid "as of" date: ${value}. Use YYYY-MM-DD`);
+    }
+    return text;
+};
+
+// Newest effective date first; undated versions sort last
+const byEffectiveDateDesc = (a, b) => (b.version.effectiveDate || '').localeCompare(a.version.effectiveDate || '')
+    || (b.version.approvalDate || '').localeCompare(a.version.approvalDate || '');
+
+/**
+ * Picks the version in effect on `asOf` (or the latest when no date is given)
+ * from items that all share a policy number. getName maps an item to its file
+ * name. Undated versions are only used when no dated version qualifies.
+ */
+export const selectPolicyVersion = (items, asOf = null, getName = item => item.name) => {
+    const versions = items
+        .map(item => ({ item, version: parsePolicyFileName(getName(item)) }))
+        .sort(byEffectiveDateDesc);
+
+    const dated = versions.filter(entry => entry.version.effectiveDate
+        && (!asOf || entry.version.effectiveDate <= asOf));
+    if (dated.length > 0) return dated[0].item;
+
+    const undated = versions.find(entry => !entry.version.effectiveDate);
+    return undated ? undated.item : null;
+};
+
+// Groups items by policy number and keeps the version in effect on `asOf` for each
+export const resolvePolicyVersions = (items, asOf = null, getName = item => item.name) => {
+    const byNumber = new Map();
+    items.forEach(item => {
+        const { policyNumber } = parsePolicyFileName(getName(item));
+        if (!byNumber.has(policyNumber)) byNumber.set(policyNumber, []);
+        byNumber.get(policyNumber).push(item);
+    });
+
+    return Array.from(byNumber.values())
+        .map(group => selectPolicyVersion(group, asOf, getName))
+        .filter(Boolean);
+};
+
+/**
+ * Every file in a folder listing that fits a policy name: the files with
+ * exactly that name, else the files with the same policy number and the
+ * version (or approval) date the name asks for, else - when the name carries
+ * no date - every version of that policy.
+ */
+export const findPolicyFileCandidates = (files, policyName) => {
+    const wanted = String(policyName || '').toLowerCase();
+    const exact = files.filter(file => file.name.toLowerCase() === wanted);
+    if (exact.length > 0) return exact;
+
+    const requested = parsePolicyFileName(policyName);
+    if (!requested.policyNumber) return [];
+
+    return files.filter(file => {
+        const version = parsePolicyFileName(file.name);
+        if (version.policyNumber !== requested.policyNumber) return false;
+        if (requested.versionDate) return version.versionDate === requested.versionDate;
+        if (requested.approvalDate) return version.approvalDate === requested.approvalDate;
+        return true;
+    });
+};
+
+/**
+ * Finds the file for a policy name among a folder listing: the first
+ * candidate (findPolicyFileCandidates) when the name is an exact file name or
+ * asks for a version, else the version of that policy in effect on `asOf`.
+ * A name asking for a version that is not in the folder matches nothing
+ * rather than silently substituting another version.
+ */
+export const matchPolicyFile = (files, policyName, asOf = null) => {
+    const candidates = findPolicyFileCandidates(files, policyName);
+    if (candidates.length === 0) return null;
+
+    const requested = parsePolicyFileName(policyName);
+    const pinned = requested.versionDate || requested.approvalDate
+        || candidates[0].name.toLowerCase() === String(policyName || '').toLowerCase();
+
+    return pinned ? candidates[0] : selectPolicyVersion(candidates, asOf);
+};
@@ -0,0 +1,5 @@
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+export const ROLES = ['auditor', 'reviewer', 'admin'];
+
+export const hasRole = (userRole, requiredRole) => ROLES.includes(userRole)
+    && ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
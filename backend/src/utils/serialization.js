@@ -0,0 +1,30 @@
+/**
+ * JSON with object keys sorted at every level, so a hash does not depend on
+ * key order. Keys whose value is undefined are left out, as JSON.stringify
+ * does; undefined elsewhere becomes null.
+ */
+export const canonicalize = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+/**
+ * Returns a lock that runs the tasks given to it one at a time, in call
+ * order: lock(task) resolves or rejects with task's result, and a failed
+ * task does not block the ones queued after it. Services use one per file
+ * they rewrite, so concurrent requests never interleave read-modify-write.
+ */
+export const createWriteLock = () => {
+    let chain = Promise.resolve();
+    return (task) => {
+        const run = chain.then(task);
+        chain = run.catch(() => {});
+        return run;
+    };
+};
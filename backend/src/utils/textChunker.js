@@ -0,0 +1,111 @@
+/**
+ * Splits an extracted PDF document (see PDFService) into passages that never
+ * cross a section heading and break on sentence boundaries where possible.
+ * Each chunk keeps its character offsets into `document.text`, the pages it
+ * spans and the heading of the section it belongs to.
+ */
+const splitSentences = (text, offset) => {
+    const sentences = [];
+    const pattern = /[^.!?;]+(?:[.!?;]+|$)\s*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        sentences.push({ start: offset + match.index, end: offset + match.index + match[0].length });
+    }
+
+    return sentences;
+};
+
+// Break sentences longer than maxChars at word boundaries
+const limitSentenceLength = (sentences, text, maxChars) => sentences.flatMap(sentence => {
+    const parts = [];
+    let start = sentence.start;
+
+    while (sentence.end - start > maxChars) {
+        const slice = text.substring(start, start + maxChars);
+        const lastSpace = slice.lastIndexOf(' ');
+        const end = start + (lastSpace > maxChars / 2 ? lastSpace + 1 : maxChars);
+        parts.push({ start, end });
+        start = end;
+    }
+
+    parts.push({ start, end: sentence.end });
+    return parts;
+});
+
+const getSectionSpans = (document) => {
+    const boundaries = [0, ...document.sections.map(section => section.offset), document.text.length];
+    const spans = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        if (boundaries[i + 1] > boundaries[i]) {
+            spans.push({
+                start: boundaries[i],
+                end: boundaries[i + 1],
+                section: i > 0 ? document.sections[i - 1].heading : null
+            });
+        }
+    }
+
+    return spans;
+};
+
+const pagesForRange = (document, start, end) => document.pages
+    .filter(page => page.end > start && page.start < end)
+    .map(page => page.pageNumber);
+
+export const chunkDocument = (document, { maxChars = 1200, overlapChars = 200 } = {}) => {
+    if (!document?.text) return [];
+
+    const chunks = [];
+
+    getSectionSpans(document).forEach(span => {
+        const sentences = limitSentenceLength(
+            splitSentences(document.text.substring(span.start, span.end), span.start),
+            document.text,
+            maxChars
+        );
+
+        let first = 0;
+        while (first < sentences.length) {
+            let last = first;
+            while (last + 1 < sentences.length && sentences[last + 1].end - sentences[first].start <= maxChars) {
+                last++;
+            }
+
+            const start = sentences[first].start;
+            const end = sentences[last].end;
+            const text = document.text.substring(start, end).trim();
+
+            if (text) {
+                chunks.push({
+                    id: `c${chunks.length}`,
+                    start,
+                    end,
+                    text,
+                    pages: pagesForRange(document, start, end),
+                    section: span.section
+                });
+            }
+
+            if (last + 1 >= sentences.length) break;
+
+            // Repeat trailing sentences up to overlapChars at the start of the next chunk
+            let next = last + 1;
+            while (next - 1 > first && sentences[last].end - sentences[next - 1].start <= overlapChars) {
+                next--;
+            }
+            // ...but never so many that the next chunk cannot reach a new sentence
+            while (next <= last && sentences[last + 1].end - sentences[next].start > maxChars) {
+                next++;
+            }
+            first = next;
+        }
+    });
+
+    return chunks;
+};
@@ -1,7 +1,40 @@
-import { useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import axios from "axios";
-
-function App() {
+import { hasRole, withAccessToken } from "./auth.js";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL;
+
+const STAGE_LABELS = {
+  queued: "Queued",
+  extracting_text: "Reading questionnaire",
+  extracting_questions: "Extracting questions",
+  questions_extracted: "Questions extracted",
+  analyzing: "Checking policies",
+  completed: "Complete",
+  failed: "Failed"
+};
+
+// Questionnaire types the backend reads; browsers often report Office files without a type, so the extension decides
+const ACCEPTED_FILE_TYPES = {
+  ".pdf": "application/pdf",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+const GENERIC_FILE_TYPES = ["", "application/octet-stream", "application/zip", "application/x-zip-compressed"];
+
+// Policies kept in another format than PDF are labelled on their evidence
+const SOURCE_FORMAT_LABELS = {
+  docx: "Word",
+  google_doc: "Google Doc"
+};
+
+const QUOTE_LABELS = {
+  verified: "✓ verified quote",
+  approximate: "≈ approximate quote",
+  not_found: "⚠ quote not found in policy"
+};
+
+function App({ user, onLogout }) {
   const fileInputRef = useRef(null);
   const [isDragOver, setIsDragOver] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
@@ -10,6 +43,15 @@ function App() {
 
   const [result, setResult] = useState(null); // holds response.data.data from backend
   const [info, setInfo] = useState("");
+  const [progress, setProgress] = useState(null); // latest job summary from the SSE stream
+  const eventSourceRef = useRef(null);
+  const [audits, setAudits] = useState([]); // stored audit summaries for the history sidebar
+  const [historyError, setHistoryError] = useState("");
+  const [reviewDrafts, setReviewDrafts] = useState({}); // unsaved reviewer decisions keyed by question id
+  const [savingReview, setSavingReview] = useState(false);
+  const [asOf, setAsOf] = useState(""); // optional audit look-back date; empty means latest policy versions
+  const [policySets, setPolicySets] = useState([]); // lines of business the backend can audit against
+  const [policySet, setPolicySet] = useState(""); // selected set id; empty until the list has loaded
 
   const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
 
@@ -27,9 +69,11 @@ function App() {
       setSelectedFile(null);
       return;
     }
-    if (file.type !== "application/pdf") {
+    const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+    const expectedType = ACCEPTED_FILE_TYPES[extension];
+    if (!expectedType || (file.type !== expectedType && !GENERIC_FILE_TYPES.includes(file.type))) {
       setSelectedFile(null);
-      setError("Invalid file type — please upload a PDF.");
+      setError("Invalid file type — please upload a PDF, Word (.docx) or Excel (.xlsx) file.");
       return;
     }
     if (file.size > MAX_FILE_SIZE) {
@@ -60,6 +104,125 @@ function App() {
     if (files.length > 0) validateAndSetFile(files[0]);
   };
 
+  const closeJobStream = () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+  };
+
+  // Close any open progress stream when the component unmounts
+  useEffect(() => closeJobStream, []);
+
+  const fetchAudits = useCallback(async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/v1/audits`);
+      setAudits(res.data.data || []);
+      setHistoryError("");
+    } catch (err) {
+      console.error(err);
+      setHistoryError(err.response?.data?.message || "Could not load audit history");
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAudits();
+  }, [fetchAudits]);
+
+  useEffect(() => {
+    axios.get(`${BACKEND_URL}/api/v1/policy-sets`)
+      .then((res) => {
+        const sets = res.data.data || [];
+        setPolicySets(sets);
+        setPolicySet((sets.find((set) => set.isDefault) || sets[0])?.id || "");
+      })
+      .catch((err) => console.error(err));
+  }, []);
+
+  // Reopen a stored audit without re-processing
+  const openAudit = async (auditId) => {
+    if (uploading) return;
+    setError("");
+    setInfo("");
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/v1/audits/${auditId}`);
+      setResult(res.data.data);
+      setReviewDrafts({});
+      setProgress(null);
+      setInfo(`Loaded audit of ${res.data.data.originalFilename} from ${new Date(res.data.data.createdAt).toLocaleString()}.`);
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || err.message || "Failed to load audit");
+    }
+  };
+
+  const deleteAudit = async (auditId) => {
+    if (!window.confirm("Delete this audit from history?")) return;
+    try {
+      await axios.delete(`${BACKEND_URL}/api/v1/audits/${auditId}`);
+      if (result?.id === auditId || result?.meta?.auditId === auditId) {
+        setResult(null);
+        setInfo("");
+      }
+      fetchAudits();
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || err.message || "Failed to delete audit");
+    }
+  };
+
+  // Follow job progress over Server-Sent Events until it completes or fails
+  const followJob = (jobId) => {
+    closeJobStream();
+    const source = new EventSource(withAccessToken(`${BACKEND_URL}/api/v1/jobs/${jobId}/events`));
+    eventSourceRef.current = source;
+
+    source.addEventListener("progress", (e) => {
+      setProgress(JSON.parse(e.data));
+    });
+
+    source.addEventListener("completed", async (e) => {
+      setProgress(JSON.parse(e.data));
+      closeJobStream();
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/v1/jobs/${jobId}`);
+        let data = res.data.data.result;
+        // Prefer the stored audit so review state is available
+        if (data.meta?.auditId) {
+          const auditRes = await axios.get(`${BACKEND_URL}/api/v1/audits/${data.meta.auditId}`);
+          data = auditRes.data.data;
+        }
+        setResult(data);
+        setReviewDrafts({});
+        console.log(data);
+        setInfo("Processing complete — review the compliance results below.");
+        fetchAudits();
+      } catch (err) {
+        console.error(err);
+        setError(err.response?.data?.message || err.message || "Failed to load results");
+      } finally {
+        setUploading(false);
+      }
+    });
+
+    source.addEventListener("failed", (e) => {
+      const job = JSON.parse(e.data);
+      setProgress(job);
+      closeJobStream();
+      setError(job.error?.message || "Processing failed");
+      setUploading(false);
+    });
+
+    source.onerror = () => {
+      // The browser retries automatically; only give up once the stream is closed for good
+      if (source.readyState === EventSource.CLOSED) {
+        closeJobStream();
+        setError("Lost connection to the progress stream");
+        setUploading(false);
+      }
+    };
+  };
+
   // Upload & process
   const uploadFile = async () => {
     if (!selectedFile) {
@@ -70,50 +233,65 @@ function App() {
     setError("");
     setInfo("");
     setResult(null);
+    setReviewDrafts({});
+    setProgress(null);
     try {
       const fd = new FormData();
       fd.append("questions", selectedFile);
+      if (asOf) fd.append("asOf", asOf);
+      if (policySet) fd.append("policySet", policySet);
 
-      const res = await axios.post(`${import.meta.env.VITE_BACKEND_URL}/api/v1/process`, fd, {
+      const res = await axios.post(`${BACKEND_URL}/api/v1/process`, fd, {
         headers: { "Content-Type": "multipart/form-data" }
       });
 
       if (res.data && res.data.success) {
-        const data = res.data.data;
-        setResult(data);
-        console.log(data);
-        setInfo("Processing complete — review the compliance results below.");
+        followJob(res.data.data.jobId);
       } else {
         setError(res.data?.message || "Unexpected response from server");
+        setUploading(false);
       }
     } catch (err) {
       console.error(err);
       setError(err.response?.data?.message || err.message || "Upload failed");
-    } finally {
       setUploading(false);
     }
   };
 
   const clearFile = () => {
+    closeJobStream();
     setSelectedFile(null);
     setError("");
     setInfo("");
     setResult(null);
+    setReviewDrafts({});
+    setProgress(null);
+    setUploading(false);
     if (fileInputRef.current) fileInputRef.current.value = "";
   };
 
+  const getEvidence = (q) => result?.evidenceByQuestion?.[q.id] || result?.evidenceByQuestion?.[String(q.id)] || [];
+
+  // Reviewer decision (unsaved draft first, then saved review) takes precedence over the top candidate
+  const resolveAnswer = (q) => {
+    const evidence = getEvidence(q);
+    const review = reviewDrafts[q.id] || result?.reviews?.[q.id];
+    if (!review) {
+      return { match: evidence[0] || null, answer: evidence[0]?.answer || null, review: null };
+    }
+    const match = review.action === "no_match"
+      ? null
+      : evidence[review.action === "accept" ? 0 : review.candidateIndex] || null;
+    return { match, answer: review.answer || match?.answer || null, review };
+  };
+
   const getComplianceStats = () => {
     if (!result || !result.questions) return null;
     
     const total = result.questions.length;
-    const answered = result.questions.filter(q => {
-      const evidence = result.evidenceByQuestion?.[q.id];
-      return evidence && evidence.length > 0;
-    }).length;
-    const yesAnswers = result.questions.filter(q => {
-      const evidence = result.evidenceByQuestion?.[q.id];
-      return evidence && evidence.length > 0 && evidence[0].answer === 'yes';
-    }).length;
+    const answers = result.questions.map(q => resolveAnswer(q).answer);
+    const answered = answers.filter(answer => answer != null).length;
+    const yesAnswers = answers.filter(answer => answer === 'yes').length;
     
     return {
       total,
@@ -126,6 +304,79 @@ function App() {
     };
   };
 
+  const auditId = result?.id || result?.meta?.auditId;
+  const auditStatus = result?.status || "draft";
+  const canReview = Boolean(auditId) && auditStatus !== "finalized" && hasRole(user, "reviewer");
+
+  const updateDraft = (q, changes) => {
+    setReviewDrafts((drafts) => {
+      const saved = result?.reviews?.[q.id];
+      const base = drafts[q.id] || (saved
+        ? { questionId: q.id, action: saved.action, candidateIndex: saved.candidateIndex, answer: saved.answerOverridden ? saved.answer : "", note: saved.note || "" }
+        : { questionId: q.id, action: getEvidence(q).length > 0 ? "accept" : "no_match", candidateIndex: getEvidence(q).length > 0 ? 0 : null, answer: "", note: "" });
+      return { ...drafts, [q.id]: { ...base, ...changes } };
+    });
+  };
+
+  const chooseCandidate = (q, idxOrNoMatch) => {
+    if (idxOrNoMatch === "nomatch") {
+      updateDraft(q, { action: "no_match", candidateIndex: null });
+    } else {
+      updateDraft(q, { action: idxOrNoMatch === 0 ? "accept" : "select", candidateIndex: idxOrNoMatch });
+    }
+  };
+
+  // Download the stored audit in a submission format
+  const downloadExport = async (format) => {
+    if (!auditId) return;
+    setError("");
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/v1/audits/${auditId}/export`, {
+        params: { format },
+        responseType: "blob"
+      });
+      const disposition = res.headers["content-disposition"] || "";
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `audit.${format === "evidence" ? "zip" : format}`;
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Export failed");
+    }
+  };
+
+  // Persist reviewer decisions (and optionally finalize the audit)
+  const submitReview = async (finalize = false) => {
+    if (!auditId) return;
+    if (finalize && !window.confirm("Finalize this audit? Reviews can no longer be changed afterwards.")) return;
+    setSavingReview(true);
+    setError("");
+    setInfo("");
+    try {
+      const decisions = Object.values(reviewDrafts).map((draft) => ({
+        ...draft,
+        answer: draft.answer || null
+      }));
+      const res = await axios.post(`${BACKEND_URL}/api/v1/audits/${auditId}/review`, { decisions, finalize }, {
+        headers: { "Content-Type": "application/json" }
+      });
+      setResult(res.data.data);
+      setReviewDrafts({});
+      setInfo(res.data.message);
+      fetchAudits();
+    } catch (err) {
+      console.error(err);
+      const details = err.response?.data?.errors;
+      setError([err.response?.data?.message || err.message || "Failed to save review", ...(details || [])].join(" — "));
+    } finally {
+      setSavingReview(false);
+    }
+  };
+
   const stats = getComplianceStats();
 
   return (
@@ -138,12 +389,59 @@ function App() {
             <p className="text-xs text-slate-500">Automated compliance verification for audit requirements</p>
           </div>
         </div>
+        {onLogout && (
+          <div className="flex items-center gap-3 text-sm">
+            <span className="text-slate-600">{user.name || user.username} <span className="text-xs text-slate-400">({user.role})</span></span>
+            <button onClick={onLogout} className="px-3 py-1 bg-gray-100 rounded-md text-sm hover:bg-gray-200">Sign out</button>
+          </div>
+        )}
       </header>
 
-      <main className="flex w-full">
+      <main className="flex w-full max-w-7xl mx-auto">
+        {/* Audit history */}
+        <aside className="w-72 shrink-0 px-6 py-12">
+          <div className="bg-white rounded-xl shadow p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold">Audit History</h2>
+              <button onClick={fetchAudits} className="text-xs text-indigo-600 hover:underline">Refresh</button>
+            </div>
+
+            {historyError && <div className="text-xs text-red-600 mb-2">{historyError}</div>}
+            {audits.length === 0 && !historyError && (
+              <div className="text-xs text-slate-500">No saved audits yet.</div>
+            )}
+
+            <ul className="space-y-2">
+              {audits.map((audit) => {
+                const isActive = result?.id === audit.id || result?.meta?.auditId === audit.id;
+                return (
+                  <li
+                    key={audit.id}
+                    className={`rounded-md p-2 text-left border ${isActive ? "border-indigo-300 bg-indigo-50" : "border-slate-100 hover:bg-slate-50"}`}
+                  >
+                    <button onClick={() => openAudit(audit.id)} disabled={uploading} className="w-full text-left disabled:opacity-60">
+                      <div className="text-sm font-medium text-slate-700 truncate" title={audit.originalFilename}>{audit.originalFilename}</div>
+                      <div className="text-xs text-slate-500">
+                        {new Date(audit.createdAt).toLocaleString()}
+                        {audit.policySet ? ` · ${audit.policySet.label}` : ""}
+                      </div>
+                      <div className="text-xs text-slate-500 mt-1">
+                        {audit.questionsCount} questions · <span className="text-green-700">{audit.compliantAnswers} yes</span> · <span className="text-red-700">{audit.nonCompliantAnswers} no</span>
+                      </div>
+                    </button>
+                    {hasRole(user, "admin") && (
+                      <button onClick={() => deleteAudit(audit.id)} className="mt-1 text-xs text-slate-400 hover:text-red-600">Delete</button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </aside>
+
         <section className="mx-auto px-6 py-12 grid gap-10 items-center w-full max-w-6xl">
           <div className="bg-white rounded-xl shadow p-6">
-            <div className="text-slate-500 text-sm">Upload your audit questions PDF</div>
+            <div className="text-slate-500 text-sm">Upload your audit questionnaire (PDF, Word or Excel)</div>
 
             <div
               id="upload"
@@ -160,7 +458,34 @@ function App() {
                       <div className="text-xs text-green-600 mt-1">File ready ({(selectedFile.size / 1024 / 1024).toFixed(2)} MB)</div>
                     </div>
 
-                    <div className="flex gap-2">
+                    <div className="flex gap-2 items-center">
+                      {policySets.length > 1 && (
+                        <label className="text-xs text-slate-500 flex items-center gap-1" title="Line of business whose policies are searched">
+                          Policy set
+                          <select
+                            value={policySet}
+                            onChange={(e) => setPolicySet(e.target.value)}
+                            disabled={uploading}
+                            className="border border-slate-200 rounded px-1 py-0.5 text-xs"
+                          >
+                            {policySets.map((set) => (
+                              <option key={set.id} value={set.id} disabled={!set.loaded}>
+                                {set.label}{set.loaded ? "" : " (unavailable)"}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                      <label className="text-xs text-slate-500 flex items-center gap-1" title="Check policies in effect on this date (audit look-back period); leave empty for the latest versions">
+                        Policies as of
+                        <input
+                          type="date"
+                          value={asOf}
+                          onChange={(e) => setAsOf(e.target.value)}
+                          disabled={uploading}
+                          className="border border-slate-200 rounded px-1 py-0.5 text-xs"
+                        />
+                      </label>
                       <button onClick={clearFile} className="px-3 py-1 bg-gray-100 rounded-md text-sm hover:bg-gray-200">Remove</button>
                       <button onClick={uploadFile} disabled={uploading} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-60">
                         {uploading ? "Processing..." : "Analyze Compliance"}
@@ -170,7 +495,7 @@ function App() {
                 </div>
               ) : (
                 <>
-                  <div className="text-slate-700 font-medium">Drag & drop your audit questions PDF here</div>
+                  <div className="text-slate-700 font-medium">Drag & drop your audit questionnaire here</div>
                   <div className="text-xs text-slate-400 mt-2">We'll extract questions and find compliance evidence in your policy documents.</div>
 
                   <div className="mt-4 flex items-center justify-center gap-3">
@@ -180,9 +505,31 @@ function App() {
                 </>
               )}
 
-              <input type="file" accept="application/pdf" ref={fileInputRef} onChange={handleFileChange} className="hidden" />
+              <input type="file" accept={Object.entries(ACCEPTED_FILE_TYPES).flat().join(",")} ref={fileInputRef} onChange={handleFileChange} className="hidden" />
             </div>
 
+            {uploading && progress && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between text-xs text-slate-600 mb-1">
+                  <span>{STAGE_LABELS[progress.stage] || progress.stage}</span>
+                  <span>{progress.progress.percent}%</span>
+                </div>
+                <div className="w-full h-2 bg-slate-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-indigo-600 transition-all duration-500"
+                    style={{ width: `${progress.progress.percent}%` }}
+                  />
+                </div>
+                {progress.progress.totalQuestions > 0 && (
+                  <div className="mt-2 grid grid-cols-3 gap-2 text-xs text-slate-500">
+                    <div>Questions: <strong>{progress.progress.questionsProcessed}/{progress.progress.totalQuestions}</strong></div>
+                    <div>Policies checked: <strong>{progress.progress.totalPoliciesChecked}</strong></div>
+                    <div>Evidence found: <strong>{progress.progress.evidenceFound}</strong></div>
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="mt-3 min-h-[1.2rem]">
               {error ? (
                 <div className="text-sm text-red-600">{error}</div>
@@ -191,7 +538,7 @@ function App() {
               ) : selectedFile ? (
                 <div className="text-sm text-slate-600">File validated — ready to analyze.</div>
               ) : (
-                <div className="text-sm text-slate-500">Accepted format: PDF. Max size: 10 MB.</div>
+                <div className="text-sm text-slate-500">Accepted formats: PDF (scanned pages are read with OCR), DOCX, XLSX (one question per row). Max size: 10 MB.</div>
               )}
             </div>
 
@@ -207,6 +554,15 @@ function App() {
                 <div>
                   <h2 className="text-lg font-semibold">Compliance Analysis Results</h2>
                   <div className="text-xs text-slate-500">Automated compliance verification results</div>
+                  {auditId && (
+                    <span className={`inline-block mt-2 px-2 py-1 rounded text-xs font-medium ${
+                      auditStatus === "finalized" ? "bg-green-100 text-green-800" :
+                      auditStatus === "in-review" ? "bg-blue-100 text-blue-800" :
+                      "bg-gray-100 text-gray-700"
+                    }`}>
+                      {auditStatus}
+                    </span>
+                  )}
                 </div>
                 <div className="grid grid-cols-4 gap-4 text-center">
                   <div className="bg-green-50 rounded-lg p-3">
@@ -228,9 +584,36 @@ function App() {
                 </div>
               </div>
 
+              {auditId && (
+                <div className="flex items-center justify-end gap-2 -mt-2 mb-4">
+                  <span className="text-xs text-slate-500">
+                    Export{Object.keys(reviewDrafts).length > 0 ? " (saved reviews only)" : ""}:
+                  </span>
+                  {[
+                    ["xlsx", "Excel"],
+                    ["csv", "CSV"],
+                    ["docx", "Word"],
+                    ["json", "JSON"],
+                    ["evidence", "Evidence PDFs"]
+                  ].map(([format, label]) => (
+                    <button
+                      key={format}
+                      onClick={() => downloadExport(format)}
+                      className="px-3 py-1 text-xs bg-gray-100 rounded-md hover:bg-gray-200"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               {(result.questions || []).map((q) => {
-                const evidence = result.evidenceByQuestion?.[q.id] || result.evidenceByQuestion?.[String(q.id)] || [];
-                const bestMatch = evidence.length > 0 ? evidence[0] : null;
+                const evidence = getEvidence(q);
+                const { match: bestMatch, answer, review } = resolveAnswer(q);
+                const draft = reviewDrafts[q.id];
+                const selected = review
+                  ? (review.action === "no_match" ? "nomatch" : review.action === "accept" ? 0 : review.candidateIndex)
+                  : (evidence.length > 0 ? 0 : "nomatch");
                 
                 return (
                   <div key={q.id} className="border-t pt-4 mt-4">
@@ -240,44 +623,86 @@ function App() {
                           <span className="text-indigo-600">{q.id}.</span> {q.text}
                         </div>
                         
-                        {bestMatch ? (
+                        {bestMatch || answer ? (
                           <div className="bg-slate-50 rounded-lg p-4">
                             <div className="flex items-center gap-3 mb-2">
                               <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                                bestMatch.answer === 'yes' 
+                                answer === 'yes' 
                                   ? 'bg-green-100 text-green-800' 
+                                  : answer === 'partial'
+                                  ? 'bg-yellow-100 text-yellow-800'
                                   : 'bg-red-100 text-red-800'
                               }`}>
-                                {bestMatch.answer === 'yes' ? 'YES' : 'NO'}
-                              </span>
-                              <span className="text-sm font-medium text-slate-700">{bestMatch.docName}</span>
-                              <span className={`px-2 py-1 rounded text-xs ${
-                                bestMatch.confidence === 'high' ? 'bg-green-100 text-green-700' :
-                                bestMatch.confidence === 'medium' ? 'bg-yellow-100 text-yellow-700' :
-                                'bg-gray-100 text-gray-700'
-                              }`}>
-                                {bestMatch.confidence} confidence
+                                {answer === 'yes' ? 'YES' : answer === 'partial' ? 'PARTIAL' : 'NO'}
                               </span>
+                              {bestMatch && <span className="text-sm font-medium text-slate-700">{bestMatch.docName}</span>}
+                              {SOURCE_FORMAT_LABELS[bestMatch?.sourceFormat] && (
+                                <span className="px-2 py-1 rounded text-xs bg-slate-100 text-slate-600">{SOURCE_FORMAT_LABELS[bestMatch.sourceFormat]}</span>
+                              )}
+                              {bestMatch && (
+                                <span className={`px-2 py-1 rounded text-xs ${
+                                  bestMatch.confidence === 'high' ? 'bg-green-100 text-green-700' :
+                                  bestMatch.confidence === 'medium' ? 'bg-yellow-100 text-yellow-700' :
+                                  'bg-gray-100 text-gray-700'
+                                }`}>
+                                  {bestMatch.confidence} confidence
+                                </span>
+                              )}
+                              {bestMatch?.verification && (
+                                <span
+                                  title={`Quote match score ${Math.round(bestMatch.verification.score * 100)}%`}
+                                  className={`px-2 py-1 rounded text-xs ${
+                                    bestMatch.verification.status === 'verified' ? 'bg-emerald-100 text-emerald-700' :
+                                    bestMatch.verification.status === 'approximate' ? 'bg-amber-100 text-amber-700' :
+                                    'bg-red-100 text-red-700'
+                                  }`}
+                                >
+                                  {QUOTE_LABELS[bestMatch.verification.status]}
+                                </span>
+                              )}
+                              {review && (
+                                <span className="px-2 py-1 rounded text-xs bg-indigo-100 text-indigo-700">
+                                  {draft ? "review pending" : `reviewed by ${review.reviewer}`}
+                                </span>
+                              )}
                             </div>
                             
-                            <div className="text-sm text-slate-700 mb-2">
-                              <strong>Citation:</strong>
-                            </div>
-                            <div className="text-sm text-slate-600 bg-white p-3 rounded border-l-4 border-indigo-200">
-                              "{bestMatch.evidence}"
-                            </div>
+                            {bestMatch && (
+                              <>
+                                <div className="text-sm text-slate-700 mb-2">
+                                  <strong>Citation:</strong>
+                                </div>
+                                <div className="text-sm text-slate-600 bg-white p-3 rounded border-l-4 border-indigo-200">
+                                  "{bestMatch.evidence}"
+                                </div>
+                              </>
+                            )}
                             
-                            {bestMatch.pageReference && (
+                            {bestMatch?.pageReference && (
                               <div className="text-xs text-slate-500 mt-2">
                                 <strong>Reference:</strong> {bestMatch.pageReference}
                               </div>
                             )}
+
+                            {bestMatch?.policyVersion?.effectiveDate && (
+                              <div className="text-xs text-slate-500 mt-1">
+                                <strong>Version:</strong> {bestMatch.policyVersion.policyNumber}
+                                {bestMatch.policyVersion.versionDate ? `, effective ${bestMatch.policyVersion.versionDate}` : ""}
+                                {bestMatch.policyVersion.approvalDate ? `, approved ${bestMatch.policyVersion.approvalDate}` : ""}
+                              </div>
+                            )}
                             
-                            {bestMatch.explanation && (
+                            {bestMatch?.explanation && (
                               <div className="text-xs text-slate-600 mt-2">
                                 <strong>Analysis:</strong> {bestMatch.explanation}
                               </div>
                             )}
+
+                            {review?.note && (
+                              <div className="text-xs text-slate-600 mt-2">
+                                <strong>Reviewer note:</strong> {review.note}
+                              </div>
+                            )}
                           </div>
                         ) : (
                           <div className="bg-yellow-50 rounded-lg p-4 border border-yellow-200">
@@ -286,10 +711,71 @@ function App() {
                               <span className="font-medium">No Evidence Found</span>
                             </div>
                             <div className="text-sm text-yellow-600 mt-1">
-                              No policy documentation was found that addresses this requirement.
+                              {review ? "Reviewer marked this requirement as having no matching policy." : "No policy documentation was found that addresses this requirement."}
                             </div>
+                            {review?.note && (
+                              <div className="text-xs text-yellow-700 mt-2">
+                                <strong>Reviewer note:</strong> {review.note}
+                              </div>
+                            )}
                           </div>
                         )}
+
+                        {canReview && (
+                          <details className="mt-2">
+                            <summary className="text-xs text-indigo-600 cursor-pointer">Review this answer</summary>
+                            <div className="mt-2 space-y-2">
+                              {evidence.map((c, idx) => (
+                                <label key={idx} className="block bg-slate-50 p-3 rounded-md cursor-pointer">
+                                  <input
+                                    type="radio"
+                                    name={`q-${q.id}`}
+                                    checked={selected === idx}
+                                    onChange={() => chooseCandidate(q, idx)}
+                                    className="mr-2"
+                                  />
+                                  <span className="text-sm font-medium">
+                                    {c.docName}{SOURCE_FORMAT_LABELS[c.sourceFormat] ? ` (${SOURCE_FORMAT_LABELS[c.sourceFormat]})` : ""} — {c.answer?.toUpperCase()} ({c.confidence}){c.verification ? ` · ${QUOTE_LABELS[c.verification.status]}` : ""}
+                                  </span>
+                                  <div className="text-xs mt-1 text-slate-700">{c.evidence}</div>
+                                </label>
+                              ))}
+
+                              <label className="block">
+                                <input
+                                  type="radio"
+                                  name={`q-${q.id}`}
+                                  checked={selected === "nomatch"}
+                                  onChange={() => chooseCandidate(q, "nomatch")}
+                                  className="mr-2"
+                                />
+                                <span className="text-sm text-slate-600">No match / Not found</span>
+                              </label>
+
+                              <div className="flex items-center gap-3">
+                                <label className="text-xs text-slate-600">Answer override</label>
+                                <select
+                                  value={draft ? draft.answer : (review?.answerOverridden ? review.answer : "")}
+                                  onChange={(e) => updateDraft(q, { answer: e.target.value })}
+                                  className="text-sm border rounded px-2 py-1"
+                                >
+                                  <option value="">— keep —</option>
+                                  <option value="yes">Yes</option>
+                                  <option value="no">No</option>
+                                  <option value="partial">Partial</option>
+                                </select>
+                              </div>
+
+                              <textarea
+                                value={draft ? draft.note : (review?.note || "")}
+                                onChange={(e) => updateDraft(q, { note: e.target.value })}
+                                placeholder="Reviewer note (optional)"
+                                rows={2}
+                                className="w-full text-sm border rounded p-2"
+                              />
+                            </div>
+                          </details>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -303,8 +789,29 @@ function App() {
                 >
                   Analyze New Document
                 </button>
+                {canReview && (
+                  <>
+                    <button
+                      onClick={() => submitReview(false)}
+                      disabled={savingReview || Object.keys(reviewDrafts).length === 0}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-60"
+                    >
+                      {savingReview ? "Saving..." : `Save Review (${Object.keys(reviewDrafts).length})`}
+                    </button>
+                    <button
+                      onClick={() => submitReview(true)}
+                      disabled={savingReview || (auditStatus === "draft" && Object.keys(reviewDrafts).length === 0)}
+                      className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-60"
+                    >
+                      Finalize Audit
+                    </button>
+                  </>
+                )}
                 <div className="text-sm text-slate-500 flex items-center">
                   Analysis completed for {result.questions?.length || 0} requirements from {result.meta?.originalFilename}
+                  {result.meta?.policySet ? ` · ${result.meta.policySet.label} policies` : ""}
+                  {result.meta?.policyAsOf ? ` · policies as of ${result.meta.policyAsOf}` : ""}
+                  {result.meta?.policyIndex ? ` · index v${result.meta.policyIndex.version} (${result.meta.policyIndex.checksum?.slice(0, 8)})` : ""}
                 </div>
               </div>
 
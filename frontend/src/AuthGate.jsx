@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import App from "./App.jsx";
+import Login from "./Login.jsx";
+import { clearToken, getToken, installAuthInterceptors, setToken } from "./auth.js";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL;
+
+// Single sign-on returns to the app with #token=... or #authError=...; take it out of the URL
+const readRedirectHash = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const token = params.get("token");
+  const authError = params.get("authError");
+  if (token || authError) {
+    window.history.replaceState(null, "", window.location.pathname + window.location.search);
+  }
+  if (token) setToken(token);
+  return authError || "";
+};
+
+function AuthGate() {
+  const [authConfig, setAuthConfig] = useState(null);
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [authError, setAuthError] = useState(readRedirectHash);
+
+  const logout = useCallback(() => {
+    clearToken();
+    setUser(null);
+  }, []);
+
+  useEffect(() => installAuthInterceptors(() => {
+    setAuthError("Your session has ended; please sign in again.");
+    setUser(null);
+  }), []);
+
+  useEffect(() => {
+    const init = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/v1/auth/config`);
+        const config = res.data.data;
+        setAuthConfig(config);
+
+        // With auth disabled the backend answers /auth/me as an anonymous admin
+        if (!config.enabled || getToken()) {
+          const me = await axios.get(`${BACKEND_URL}/api/v1/auth/me`);
+          setUser(me.data.data);
+        }
+      } catch (err) {
+        console.error(err);
+        if (err.response?.status !== 401) {
+          setAuthError(err.response?.data?.message || "Could not reach the server");
+        }
+      } finally {
+        setChecking(false);
+      }
+    };
+    init();
+  }, []);
+
+  const handleLogin = ({ token, user: signedIn }) => {
+    setToken(token);
+    setAuthError("");
+    setUser(signedIn);
+  };
+
+  if (checking) {
+    return <div className="min-h-screen flex items-center justify-center text-sm text-slate-500">Loading...</div>;
+  }
+
+  if (!user) {
+    return <Login oidc={authConfig?.oidc} initialError={authError} onLogin={handleLogin} />;
+  }
+
+  return <App user={user} onLogout={authConfig?.enabled ? logout : null} />;
+}
+
+export default AuthGate;
@@ -0,0 +1,84 @@
+import { useState } from "react";
+import axios from "axios";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL;
+
+function Login({ oidc, initialError, onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(initialError || "");
+  const [signingIn, setSigningIn] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError("");
+    try {
+      const res = await axios.post(`${BACKEND_URL}/api/v1/auth/login`, { username, password }, {
+        headers: { "Content-Type": "application/json" }
+      });
+      onLogin(res.data.data);
+    } catch (err) {
+      console.error(err);
+      setError(err.response?.data?.message || err.message || "Sign-in failed");
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-white to-slate-50 flex items-center justify-center p-6">
+      <div className="bg-white rounded-xl shadow p-6 w-full max-w-sm">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="w-10 h-10 rounded-lg bg-indigo-600 flex items-center justify-center text-white font-bold">AC</div>
+          <div>
+            <h1 className="text-lg font-semibold">Audit Compliance Matcher</h1>
+            <p className="text-xs text-slate-500">Sign in to continue</p>
+          </div>
+        </div>
+
+        {error && <div className="mb-4 text-sm text-red-600">{error}</div>}
+
+        <form onSubmit={submit} className="space-y-3">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            autoFocus
+            className="w-full border border-slate-200 rounded-md px-3 py-2 text-sm"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className="w-full border border-slate-200 rounded-md px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={signingIn || !username || !password}
+            className="w-full px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-60"
+          >
+            {signingIn ? "Signing in..." : "Sign in"}
+          </button>
+        </form>
+
+        {oidc && (
+          <>
+            <div className="my-4 text-center text-xs text-slate-400">or</div>
+            <a
+              href={`${BACKEND_URL}${oidc.loginUrl}`}
+              className="block w-full text-center px-4 py-2 border border-slate-200 rounded-md text-sm hover:bg-slate-50"
+            >
+              Sign in with {oidc.label}
+            </a>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,42 @@
+import axios from "axios";
+
+const TOKEN_KEY = "policyAuditToken";
+const ROLES = ["auditor", "reviewer", "admin"];
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Same hierarchy as the backend: admin can do everything a reviewer can, a reviewer everything an auditor can
+export const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// EventSource cannot send headers, so the token goes in the query string
+export const withAccessToken = (url) => {
+  const token = getToken();
+  return token ? `${url}${url.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(token)}` : url;
+};
+
+// Attaches the session token to every axios request; a 401 from anything but the login call ends the session
+export const installAuthInterceptors = (onUnauthorized) => {
+  const requestId = axios.interceptors.request.use((config) => {
+    const token = getToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+
+  const responseId = axios.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && !error.config?.url?.endsWith("/auth/login")) {
+        clearToken();
+        onUnauthorized();
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return () => {
+    axios.interceptors.request.eject(requestId);
+    axios.interceptors.response.eject(responseId);
+  };
+};